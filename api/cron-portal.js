@@ -5,7 +5,9 @@ export const config = {
   runtime: "nodejs",
 };
 
-import OpenAI from "openai";
+import { getLLM } from "../lib/llmProvider.js";
+import { validateURL, detectVendor } from "../lib/portalUtils.js";
+import { normalizeVendorUrl } from "../lib/vendorRegistry.js";
 
 // Supabase fetch helper (same logic you use in portal-discovery)
 async function sb(path, method = "GET", body) {
@@ -30,11 +32,8 @@ async function sb(path, method = "GET", body) {
   return res.json();
 }
 
-// AI wrapper — simplified, no formatting params that cause model errors
-async function aiLookup(jurisdictionName) {
-  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-  // Simple, robust text input/output
+// AI wrapper — JSON parsing and retries live in lib/llmProvider.js
+async function aiLookup(jurisdictionName, geoid) {
   const prompt = `
 Find the official permitting portal for:
 
@@ -47,78 +46,26 @@ Rules:
 - If unsure, use: {"url": null, "notes":"not found"}
 `;
 
-  const response = await client.responses.create({
-    model: "gpt-4o-mini",
-    input: prompt,
-  });
-
-  const text = response.output_text;
-
-  // Hardening: strip code fences and try to parse
-  const cleaned = text
-    .replace(/```json/gi, "")
-    .replace(/```/g, "")
-    .trim();
-
   try {
-    return JSON.parse(cleaned);
-  } catch {
-    return { url: null, notes: "AI did not return clean JSON", raw: cleaned };
-  }
-}
-
-// Basic URL validator
-function validateURL(url) {
-  if (!url || typeof url !== "string") return null;
-  const clean = url.trim();
-
-  if (!clean.startsWith("http")) return null;
-  if (!clean.includes(".")) return null;
-
-  // Accept .gov or recognized vendors
-  const allowed = [
-    "accela",
-    "energov",
-    "etrakit",
-    "citizenserve",
-    "tylertech",
-    "mygovernmentonline",
-    "opengov",
-    "viewpoint",
-    "cityview",
-  ];
-
-  const lower = clean.toLowerCase();
-  if (lower.endsWith(".gov")) return clean;
-  if (allowed.some(v => lower.includes(v))) return clean;
-
-  return null;
-}
-
-// Vendor detection
-function detectVendor(url) {
-  if (!url) return null;
-
-  const lower = url.toLowerCase();
-
-  const map = {
-    accela: "accela",
-    enerGov: "energov",
-    eTrakit: "etrakit",
-    citizenserve: "citizenserve",
-    tyler: "tylertech",
-    mgo: "mygovernmentonline",
-    opengov: "opengov",
-    viewpoint: "viewpoint",
-    cityview: "cityview",
-  };
-
-  for (const [label, match] of Object.entries(map)) {
-    if (lower.includes(match)) return label;
+    const { data } = await getLLM().generateJSON({
+      model: "gpt-4o-mini",
+      prompt,
+      schemaName: "cronPortalLookup",
+      meta: { worker: "cron-portal", jurisdiction_geoid: geoid },
+      schema: {
+        type: "object",
+        properties: {
+          url: { type: ["string", "null"] },
+          notes: { type: ["string", "null"] },
+        },
+        required: ["url"],
+      },
+    });
+    return data;
+  } catch (err) {
+    if (err.code !== "invalid_json") throw err;
+    return { url: null, notes: "AI did not return clean JSON", raw: err.raw };
   }
-
-  if (lower.endsWith(".gov")) return "municipal";
-  return "unknown";
 }
 
 // ---------------------------------------------------------------------------
@@ -148,9 +95,9 @@ export default async function handler(req, res) {
     const fullName = `${jur.name}, ${jur.statefp}`;
 
     // 2. AI lookup
-    const ai = await aiLookup(fullName);
+    const ai = await aiLookup(fullName, jur.geoid);
 
-    const finalURL = validateURL(ai.url);
+    const finalURL = validateURL(normalizeVendorUrl(ai.url));
     const vendor = detectVendor(finalURL);
 
     // 3. Insert into jurisdiction_meta
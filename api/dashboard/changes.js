@@ -0,0 +1,53 @@
+// api/dashboard/changes.js
+//
+// GET → recent snapshot diffs (lib/snapshotDiff.js), most recent first
+//       ?min_significance=0..1  ?geoid=  ?limit=  ?offset=
+//       The stored diff body is left out; ?full=1 includes it.
+import { fetchSupabase } from "../_utils.js";
+
+const SUMMARY_COLUMNS =
+  "id,snapshot_id,previous_snapshot_id,crawl_session_id,jurisdiction_geoid,url,significance,summary,created_at";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const limit = parseInt(req.query.limit || "50", 10);
+    const offset = parseInt(req.query.offset || "0", 10);
+    const minSignificance = parseFloat(req.query.min_significance || "0");
+    const columns = req.query.full === "1" ? `${SUMMARY_COLUMNS},diff` : SUMMARY_COLUMNS;
+
+    let path = `snapshot_diffs?select=${columns}&order=created_at.desc&limit=${limit}&offset=${offset}`;
+    if (minSignificance > 0) path += `&significance=gte.${minSignificance}`;
+    if (req.query.geoid) path += `&jurisdiction_geoid=eq.${encodeURIComponent(req.query.geoid)}`;
+
+    const { data, error } = await fetchSupabase(path);
+
+    if (error) {
+      console.error("changes list error:", error);
+      return res.status(500).json({ rows: [], error });
+    }
+
+    const rows = Array.isArray(data) ? data : [];
+
+    // Attach jurisdiction names
+    const geoids = [...new Set(rows.map(r => r.jurisdiction_geoid).filter(Boolean))];
+    const names = {};
+
+    if (geoids.length) {
+      const j = await fetchSupabase(
+        `jurisdictions?select=geoid,name&geoid=in.(${geoids.map(encodeURIComponent).join(",")})`
+      );
+      for (const row of j.data ?? []) names[row.geoid] = row.name;
+    }
+
+    return res.status(200).json({
+      rows: rows.map(r => ({ ...r, name: names[r.jurisdiction_geoid] ?? r.jurisdiction_geoid }))
+    });
+  } catch (err) {
+    console.error("changes error:", err);
+    return res.status(500).json({ error: "Internal error", message: err.message });
+  }
+}
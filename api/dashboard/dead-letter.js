@@ -0,0 +1,87 @@
+// api/dashboard/dead-letter.js
+//
+// GET  → dead-lettered jobs across all queues (dead_letter_jobs view)
+//        ?queue=search|discovery|crawl|parse  ?kind=<last_error_kind>
+//        ?limit=  ?offset=
+// POST → bulk re-queue { queue, ids?, kind? }
+//        Without ids, every dead row of the queue (optionally of one error
+//        kind) goes back to pending with a fresh attempt budget.
+import { fetchSupabase } from "../_utils.js";
+import { QUEUES } from "../../lib/jobQueue.js";
+
+function parseBody(req) {
+  return typeof req.body === "string"
+    ? JSON.parse(req.body || "{}")
+    : (req.body || {});
+}
+
+async function listDead(req, res) {
+  const { queue, kind } = req.query;
+  const limit = parseInt(req.query.limit || "100", 10);
+  const offset = parseInt(req.query.offset || "0", 10);
+
+  let path = `dead_letter_jobs?order=updated_at.desc&limit=${limit}&offset=${offset}`;
+  if (queue) path += `&queue=eq.${encodeURIComponent(queue)}`;
+  if (kind) path += `&last_error_kind=eq.${encodeURIComponent(kind)}`;
+
+  const { data, error } = await fetchSupabase(path);
+
+  if (error) {
+    console.error("dead-letter list error:", error);
+    return res.status(500).json({ rows: [], error });
+  }
+
+  return res.status(200).json({ rows: Array.isArray(data) ? data : [] });
+}
+
+async function requeueDead(req, res) {
+  let body;
+  try {
+    body = parseBody(req);
+  } catch (e) {
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+
+  const { queue, ids, kind } = body;
+  const q = QUEUES[queue];
+
+  if (!q) {
+    return res.status(400).json({ error: `Unknown queue: ${queue}` });
+  }
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+    return res.status(400).json({ error: "ids must be a non-empty array" });
+  }
+
+  let path = `${q.table}?status=eq.dead`;
+  if (ids) path += `&id=in.(${ids.map(id => encodeURIComponent(id)).join(",")})`;
+  if (kind) path += `&last_error_kind=eq.${encodeURIComponent(kind)}`;
+
+  // Keep last_error for history; the next failure overwrites it
+  const { data, error } = await fetchSupabase(path, "PATCH", {
+    status: q.requeueStatus,
+    attempt_count: 0,
+    next_attempt_at: null,
+    updated_at: new Date().toISOString()
+  });
+
+  if (error) {
+    console.error("dead-letter requeue error:", error);
+    return res.status(500).json({ error: "Failed to re-queue jobs" });
+  }
+
+  const requeued = Array.isArray(data) ? data.length : 0;
+  console.log(`dead-letter: re-queued ${requeued} ${queue} job(s)`);
+
+  return res.status(200).json({ ok: true, requeued });
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === "GET") return await listDead(req, res);
+    if (req.method === "POST") return await requeueDead(req, res);
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    console.error("dead-letter error:", err);
+    return res.status(500).json({ error: "Internal error", message: err.message });
+  }
+}
@@ -0,0 +1,64 @@
+// api/dashboard/mapping-progress.js
+//
+// Nationwide county mapping progress for the dashboard map:
+//   totals     counties per lifecycle state
+//   byState    per-state counts (mapping_progress_by_state) + % complete
+//   attention  failed / stalled counties with their error summaries
+import { fetchSupabase } from "../_utils.js";
+import { MAPPING_STATES } from "../../lib/mappingStatus.js";
+import { stateAbbrFromFips, stateNameFromFips } from "../../lib/states.js";
+
+const COMPLETE_STATES = ["parsed", "verified"];
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const [byStateResp, attentionResp] = await Promise.all([
+      fetchSupabase("mapping_progress_by_state?order=statefp.asc"),
+      fetchSupabase(
+        "county_mapping_status?mapping_status=in.(failed,stalled)" +
+        "&order=stage_entered_at.asc&limit=50"
+      )
+    ]);
+
+    if (byStateResp.error) {
+      console.error("mapping-progress error:", byStateResp.error);
+      return res.status(500).json({ error: "Failed to load mapping progress" });
+    }
+
+    const totals = Object.fromEntries(MAPPING_STATES.map(s => [s, 0]));
+
+    const byState = (byStateResp.data ?? []).map(row => {
+      const counts = {};
+      for (const s of MAPPING_STATES) {
+        counts[s] = Number(row[s] ?? 0);
+        totals[s] += counts[s];
+      }
+
+      const counties = Number(row.counties ?? 0);
+      const complete = COMPLETE_STATES.reduce((n, s) => n + counts[s], 0);
+
+      return {
+        statefp: row.statefp,
+        abbr: stateAbbrFromFips(row.statefp),
+        name: stateNameFromFips(row.statefp),
+        counties,
+        ...counts,
+        complete_pct: counties ? Math.round((complete / counties) * 1000) / 10 : 0
+      };
+    });
+
+    const attention = (attentionResp.data ?? []).map(row => ({
+      ...row,
+      state: stateAbbrFromFips(row.statefp)
+    }));
+
+    return res.status(200).json({ totals, byState, attention });
+  } catch (err) {
+    console.error("mapping-progress error:", err);
+    return res.status(500).json({ error: "Internal error", message: err.message });
+  }
+}
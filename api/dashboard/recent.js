@@ -1,4 +1,5 @@
 import { fetchSupabase } from "../_utils.js";
+import { canonicalVendorId, vendorDisplayName } from "../../lib/vendorRegistry.js";
 
 export default async function handler(req, res) {
   try {
@@ -10,9 +11,9 @@ export default async function handler(req, res) {
 
     const rows = recent.data ?? [];
 
-    // vendor breakdown
+    // vendor breakdown (legacy labels folded into canonical vendors)
     const vendorBreakdown = rows.reduce((acc, row) => {
-      const vendor = row.vendor_type || "unknown";
+      const vendor = vendorDisplayName(canonicalVendorId(row.vendor_type));
       acc[vendor] = (acc[vendor] || 0) + 1;
       return acc;
     }, {});
@@ -28,7 +29,8 @@ export default async function handler(req, res) {
 
       fullRows.push({
         ...r,
-        name: j.data?.[0]?.name ?? r.jurisdiction_geoid
+        name: j.data?.[0]?.name ?? r.jurisdiction_geoid,
+        vendor_name: r.vendor_type ? vendorDisplayName(r.vendor_type) : null
       });
     }
 
@@ -57,6 +57,7 @@ export default async function handler(req, res) {
 
     const hasPortal = !!finalPortalUrl;
     const hasManualInfo = !!finalManualInfoUrl;
+    const delegatedTo = hasPortal ? null : jm.permits_handled_by || null;
 
     // 3) Update jurisdictions based on classification
     if (hasPortal) {
@@ -68,11 +69,25 @@ export default async function handler(req, res) {
           portal_url: finalPortalUrl,
           submission_method: "online",
           requires_license: jm.license_required ?? null,
+          permits_handled_by: null,
+          updated_at: now
+        }
+      );
+    } else if (delegatedTo) {
+      // Permits handled by another jurisdiction (usually the county)
+      await fetchSupabase(
+        `jurisdictions?geoid=eq.${jm.jurisdiction_geoid}`,
+        "PATCH",
+        {
+          portal_url: null,
+          submission_method: "delegated",
+          permits_handled_by: delegatedTo,
           updated_at: now
         }
       );
     } else if (hasManualInfo) {
-      // Offline PDF/manual-only jurisdiction
+      // Offline PDF/manual-only jurisdiction (also how a place detected as
+      // offline-only by discovery or the crawler reaches `jurisdictions`)
       await fetchSupabase(
         `jurisdictions?geoid=eq.${jm.jurisdiction_geoid}`,
         "PATCH",
@@ -80,6 +95,7 @@ export default async function handler(req, res) {
           portal_url: null,
           submission_method: "offline_only",
           requires_license: jm.license_required ?? null,
+          permits_handled_by: null,
           updated_at: now
         }
       );
@@ -94,6 +110,7 @@ export default async function handler(req, res) {
       {
         portal_url: hasPortal ? finalPortalUrl : null,
         manual_info_url: finalManualInfoUrl,
+        permits_handled_by: delegatedTo,
         human_notes: finalHumanNotes,
         verified: true,
         verified_at: now,
@@ -117,7 +134,8 @@ export default async function handler(req, res) {
       id,
       jurisdiction_geoid: jm.jurisdiction_geoid,
       portal_url: finalPortalUrl,
-      manual_info_url: finalManualInfoUrl
+      manual_info_url: finalManualInfoUrl,
+      permits_handled_by: delegatedTo
     });
   } catch (err) {
     console.error("review/approve error:", err);
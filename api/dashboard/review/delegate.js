@@ -0,0 +1,129 @@
+// api/dashboard/review/delegate.js
+import { fetchSupabase } from "../../_utils.js";
+
+// Record a reviewed jurisdiction as delegated: its permits are issued by
+// another jurisdiction (usually its county), see lib/delegation.js
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    let body = {};
+    try {
+      body =
+        typeof req.body === "string"
+          ? JSON.parse(req.body || "{}")
+          : (req.body || {});
+    } catch (e) {
+      return res.status(400).json({ error: "Invalid JSON body" });
+    }
+
+    const { id, handled_by, human_notes } = body;
+    const handledBy = handled_by && String(handled_by).trim();
+
+    if (!id) {
+      return res.status(400).json({ error: "Missing id" });
+    }
+
+    // 1) Load meta row
+    const { data: metaRows, error: metaErr } = await fetchSupabase(
+      `jurisdiction_meta?id=eq.${id}&limit=1`
+    );
+
+    if (metaErr) {
+      console.error("delegate: meta fetch error", metaErr);
+      return res.status(500).json({ error: "Failed to fetch meta" });
+    }
+
+    if (!metaRows || metaRows.length === 0) {
+      return res.status(404).json({ error: "Meta row not found" });
+    }
+
+    const jm = metaRows[0];
+    const now = new Date().toISOString();
+
+    // 2) Default to the jurisdiction's county
+    let finalHandledBy = handledBy || jm.permits_handled_by || null;
+    if (!finalHandledBy) {
+      const { data: jurRows } = await fetchSupabase(
+        `jurisdictions?geoid=eq.${jm.jurisdiction_geoid}&select=county_geoid&limit=1`
+      );
+      finalHandledBy = jurRows?.[0]?.county_geoid || null;
+    }
+
+    if (!finalHandledBy || finalHandledBy === jm.jurisdiction_geoid) {
+      return res.status(400).json({ error: "Missing or invalid handled_by" });
+    }
+
+    // 3) The delegate must be a known jurisdiction
+    const { data: delegateRows, error: delegateErr } = await fetchSupabase(
+      `jurisdictions?geoid=eq.${finalHandledBy}&select=geoid,name&limit=1`
+    );
+
+    if (delegateErr) {
+      console.error("delegate: jurisdiction fetch error", delegateErr);
+      return res.status(500).json({ error: "Failed to fetch jurisdiction" });
+    }
+
+    if (!delegateRows || delegateRows.length === 0) {
+      return res.status(404).json({ error: "handled_by jurisdiction not found" });
+    }
+
+    const finalHumanNotes =
+      (human_notes && human_notes.trim()) || jm.human_notes || null;
+
+    // 4) Update jurisdictions
+    await fetchSupabase(
+      `jurisdictions?geoid=eq.${jm.jurisdiction_geoid}`,
+      "PATCH",
+      {
+        portal_url: null,
+        submission_method: "delegated",
+        permits_handled_by: finalHandledBy,
+        updated_at: now
+      }
+    );
+
+    // 5) Update this meta row as verified
+    await fetchSupabase(
+      `jurisdiction_meta?id=eq.${id}`,
+      "PATCH",
+      {
+        portal_url: null,
+        vendor_type: "delegated",
+        submission_method: "delegated",
+        permits_handled_by: finalHandledBy,
+        delegation_source: jm.permits_handled_by === finalHandledBy
+          ? jm.delegation_source || "manual"
+          : "manual",
+        human_notes: finalHumanNotes,
+        verified: true,
+        verified_at: now,
+        invalid: false,
+        invalid_at: null
+      }
+    );
+
+    // 6) Mark all *other* meta rows for this jurisdiction as invalid
+    await fetchSupabase(
+      `jurisdiction_meta?jurisdiction_geoid=eq.${jm.jurisdiction_geoid}&id=neq.${id}`,
+      "PATCH",
+      {
+        invalid: true,
+        invalid_at: now
+      }
+    );
+
+    return res.status(200).json({
+      status: "ok",
+      id,
+      jurisdiction_geoid: jm.jurisdiction_geoid,
+      permits_handled_by: finalHandledBy,
+      handled_by_name: delegateRows[0].name
+    });
+  } catch (err) {
+    console.error("review/delegate error:", err);
+    return res.status(500).json({ error: "Internal error", message: err.message });
+  }
+}
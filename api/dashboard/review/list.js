@@ -22,6 +22,27 @@ export default async function handler(req, res) {
 
     const rows = Array.isArray(data) ? data : [];
 
+    // Ownership check of each suggested portal (lib/ownershipVerifier.js)
+    // and any detected delegation (lib/delegation.js)
+    const geoids = [...new Set(rows.map(r => r.jurisdiction_geoid).filter(Boolean))];
+    if (geoids.length) {
+      const { data: owned, error: ownErr } = await fetchSupabase(
+        `jurisdiction_meta?jurisdiction_geoid=in.(${geoids.join(",")})&select=jurisdiction_geoid,ownership,permits_handled_by,delegation_source`
+      );
+
+      if (ownErr) {
+        console.error("review/list ownership error:", ownErr);
+      } else {
+        const byGeoid = new Map((owned || []).map(o => [o.jurisdiction_geoid, o]));
+        for (const r of rows) {
+          const o = byGeoid.get(r.jurisdiction_geoid);
+          r.ownership = o?.ownership ?? null;
+          r.permits_handled_by = o?.permits_handled_by ?? null;
+          r.delegation_source = o?.delegation_source ?? null;
+        }
+      }
+    }
+
     return res.status(200).json({ rows });
   } catch (err) {
     console.error("review/list error:", err);
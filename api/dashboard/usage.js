@@ -1,33 +1,56 @@
 import { fetchSupabase } from "../_utils.js";
+import { DEFAULT_DAILY_AI_LIMIT, getDailyBudgets } from "../../lib/aiLedger.js";
+
+// Ledger view rows → the { day, count, ... } shape the dashboard charts
+function toUsage(row) {
+  return {
+    day: row.day,
+    count: Number(row.calls ?? 0),
+    tokens: Number(row.total_tokens ?? 0),
+    cost_usd: Number(row.cost_usd ?? 0),
+    failed: Number(row.failed_calls ?? 0)
+  };
+}
 
 export default async function handler(req, res) {
   try {
     const today = new Date().toISOString().slice(0, 10);
+    const budgets = getDailyBudgets();
+    // discovery stops at the default call limit when DAILY_AI_LIMIT is unset
+    const callLimit = budgets.calls ?? DEFAULT_DAILY_AI_LIMIT;
 
-    // today's usage
+    // today's usage, across every worker (ai_call_ledger)
     const todayResp = await fetchSupabase(
-      `/portal_ai_usage?day=eq.${today}&limit=1`,
+      `/ai_daily_usage?day=eq.${today}&limit=1`,
       "GET"
     );
 
-    const todayCount =
-      todayResp.data?.[0]?.count !== undefined ? todayResp.data[0].count : 0;
+    const todayUsage = todayResp.data?.[0]
+      ? toUsage(todayResp.data[0])
+      : { day: today, count: 0, tokens: 0, cost_usd: 0, failed: 0 };
+
+    // per-worker split for today
+    const byWorker = await fetchSupabase(
+      `/ai_daily_usage_by_worker?day=eq.${today}&order=cost_usd.desc`,
+      "GET"
+    );
 
     // last 14 days
     const last14 = await fetchSupabase(
-      `/portal_ai_usage?order=day.desc&limit=14`,
+      `/ai_daily_usage?order=day.desc&limit=14`,
       "GET"
     );
 
     return res.status(200).json({
-      today: { count: todayCount },
-      limit: 30,
-      remaining: Math.max(0, 30 - todayCount),
-      last14: last14.data ?? []
+      today: todayUsage,
+      limit: callLimit,
+      remaining: Math.max(0, callLimit - todayUsage.count),
+      budgets,
+      byWorker: byWorker.data ?? [],
+      last14: (last14.data ?? []).map(toUsage)
     });
   } catch (err) {
     console.error("Usage Error:", err);
     res.status(500).json({ error: "server_error", message: err.message });
   }
 }
-
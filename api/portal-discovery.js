@@ -3,21 +3,20 @@ export const config = {
   runtime: "nodejs", // ✅ correct value for Vercel node runtime
 };
 
-import OpenAI from "openai";
+import { getLLM } from "../lib/llmProvider.js";
+import { DEFAULT_DAILY_AI_LIMIT, getDailyBudgets, getDailyUsage } from "../lib/aiLedger.js";
+import { validateURL, detectVendor } from "../lib/portalUtils.js";
+import { normalizeVendorUrl } from "../lib/vendorRegistry.js";
 
 // ---------- ENV ----------
-const OPENAI_KEY = process.env.OPENAI_API_KEY;
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE;
-const DAILY_AI_LIMIT = parseInt(process.env.DAILY_AI_LIMIT || "25", 10);
 const CRON_SECRET = process.env.CRON_SECRET || null;
 
-if (!OPENAI_KEY || !SUPABASE_URL || !SUPABASE_SERVICE_ROLE) {
+if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE) {
   console.warn("⚠️ Missing required env for portal discovery.");
 }
 
-const openai = new OpenAI({ apiKey: OPENAI_KEY });
-
 // ---------- Supabase helper ----------
 async function sb(path, method = "GET", body) {
   const res = await fetch(`${SUPABASE_URL}/rest/v1/${path}`, {
@@ -43,75 +42,8 @@ async function sb(path, method = "GET", body) {
   }
 }
 
-// ---------- JSON extractor ----------
-function extractJsonFromText(text) {
-  if (!text) return null;
-
-  let match = text.match(/```json([\s\S]*?)```/i);
-  if (!match) match = text.match(/```([\s\S]*?)```/);
-
-  const candidate = match ? match[1] : text;
-
-  try {
-    return JSON.parse(candidate.trim());
-  } catch {
-    return null;
-  }
-}
-
-// ---------- URL validation ----------
-function validateURL(url) {
-  if (!url) return null;
-  const trimmed = url.trim();
-  if (!trimmed.startsWith("http")) return null;
-  if (!trimmed.includes(".")) return null;
-
-  const lower = trimmed.toLowerCase();
-  const vendorKeywords = [
-    "accela",
-    "energov",
-    "etrakit",
-    "citizenserve",
-    "tylertech",
-    "mygovernmentonline",
-    "opengov",
-    "viewpoint",
-    "cityview",
-  ];
-
-  if (lower.endsWith(".gov")) return trimmed;
-  if (vendorKeywords.some((v) => lower.includes(v))) return trimmed;
-
-  return null;
-}
-
-// ---------- Vendor detection ----------
-function detectVendor(url) {
-  if (!url) return "unknown";
-  const lower = url.toLowerCase();
-
-  const map = {
-    accela: "accela",
-    energov: "energov",
-    etrakit: "etrakit",
-    citizenserve: "citizenserve",
-    tyler: "tylertech",
-    mygov: "mygovernmentonline",
-    opengov: "opengov",
-    viewpoint: "viewpoint",
-    cityview: "cityview",
-  };
-
-  for (const [vendor, keyword] of Object.entries(map)) {
-    if (lower.includes(keyword)) return vendor;
-  }
-
-  if (lower.endsWith(".gov")) return "municipal";
-  return "unknown";
-}
-
 // ---------- AI lookup ----------
-async function discoverPortalWithAI(readableName) {
+async function discoverPortalWithAI(readableName, geoid) {
   const prompt = `
 Return ONLY this shape:
 
@@ -129,40 +61,36 @@ Rules:
 - The "url" should be the most direct portal page, not a generic homepage.
 `;
 
-  const response = await openai.responses.create({
-    model: "gpt-4.1-mini",
-    input: prompt,
-  });
-
-  let textOutput = "";
-
   try {
-    const first = response.output?.[0];
-    const content = first?.content?.[0]?.text;
-    textOutput = typeof content === "string" ? content : content?.value || "";
-  } catch {
-    textOutput = "";
-  }
-
-  if (!textOutput && response.output_text) {
-    textOutput = response.output_text;
-  }
+    const { data, text } = await getLLM().generateJSON({
+      model: "gpt-4.1-mini",
+      prompt,
+      schemaName: "portalDiscoveryLookup",
+      meta: { worker: "portal-discovery", jurisdiction_geoid: geoid },
+      schema: {
+        type: "object",
+        properties: {
+          url: { type: ["string", "null"] },
+          notes: { type: ["string", "null"] },
+        },
+        required: ["url"],
+      },
+    });
 
-  const parsed = extractJsonFromText(textOutput);
+    return {
+      url: data.url || null,
+      notes: data.notes || "Parsed JSON",
+      raw: text,
+    };
+  } catch (err) {
+    if (err.code !== "invalid_json") throw err;
 
-  if (parsed && typeof parsed === "object") {
     return {
-      url: parsed.url || null,
-      notes: parsed.notes || "Parsed JSON",
-      raw: textOutput,
+      url: null,
+      notes: "Non-JSON AI output",
+      raw: err.raw,
     };
   }
-
-  return {
-    url: null,
-    notes: "Non-JSON AI output",
-    raw: textOutput,
-  };
 }
 
 // ---------------------------------------------------------------------------
@@ -184,17 +112,15 @@ export default async function handler(req, res) {
 
     console.log("🚀 Portal discovery fired");
 
-    const today = new Date().toISOString().slice(0, 10);
-
-    // ---------- Daily usage ----------
-    const usageRows = await sb(`portal_ai_usage?day=eq.${today}&limit=1`);
-    const used = usageRows?.[0]?.count ?? 0;
+    // ---------- Daily usage (all workers, from the AI ledger) ----------
+    const { calls: used } = await getDailyUsage({ fresh: true });
+    const limit = getDailyBudgets().calls ?? DEFAULT_DAILY_AI_LIMIT;
 
-    if (used >= DAILY_AI_LIMIT) {
+    if (used >= limit) {
       return res.status(200).json({
         status: "daily_limit_reached",
         used,
-        DAILY_AI_LIMIT,
+        DAILY_AI_LIMIT: limit,
       });
     }
 
@@ -213,8 +139,8 @@ export default async function handler(req, res) {
     console.log("🔍 Discovering:", jur.geoid, readableName);
 
     // ---------- AI discovery ----------
-    const ai = await discoverPortalWithAI(readableName);
-    const validUrl = validateURL(ai.url);
+    const ai = await discoverPortalWithAI(readableName, jur.geoid);
+    const validUrl = validateURL(normalizeVendorUrl(ai.url));
     const vendor = detectVendor(validUrl);
 
     // ---------- Update jurisdictions as source of truth ----------
@@ -242,18 +168,6 @@ export default async function handler(req, res) {
       // Not fatal for the pipeline
     }
 
-    // ---------- Update usage ----------
-    if (!usageRows?.length) {
-      await sb("portal_ai_usage", "POST", {
-        day: today,
-        count: 1,
-      });
-    } else {
-      await sb(`portal_ai_usage?day=eq.${today}`, "PATCH", {
-        count: used + 1,
-      });
-    }
-
     return res.status(200).json({
       geoid: jur.geoid,
       name: jur.name,
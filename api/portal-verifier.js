@@ -3,7 +3,10 @@ export const config = {
   runtime: "nodejs"
 };
 
-import dns from "node:dns/promises";
+import { detectVendorFromContent, isUncheckedProbe, probeUrl } from "../lib/portalUtils.js";
+import { resolvePortalUrl } from "../lib/urlResolver.js";
+import { classifyPermitPortal } from "../lib/portalClassifier.js";
+import { politeFetch } from "../lib/politeFetch.js";
 
 // ------------------------------------------------------------
 // ENV
@@ -39,25 +42,12 @@ async function sb(path, method = "GET", body) {
   }
 }
 
-// ------------------------------------------------------------
-// Utility: does the host resolve?
-// ------------------------------------------------------------
-async function hostResolves(urlStr) {
-  try {
-    const u = new URL(urlStr);
-    await dns.lookup(u.hostname);
-    return true;
-  } catch {
-    return false;
-  }
-}
-
 // ------------------------------------------------------------
 // Utility: fetch HTML and scan it
 // ------------------------------------------------------------
 async function fetchAndAnalyze(url) {
   try {
-    const res = await fetch(url, { redirect: "follow" });
+    const res = await politeFetch(url, { redirect: "follow" });
 
     if (!res.ok) {
       return { ok: false, status: res.status, html: "" };
@@ -69,67 +59,12 @@ async function fetchAndAnalyze(url) {
     }
 
     const html = await res.text();
-    return { ok: true, html };
+    return { ok: true, html, url: res.url || url, headers: res.headers };
   } catch (e) {
     return { ok: false, html: "" };
   }
 }
 
-// ------------------------------------------------------------
-// Utility: detect vendor from HTML
-// ------------------------------------------------------------
-function detectVendorFromHTML(html, url) {
-  if (!html) return detectVendorFromURL(url);
-
-  const lower = html.toLowerCase();
-
-  const keywords = {
-    accela: "accela",
-    energov: "energov",
-    etrakit: "etrakit",
-    citizenserve: "citizenserve",
-    tylertech: "tyler",
-    mygovernmentonline: "mygovernmentonline",
-    opengov: "opengov",
-    viewpoint: "viewpoint",
-    cityview: "cityview"
-  };
-
-  for (const key of Object.keys(keywords)) {
-    if (lower.includes(key)) return key;
-  }
-
-  return detectVendorFromURL(url);
-}
-
-// ------------------------------------------------------------
-// Fallback vendor detector from just URL
-// ------------------------------------------------------------
-function detectVendorFromURL(url) {
-  if (!url) return "unknown";
-
-  const lower = url.toLowerCase();
-  const vendors = {
-    accela: "accela",
-    energov: "energov",
-    etrakit: "etrakit",
-    citizenserve: "citizenserve",
-    tylertech: "tylertech",
-    mygovernmentonline: "mygovernmentonline",
-    opengov: "opengov",
-    viewpoint: "viewpoint",
-    cityview: "cityview"
-  };
-
-  for (const [vendor, kw] of Object.entries(vendors)) {
-    if (lower.includes(kw)) return vendor;
-  }
-
-  if (lower.endsWith(".gov")) return "municipal";
-
-  return "unknown";
-}
-
 // ------------------------------------------------------------
 // MAIN HANDLER
 // ------------------------------------------------------------
@@ -172,48 +107,82 @@ export default async function handler(req, res) {
 
       console.log(`➡️  Checking ${jurisdiction_geoid} → ${portal_url}`);
 
-      // ----------------- Step A: DNS Check -------------------
-      const resolves = await hostResolves(portal_url);
-      if (!resolves) {
-        result.reason = "DNS_Failure";
-        await markAsInvalid(row);
+      // ----------------- Step A: Canonical URL ---------------
+      // Stored URLs are often login redirects that expire; verify the
+      // landing page they resolve to and store that instead.
+      const resolved = await resolvePortalUrl(portal_url);
+      const canonicalUrl = resolved.url || portal_url;
+      result.url = canonicalUrl;
+
+      // ----------------- Step B: Liveness --------------------
+      const liveness = await probeUrl(canonicalUrl);
+      result.liveness = liveness;
+
+      if (!liveness.alive) {
+        result.reason = liveness.failure;
+
+        // A WAF in front of the portal, or a host backing us off, says
+        // nothing about the portal; keep the row for a later run instead
+        // of invalidating it.
+        if (liveness.failure === "bot_block" || isUncheckedProbe(liveness)) {
+          await sb(`jurisdiction_meta?id=eq.${id}`, "PATCH", { liveness });
+        } else {
+          await markAsInvalid(row, liveness);
+        }
+
         results.push(result);
         continue;
       }
 
-      // ----------------- Step B: Fetch Check -----------------
-      const fetchResult = await fetchAndAnalyze(portal_url);
+      // ----------------- Step C: Fetch Check -----------------
+      const fetchResult = await fetchAndAnalyze(canonicalUrl);
       if (!fetchResult.ok) {
         result.reason = "Fetch_Failure";
-        await markAsInvalid(row);
+        await markAsInvalid(row, liveness);
         results.push(result);
         continue;
       }
 
       const html = fetchResult.html.toLowerCase();
 
-      // ----------------- Step C: Keyword Check -----------------
-      const required = ["permit", "apply", "contractor", "citizen", "portal"];
-      const hits = required.filter(k => html.includes(k));
+      // ----------------- Step D: Portal Classifier -----------------
+      const classified = classifyPermitPortal(fetchResult.html, {
+        url: fetchResult.url
+      });
 
-      if (hits.length === 0) {
-        result.reason = "No_Portal_Keywords";
-        await markAsInvalid(row);
+      if (!classified.isPortal) {
+        result.reason = "Not_Portal_Page";
+        result.portal_score = classified.score;
+        await markAsInvalid(row, liveness);
         results.push(result);
         continue;
       }
 
-      // ----------------- Step D: Vendor Check -----------------
-      const vendor = detectVendorFromHTML(html, portal_url);
+      // ----------------- Step E: Vendor Check -----------------
+      // Fingerprint the original (case-preserved) page and headers so
+      // custom-domain vendor portals are labelled with the vendor.
+      const detected = detectVendorFromContent({
+        url: fetchResult.url,
+        html: fetchResult.html,
+        headers: fetchResult.headers
+      });
 
-      // ----------------- Step E: Store Verified ----------------
+      // ----------------- Step F: Store Verified ----------------
       await sb(`jurisdiction_meta?id=eq.${id}`, "PATCH", {
+        portal_url: canonicalUrl,
+        redirect_chain: resolved.chain,
+        liveness,
         verified: true,
         verified_at: new Date().toISOString(),
-        vendor_type: vendor,
+        vendor_type: detected.vendor,
+        vendor_confidence: detected.confidence,
+        vendor_evidence: detected.evidence,
+        portal_score: classified.score,
+        portal_features: classified.features,
         verification_html_sample: html.slice(0, 2000) // small snippet
       });
 
+      result.vendor = detected.vendor;
       result.verified = true;
       result.reason = "OK";
       results.push(result);
@@ -237,14 +206,15 @@ export default async function handler(req, res) {
 // ------------------------------------------------------------
 // Mark invalid + requeue for AI
 // ------------------------------------------------------------
-async function markAsInvalid(row) {
+async function markAsInvalid(row, liveness = null) {
   const { id, jurisdiction_geoid } = row;
 
-  // Update meta
+  // Update meta (liveness tells reviewers why it was dropped)
   await sb(`jurisdiction_meta?id=eq.${id}`, "PATCH", {
     verified: false,
     invalid: true,
-    invalid_at: new Date().toISOString()
+    invalid_at: new Date().toISOString(),
+    liveness
   });
 
   // Requeue in discovery jobs table
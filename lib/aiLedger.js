@@ -0,0 +1,189 @@
+// lib/aiLedger.js
+//
+// Per-call AI ledger and daily budget guard.
+//
+// lib/llmProvider.js writes one ai_call_ledger row for every model call
+// (worker, model, jurisdiction, tokens, estimated cost, latency, outcome)
+// and asks assertWithinBudget() before each call. The dashboard and the
+// daily report read the ai_daily_usage view built on the ledger.
+//
+// Budgets (UTC day, unset = unlimited):
+//   AI_DAILY_BUDGET_USD     estimated dollars
+//   AI_DAILY_TOKEN_BUDGET   prompt + completion tokens
+//   DAILY_AI_LIMIT          number of calls
+//
+// Every budget counts every ledger row of the day: calls from all
+// workers (discovery, parser, anything else going through
+// lib/llmProvider.js), failed calls included. api/portal-discovery.js
+// also stops at DEFAULT_DAILY_AI_LIMIT calls when DAILY_AI_LIMIT is
+// unset; the dashboard and the daily report show that same fallback.
+
+import { sb } from "./supabase.js";
+
+// USD per 1M tokens, [input, output]. Unknown models are priced like the
+// most expensive entry so the budget errs on the safe side.
+const PRICING = {
+  "gpt-4o-mini": [0.15, 0.6],
+  "gpt-4o": [2.5, 10],
+  "gpt-4.1": [2, 8],
+  "gpt-4.1-mini": [0.4, 1.6],
+  "gpt-4.1-nano": [0.1, 0.4]
+};
+const FALLBACK_PRICE = [2.5, 10];
+
+// Budget reads are cached briefly so a batch worker does not query the
+// ledger view before every call.
+const USAGE_CACHE_MS = 30000;
+
+let usageCache = null;
+
+// Discovery's call limit when DAILY_AI_LIMIT is unset (not enforced on
+// other workers)
+export const DEFAULT_DAILY_AI_LIMIT = 25;
+
+function envNumber(name) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Price a model name, matching dated snapshots ("gpt-4o-mini-2024-07-18")
+ * to their base model.
+ */
+function priceFor(model) {
+  if (PRICING[model]) return PRICING[model];
+
+  const base = Object.keys(PRICING)
+    .sort((a, b) => b.length - a.length)
+    .find(k => (model || "").startsWith(k));
+
+  return base ? PRICING[base] : FALLBACK_PRICE;
+}
+
+/**
+ * Estimated USD cost of a call.
+ */
+export function estimateCost(model, usage = {}) {
+  const [inPrice, outPrice] = priceFor(model);
+  const cost =
+    ((usage.input_tokens || 0) * inPrice + (usage.output_tokens || 0) * outPrice) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Configured daily budgets; null means unlimited.
+ */
+export function getDailyBudgets() {
+  return {
+    usd: envNumber("AI_DAILY_BUDGET_USD"),
+    tokens: envNumber("AI_DAILY_TOKEN_BUDGET"),
+    calls: envNumber("DAILY_AI_LIMIT")
+  };
+}
+
+/**
+ * Today's totals from the ai_daily_usage view.
+ *   → { day, calls, total_tokens, cost_usd }
+ */
+export async function getDailyUsage({ fresh = false } = {}) {
+  const day = today();
+
+  if (!fresh && usageCache && usageCache.day === day && Date.now() - usageCache.at < USAGE_CACHE_MS) {
+    return usageCache.usage;
+  }
+
+  const rows = await sb(`ai_daily_usage?day=eq.${day}&limit=1`);
+  const row = Array.isArray(rows) ? rows[0] : null;
+
+  const usage = {
+    day,
+    calls: Number(row?.calls ?? 0),
+    total_tokens: Number(row?.total_tokens ?? 0),
+    cost_usd: Number(row?.cost_usd ?? 0)
+  };
+
+  usageCache = { day, at: Date.now(), usage };
+  return usage;
+}
+
+/**
+ * Which daily budget today's usage has hit, or null.
+ */
+export function exceededBudget(usage, budgets = getDailyBudgets()) {
+  if (budgets.usd !== null && usage.cost_usd >= budgets.usd) return "usd";
+  if (budgets.tokens !== null && usage.total_tokens >= budgets.tokens) return "tokens";
+  if (budgets.calls !== null && usage.calls >= budgets.calls) return "calls";
+  return null;
+}
+
+/**
+ * Throw (code "budget_exceeded") when a daily budget has been hit.
+ */
+export async function assertWithinBudget() {
+  const budgets = getDailyBudgets();
+  if (budgets.usd === null && budgets.tokens === null && budgets.calls === null) return;
+
+  const usage = await getDailyUsage();
+  const hit = exceededBudget(usage, budgets);
+  if (!hit) return;
+
+  const err = new Error(
+    `[AI Ledger] Daily ${hit} budget reached (` +
+    `$${usage.cost_usd.toFixed(2)}, ${usage.total_tokens} tokens, ${usage.calls} calls)`
+  );
+  err.code = "budget_exceeded";
+  err.budget = hit;
+  throw err;
+}
+
+/**
+ * Write one ledger row. Never throws: a ledger outage must not fail the
+ * model call it is recording.
+ */
+export async function recordAiCall({
+  worker,
+  provider,
+  model,
+  jurisdiction_geoid = null,
+  usage = {},
+  latencyMs = null,
+  attempts = 1,
+  outcome,
+  error = null
+}) {
+  const prompt_tokens = usage.input_tokens || 0;
+  const completion_tokens = usage.output_tokens || 0;
+  const cost_usd = estimateCost(model, usage);
+
+  // Keep the cached totals roughly current between refreshes
+  if (usageCache && usageCache.day === today()) {
+    usageCache.usage.calls += 1;
+    usageCache.usage.total_tokens += prompt_tokens + completion_tokens;
+    usageCache.usage.cost_usd += cost_usd;
+  }
+
+  try {
+    await sb("ai_call_ledger", "POST", {
+      worker: worker || "unknown",
+      provider,
+      model,
+      jurisdiction_geoid,
+      prompt_tokens,
+      completion_tokens,
+      total_tokens: prompt_tokens + completion_tokens,
+      cost_usd,
+      latency_ms: latencyMs,
+      attempts,
+      outcome,
+      error
+    });
+  } catch (err) {
+    console.warn("[AI Ledger] Failed to record call:", err.message);
+  }
+}
@@ -0,0 +1,211 @@
+// lib/candidateScorer.js
+//
+// Search-result candidate scoring.
+//
+// The search worker used to store confidence 1.0 for every URL that
+// survived liveness and take the first one as the jurisdiction's portal.
+// The score here combines what we know about a result:
+//
+//   rank       SERP position (1 → 1.0, then 1/√rank)
+//   agreement  how many of the jurisdiction's queries returned the URL
+//   text       permit words and the jurisdiction's name in title/snippet,
+//              news / agenda / jobs words against it
+//   domain     the jurisdiction's name in the host, or in a vendor
+//              tenant path
+//   vendor     a known permit vendor (1), a .gov host (0.5)
+//   portal     permit-portal classifier score (lib/portalClassifier.js)
+//
+// Components that were not measured (no rank, page not classified) are
+// left out and the remaining weights rescaled. Pure and deterministic;
+// `loadCandidateHits` is the only database call.
+
+import { sb } from "./supabase.js";
+import { MUNICIPAL, UNKNOWN, matchVendorByUrl, nameSlugs } from "./vendorRegistry.js";
+
+// Score at or above which a live candidate is trusted as the
+// jurisdiction's portal without review
+export const CONFIDENT_CANDIDATE_SCORE = 0.7;
+
+export const CANDIDATE_WEIGHTS = {
+  rank: 0.15,
+  agreement: 0.1,
+  text: 0.1,
+  domain: 0.2,
+  vendor: 0.15,
+  portal: 0.3
+};
+
+const PERMIT_WORDS = /\b(permits?|permitting|inspections?|citizen access|self[- ]?service|contractors?|licens\w*|plan review|apply online|online services|portal)\b/gi;
+const OFF_TOPIC_WORDS = /\b(news|agenda|minutes|meeting|careers?|jobs?|employment|for sale|real estate|obituar\w*|press release)\b/gi;
+
+// Core slugs this short match too many hosts by accident
+const MIN_SLUG_LENGTH = 4;
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+function rankComponent(rank) {
+  if (!Number.isFinite(rank) || rank < 1) return null;
+  return 1 / Math.sqrt(rank);
+}
+
+function agreementComponent(queryCount) {
+  if (!queryCount) return null;
+  return Math.min(1, (queryCount - 1) / 2);
+}
+
+function textComponent({ title, snippet }, slugs, add) {
+  const text = `${title || ""} ${snippet || ""}`.toLowerCase();
+  if (!text.trim()) return null;
+
+  let c = 0;
+  const permitHits = countMatches(text, PERMIT_WORDS);
+  if (permitHits) {
+    c += Math.min(0.6, 0.2 * permitHits);
+    add("permit_words", permitHits);
+  }
+
+  const compact = text.replace(/[^a-z0-9]/g, "");
+  if (slugs.some(s => s.length >= MIN_SLUG_LENGTH && compact.includes(s))) {
+    c += 0.4;
+    add("name_in_text", 1);
+  }
+
+  const offTopic = countMatches(text, OFF_TOPIC_WORDS);
+  if (offTopic) {
+    c -= 0.3 * offTopic;
+    add("off_topic_words", -offTopic);
+  }
+
+  return Math.max(0, Math.min(1, c));
+}
+
+function domainComponent(parsed, slugs, add) {
+  if (!parsed) return null;
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  const compactHost = host.replace(/[^a-z0-9]/g, "");
+  const compactPath = decodeURIComponent(parsed.pathname).toLowerCase().replace(/[^a-z0-9]/g, "");
+  const usable = slugs.filter(s => s.length >= MIN_SLUG_LENGTH);
+
+  if (usable.some(s => compactHost.includes(s))) {
+    add("name_in_host", 1);
+    return 1;
+  }
+
+  if (matchVendorByUrl(parsed.href) && usable.some(s => compactPath.includes(s))) {
+    add("name_in_tenant_path", 1);
+    return 0.8;
+  }
+
+  if (host.endsWith(".gov")) {
+    add("gov_host", 1);
+    return 0.4;
+  }
+
+  return 0.1;
+}
+
+function vendorComponent(vendor) {
+  if (!vendor || vendor === UNKNOWN) return 0;
+  if (vendor === MUNICIPAL) return 0.5;
+  return 1;
+}
+
+/**
+ * Score one search-result candidate.
+ *
+ * @param {object} c
+ * @param {string} c.url
+ * @param {string} [c.title]
+ * @param {string} [c.snippet]
+ * @param {number} [c.rank]        best SERP position seen
+ * @param {number} [c.queryCount]  distinct queries that returned the URL
+ * @param {string} [c.vendor]      detectVendor() id
+ * @param {number} [c.portalScore] classifier score, when the page was fetched
+ * @param {string} [c.jurisdictionName]
+ * @returns {{ score: number, components: object, features: Array<{ name: string, value: number }> }}
+ */
+export function scoreCandidate(c) {
+  const slugs = nameSlugs(c.jurisdictionName);
+  const features = [];
+  const add = (name, value) => features.push({ name, value });
+
+  const components = {
+    rank: rankComponent(c.rank),
+    agreement: agreementComponent(c.queryCount),
+    text: textComponent(c, slugs, add),
+    domain: domainComponent(parseUrl(c.url), slugs, add),
+    vendor: vendorComponent(c.vendor),
+    portal: Number.isFinite(c.portalScore) ? c.portalScore : null
+  };
+
+  let sum = 0;
+  let weight = 0;
+  for (const [name, value] of Object.entries(components)) {
+    if (value === null) continue;
+    sum += CANDIDATE_WEIGHTS[name] * value;
+    weight += CANDIDATE_WEIGHTS[name];
+  }
+
+  for (const k of Object.keys(components)) {
+    if (components[k] !== null) components[k] = round(components[k]);
+  }
+
+  return {
+    score: weight ? round(sum / weight) : 0,
+    components,
+    features
+  };
+}
+
+/**
+ * What is already recorded for each of a jurisdiction's candidate URLs,
+ * so agreement counts across jobs and a re-score keeps the portal score
+ * the search worker measured.
+ *   → Map url_found → { queries, rank, portalScore, rejected }
+ */
+export async function loadCandidateHits(geoid) {
+  const rows = await sb(
+    `portal_candidates?jurisdiction_geoid=eq.${geoid}` +
+    "&select=url_found,query_used,matched_queries,serp_position,score_features,rejected_reason"
+  );
+
+  const hits = new Map();
+  for (const r of Array.isArray(rows) ? rows : []) {
+    hits.set(r.url_found, {
+      queries: r.matched_queries?.length ? r.matched_queries : [r.query_used].filter(Boolean),
+      rank: r.serp_position ?? null,
+      portalScore: r.score_features?.components?.portal ?? null,
+      rejected: Boolean(r.rejected_reason)
+    });
+  }
+  return hits;
+}
+
+/**
+ * Merge a new sighting of a URL into its recorded hit: the query is
+ * added and the best rank kept.
+ */
+export function mergeHit(previous, query, rank) {
+  const queries = [...new Set([...(previous?.queries || []), query].filter(Boolean))];
+  const ranks = [previous?.rank, rank].filter(Number.isFinite);
+  return {
+    ...previous,
+    queries,
+    rank: ranks.length ? Math.min(...ranks) : null
+  };
+}
@@ -0,0 +1,150 @@
+// lib/crawlScope.js
+//
+// Scope and link priority for the multi-page gov site crawl
+// (workers/crawler/vendorCrawlers.mjs crawlGeneric).
+//
+// A building department's information is spread over subpages: Permits,
+// Forms, Fee Schedule, Inspections, Contractor Registration. The crawl
+// walks the department site breadth-first within a page budget and depth,
+// and this module decides which links it follows:
+//
+//   scope     the jurisdiction's site: the root URL's registrable domain
+//             ("charlestoncounty.org" covers "www." and "permits."), or
+//             the exact host on shared CMS hosting ("x.civicplus.com")
+//             and on permit vendor hosts ("x.portal.opengov.com"), where
+//             the rest of the domain belongs to other jurisdictions
+//   priority  permit words in the anchor text and path; pages without
+//             any are not followed, off-topic words (news, agendas, jobs)
+//             count against a link
+//   PDFs      in-scope PDF links with a positive priority, or that look
+//             like forms / fee schedules, go to the PDF path instead
+//
+// Pure; no network.
+
+import { LINK_KINDS, isPdfUrl } from "./linkExtractor.js";
+import { matchVendorByUrl } from "./vendorRegistry.js";
+
+export const SITE_CRAWL_DEFAULTS = {
+  maxPages: 15,
+  maxDepth: 2,
+  maxPdfs: 20
+};
+
+// Municipal CMS hosts shared by many jurisdictions: scope is the tenant host
+const SHARED_HOSTS = [
+  "civicplus.com",
+  "revize.com",
+  "municodeweb.com",
+  "govoffice.com",
+  "granicus.com",
+  "wixsite.com",
+  "squarespace.com"
+];
+
+// [pattern, weight] matched against anchor text + path
+const PRIORITY_TERMS = [
+  [/\bpermit(s|ting)?\b/, 5],
+  [/\bbuilding\b/, 4],
+  [/\b(forms?|applications?)\b/, 4],
+  [/\bfee(s| schedule)?\b/, 4],
+  [/\binspections?\b/, 3],
+  [/\bcontractors?\b|\bregistration\b|\blicens\w*/, 3],
+  [/\bcode (enforcement|compliance)\b|\bbuilding codes?\b/, 2],
+  [/\bzoning\b|\bplanning\b|\bdevelopment services\b/, 2],
+  [/\bplan review\b|\bsubmittal\b|\brequirements?\b|\bchecklists?\b/, 2]
+];
+
+const OFF_TOPIC = /\b(news|calendar|events?|agendas?|minutes|meetings?|careers?|jobs?|employment|parks?|recreation|library|police|sheriff|elections?|taxes|utilit(y|ies)|trash|council members?)\b/;
+
+// Files the crawl never opens
+const SKIP_EXTENSIONS = /\.(docx?|xlsx?|pptx?|zip|jpe?g|png|gif|svg|mp4|mp3|ics|dwg)(?:$|[?#])/i;
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The domain a crawl of `rootUrl` stays within.
+ *   "https://www.charlestoncounty.org/departments/building" → "charlestoncounty.org"
+ *   "https://ci.dover.de.us/"                               → "ci.dover.de.us"
+ *   "https://sc-summerville.civicplus.com/"                 → "sc-summerville.civicplus.com"
+ *   "https://summervillesc.portal.opengov.com/"             → "summervillesc.portal.opengov.com"
+ */
+export function siteScope(rootUrl) {
+  const parsed = parseUrl(rootUrl);
+  if (!parsed) return null;
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  if (SHARED_HOSTS.some(h => host === h || host.endsWith(`.${h}`))) return host;
+  if (matchVendorByUrl(parsed.href)) return host;
+
+  const labels = host.split(".");
+  // Locality domains: <name>.<city>.<st>.us
+  if (/\.[a-z]{2}\.us$/.test(host)) return labels.slice(-4).join(".");
+  return labels.slice(-2).join(".");
+}
+
+/**
+ * True when `url` is on the crawl's site.
+ */
+export function inScope(url, scope) {
+  const parsed = parseUrl(url);
+  if (!parsed || !scope || !parsed.protocol.startsWith("http")) return false;
+  const host = parsed.hostname.toLowerCase();
+  return host === scope || host.endsWith(`.${scope}`);
+}
+
+/**
+ * Permit relevance of a link from its anchor text and path.
+ */
+export function linkPriority({ url, text = "" }) {
+  const parsed = parseUrl(url);
+  let path = parsed?.pathname || "";
+  try {
+    path = decodeURIComponent(path);
+  } catch {
+    // keep the encoded path
+  }
+
+  const haystack = `${text} ${path.replace(/[-_/.]+/g, " ")}`.toLowerCase();
+
+  let priority = 0;
+  for (const [pattern, weight] of PRIORITY_TERMS) {
+    if (pattern.test(haystack)) priority += weight;
+  }
+  if (OFF_TOPIC.test(haystack)) priority -= 4;
+
+  return priority;
+}
+
+/**
+ * Split a page's extracted links (lib/linkExtractor.js) into pages and PDFs
+ * to follow, best first.
+ *   → { pages: [{ url, text, priority }], pdfs: [{ url, text, priority }] }
+ */
+export function rankLinks(links, scope) {
+  const pages = [];
+  const pdfs = [];
+
+  for (const link of links || []) {
+    if (link.kind === LINK_KINDS.EMAIL || link.kind === LINK_KINDS.VENDOR_PORTAL) continue;
+    if (!inScope(link.url, scope) || SKIP_EXTENSIONS.test(link.url)) continue;
+
+    const priority = linkPriority(link);
+    const entry = { url: link.url, text: link.text || "", priority };
+
+    if (isPdfUrl(link.url)) {
+      const formLike = link.kind === LINK_KINDS.PDF_FORM || link.kind === LINK_KINDS.FEE_SCHEDULE;
+      if (priority > 0 || formLike) pdfs.push(entry);
+    } else if (priority > 0) {
+      pages.push(entry);
+    }
+  }
+
+  const byPriority = (a, b) => b.priority - a.priority;
+  return { pages: pages.sort(byPriority), pdfs: pdfs.sort(byPriority) };
+}
@@ -0,0 +1,196 @@
+// lib/delegation.js
+//
+// County-delegated permitting.
+//
+// Many small places run no permitting of their own and use their
+// county's system. Such a place is recorded as delegated instead of
+// getting a copy of the county's portal URL:
+//
+//   jurisdiction_meta.permits_handled_by   geoid of the jurisdiction that
+//                                          issues its permits
+//   jurisdiction_meta.delegation_source    county_portal | served_list | manual
+//   jurisdiction_meta.delegation_evidence  what the detection saw
+//
+// and, once reviewed, on jurisdictions.permits_handled_by, which the
+// public lookup follows (jurisdiction_permit_authority view).
+//
+// Detected automatically when
+//   county_portal  the place's best candidate is its county's verified
+//                  portal
+//   served_list    the county's portal or department page lists the
+//                  place among the municipalities it serves
+
+import { sb } from "./supabase.js";
+import { extractVisibleText } from "./htmlUtils.js";
+import { fetchPage } from "./portalUtils.js";
+import { DELEGATED, matchVendorByUrl } from "./vendorRegistry.js";
+
+export const DELEGATION_SOURCES = ["county_portal", "served_list", "manual"];
+
+// Phrases that introduce a list of served municipalities
+const SERVED_CONTEXT = /\b(serv(?:e|es|ed|ing|ices for)|on behalf of|contracts? with|permits? for|inspections? for|municipalities|incorporated (?:towns|cities|areas)|towns of|cities of|villages of)\b/gi;
+
+// Text either side of a served-list phrase that is searched for names
+const CONTEXT_BEFORE = 300;
+const CONTEXT_AFTER = 800;
+
+const PLACE_DESIGNATOR = /\s+(city|town|village|borough|township|cdp|municipality)$/i;
+const COUNTY_DESIGNATOR = /\s+(county|parish|borough|census area|municipality)$/i;
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * "Mount Pleasant town" → "mount pleasant"
+ */
+function coreName(name, designator = PLACE_DESIGNATOR) {
+  return (name || "").replace(designator, "").trim().toLowerCase();
+}
+
+/**
+ * True when two URLs are the same portal: same host and, on shared
+ * vendor hosts, the same tenant (first path segment).
+ */
+export function samePortal(a, b) {
+  const pa = parseUrl(a);
+  const pb = parseUrl(b);
+  if (!pa || !pb) return false;
+
+  const host = u => u.hostname.toLowerCase().replace(/^www\./, "");
+  if (host(pa) !== host(pb)) return false;
+
+  if (!matchVendorByUrl(pa.href)) return true;
+
+  const tenant = u => (u.pathname.split("/").filter(Boolean)[0] || "").toLowerCase();
+  return tenant(pa) === tenant(pb);
+}
+
+/**
+ * Names from `names` that a page lists near a served-municipalities
+ * phrase ("The county provides inspections for the towns of A, B and C").
+ */
+export function findServedPlaces(html, names) {
+  const text = extractVisibleText(html);
+  if (!text) return [];
+
+  const windows = [];
+  for (const m of text.matchAll(SERVED_CONTEXT)) {
+    windows.push(text.slice(Math.max(0, m.index - CONTEXT_BEFORE), m.index + CONTEXT_AFTER));
+  }
+  if (!windows.length) return [];
+
+  const haystack = windows.join("\n").toLowerCase();
+  return names.filter(name => {
+    const core = coreName(name);
+    return core.length >= 3 && new RegExp(`\\b${escapeRegex(core)}\\b`).test(haystack);
+  });
+}
+
+async function loadJurisdiction(geoid) {
+  const rows = await sb(
+    `jurisdictions?geoid=eq.${geoid}&select=geoid,name,level,statefp,county_geoid&limit=1`
+  );
+  return Array.isArray(rows) ? rows[0] ?? null : null;
+}
+
+async function loadMeta(geoid) {
+  const rows = await sb(
+    `jurisdiction_meta?jurisdiction_geoid=eq.${geoid}&invalid=not.is.true` +
+    "&select=portal_url,manual_info_url,vendor_type,verified&order=verified.desc.nullslast&limit=1"
+  );
+  return Array.isArray(rows) ? rows[0] ?? null : null;
+}
+
+/**
+ * Whether a place's permits are handled by its county.
+ *
+ * @param {string} geoid place geoid
+ * @param {object} [opts]
+ * @param {string|null} [opts.bestUrl] the place's best portal candidate
+ * @param {boolean} [opts.checkServedList] fetch the county's pages and
+ *   look for the place in a served-municipalities list (default true)
+ * @returns {Promise<{ handledBy: string, source: string, evidence: object }|null>}
+ */
+export async function detectDelegation(geoid, { bestUrl = null, checkServedList = true } = {}) {
+  const place = await loadJurisdiction(geoid);
+  if (!place || place.level === "county" || !place.county_geoid) return null;
+
+  const [county, countyMeta] = await Promise.all([
+    loadJurisdiction(place.county_geoid),
+    loadMeta(place.county_geoid)
+  ]);
+  if (!county || !countyMeta) return null;
+
+  if (bestUrl && countyMeta.verified && countyMeta.portal_url && samePortal(bestUrl, countyMeta.portal_url)) {
+    return {
+      handledBy: county.geoid,
+      source: "county_portal",
+      evidence: { candidate_url: bestUrl, county_portal_url: countyMeta.portal_url }
+    };
+  }
+
+  // A place with a portal of its own is not delegated
+  if (bestUrl || !checkServedList) return null;
+
+  // "Charleston city" is always named on Charleston County's pages
+  if (coreName(place.name) === coreName(county.name, COUNTY_DESIGNATOR)) return null;
+
+  for (const url of [countyMeta.portal_url, countyMeta.manual_info_url].filter(Boolean)) {
+    const page = await fetchPage(url);
+    if (!page.ok) continue;
+
+    if (findServedPlaces(page.html, [place.name]).length) {
+      return {
+        handledBy: county.geoid,
+        source: "served_list",
+        evidence: { page_url: page.url }
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Record a place as delegated on its jurisdiction_meta row. `verified`
+ * (manual review) also writes jurisdictions.permits_handled_by.
+ */
+export async function recordDelegation(geoid, { handledBy, source, evidence = null, notes = "", verified = false }) {
+  if (!DELEGATION_SOURCES.includes(source)) {
+    throw new Error(`[Delegation] Unknown source: ${source}`);
+  }
+
+  const now = new Date().toISOString();
+
+  await sb("jurisdiction_meta?on_conflict=jurisdiction_geoid", "POST", {
+    jurisdiction_geoid: geoid,
+    portal_url: null,
+    vendor_type: DELEGATED,
+    submission_method: DELEGATED,
+    permits_handled_by: handledBy,
+    delegation_source: source,
+    delegation_evidence: evidence,
+    notes: notes || `Permits handled by ${handledBy} (${source})`,
+    ...(verified ? { verified: true, verified_at: now } : {})
+  }, { Prefer: "resolution=merge-duplicates" });
+
+  if (verified) {
+    await sb(`jurisdictions?geoid=eq.${geoid}`, "PATCH", {
+      portal_url: null,
+      submission_method: DELEGATED,
+      permits_handled_by: handledBy,
+      updated_at: now
+    });
+  }
+
+  console.log(`[Delegation] ${geoid} → ${handledBy} (${source})`);
+}
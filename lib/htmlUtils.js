@@ -0,0 +1,174 @@
+// lib/htmlUtils.js
+//
+// Dependency-free HTML helpers shared by the detectors and classifiers.
+// Regex based on purpose: the pages we look at are frequently malformed
+// and we only ever need a handful of tags and attributes.
+
+/**
+ * Value of attribute `name` within a single tag's source, or null.
+ */
+function readAttr(tagSource, name) {
+  const m = tagSource.match(
+    new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i")
+  );
+  return m ? m[1] ?? m[2] ?? m[3] ?? "" : null;
+}
+
+/**
+ * Collect the value of `attr` from every `<tag ...>` in the document.
+ *
+ *   extractAttributeValues(html, "script", "src")
+ *   → ["/CitizenAccess/Scripts/aca.js", ...]
+ */
+export function extractAttributeValues(html, tag, attr) {
+  if (!html) return [];
+
+  const tagRe = new RegExp(`<${tag}\\b[^>]*>`, "gi");
+
+  const values = [];
+  let match;
+  while ((match = tagRe.exec(html)) !== null) {
+    const value = readAttr(match[0], attr);
+    if (value !== null) values.push(value);
+  }
+  return values;
+}
+
+/**
+ * Collect `<meta>` tags as `{ name, content }` pairs. `name` falls back to
+ * `property` / `http-equiv` so Open Graph and refresh tags are included.
+ */
+export function extractMetaTags(html) {
+  if (!html) return [];
+
+  const metas = [];
+  const tagRe = /<meta\b[^>]*>/gi;
+  let match;
+
+  while ((match = tagRe.exec(html)) !== null) {
+    const tag = match[0];
+
+    const name =
+      readAttr(tag, "name") ?? readAttr(tag, "property") ?? readAttr(tag, "http-equiv");
+    const content = readAttr(tag, "content");
+    if (name !== null || content !== null) {
+      metas.push({ name: name || "", content: content || "" });
+    }
+  }
+
+  return metas;
+}
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  copy: "©"
+};
+
+/**
+ * Decode the handful of named and numeric entities that show up in
+ * link text and titles.
+ */
+export function decodeEntities(text) {
+  if (!text) return "";
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === "#") {
+      const n = code[1].toLowerCase() === "x"
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    }
+    return ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+/**
+ * Strip tags and return what a visitor would read: script, style,
+ * noscript, template and comments removed, whitespace collapsed.
+ */
+export function extractVisibleText(html) {
+  if (!html) return "";
+
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, " ")
+    .replace(/<[^>]+>/g, " ");
+
+  return decodeEntities(text).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Contents of the <title> tag, or "".
+ */
+export function extractTitle(html) {
+  if (!html) return "";
+  const m = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  return m ? decodeEntities(m[1]).replace(/\s+/g, " ").trim() : "";
+}
+
+/**
+ * Every `<a href>` as `{ href, text }` (raw href, visible anchor text).
+ */
+export function extractAnchors(html) {
+  if (!html) return [];
+
+  const anchors = [];
+  const re = /<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi;
+  let match;
+
+  while ((match = re.exec(html)) !== null) {
+    const href = readAttr(match[1], "href");
+    if (href === null) continue;
+
+    anchors.push({
+      href: decodeEntities(href.trim()),
+      text: extractVisibleText(match[2])
+    });
+  }
+
+  return anchors;
+}
+
+/**
+ * Every `<form>` with its action, method and input fields.
+ *   → [{ action, method, inputs: [{ tag, type, name, id }] }]
+ */
+export function extractForms(html) {
+  if (!html) return [];
+
+  const forms = [];
+  const re = /<form\b([^>]*)>([\s\S]*?)(?:<\/form\s*>|$)/gi;
+  let match;
+
+  while ((match = re.exec(html)) !== null) {
+    const attrs = match[1];
+    const body = match[2];
+
+    const inputs = [];
+    const inputRe = /<(input|select|textarea)\b([^>]*)>/gi;
+    let input;
+    while ((input = inputRe.exec(body)) !== null) {
+      const tag = input[1].toLowerCase();
+      inputs.push({
+        tag,
+        type: (readAttr(input[2], "type") || (tag === "input" ? "text" : tag)).toLowerCase(),
+        name: readAttr(input[2], "name") || "",
+        id: readAttr(input[2], "id") || ""
+      });
+    }
+
+    forms.push({
+      action: readAttr(attrs, "action") || "",
+      method: (readAttr(attrs, "method") || "get").toLowerCase(),
+      inputs
+    });
+  }
+
+  return forms;
+}
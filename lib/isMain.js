@@ -0,0 +1,15 @@
+// lib/isMain.js
+//
+// Workers export their batch runner for the orchestrator and still run
+// on their own when invoked directly (`node workers/...`).
+
+import { pathToFileURL } from "url";
+
+/**
+ * True when the module at `moduleUrl` (pass `import.meta.url`) is the
+ * script node was started with.
+ */
+export function isMain(moduleUrl) {
+  if (!process.argv[1]) return false;
+  return moduleUrl === pathToFileURL(process.argv[1]).href;
+}
@@ -0,0 +1,259 @@
+// lib/jobQueue.js
+//
+// Shared job queue over the existing work tables.
+//
+// Workers used to "select pending, then PATCH running", so overlapping
+// GitHub Actions runs grabbed the same rows and a crashed run left jobs in
+// `running` forever. Claims now go through the claim_jobs() RPC
+// (FOR UPDATE SKIP LOCKED), which leases rows to one worker until
+// lease_expires_at. Long jobs heartbeat to extend the lease; expired
+// leases are handed back by requeueExpired(). Backoff, max attempts and
+// which failures are permanent come from lib/retryPolicy.js; rows that
+// give up are parked as `dead`.
+//
+// Completion and failure updates are conditional on lease_owner, so a
+// worker whose lease expired cannot overwrite the run that re-claimed it.
+
+import os from "os";
+import { sb } from "./supabase.js";
+import { getRetryPolicy, planRetry } from "./retryPolicy.js";
+
+/**
+ * Queue definitions.
+ *
+ *   table            work table (must be allowed in claim_jobs())
+ *   pendingStatuses  statuses that mean "ready to run"
+ *   requeueStatus    status expired / retried rows go back to
+ *   doneStatus       status written by completeJob()
+ *   leaseSeconds     lease length per claim / heartbeat
+ *
+ * Retry settings live in RETRY_POLICIES (lib/retryPolicy.js) under the
+ * same names.
+ */
+export const QUEUES = {
+  search: {
+    table: "search_queue",
+    pendingStatuses: ["pending"],
+    requeueStatus: "pending",
+    doneStatus: "done",
+    leaseSeconds: 600
+  },
+  discovery: {
+    table: "portal_discovery_jobs",
+    pendingStatuses: ["pending"],
+    requeueStatus: "pending",
+    doneStatus: "success",
+    leaseSeconds: 600
+  },
+  crawl: {
+    table: "portal_endpoints",
+    // "unknown" is what detectPortalsForCounty inserts
+    pendingStatuses: ["unknown", "pending"],
+    requeueStatus: "pending",
+    doneStatus: "crawled",
+    leaseSeconds: 900
+  },
+  parse: {
+    table: "portal_snapshots",
+    pendingStatuses: ["pending"],
+    requeueStatus: "pending",
+    doneStatus: "parsed",
+    leaseSeconds: 900
+  }
+};
+
+export const DEAD = "dead";
+
+function getQueue(name) {
+  const queue = QUEUES[name];
+  if (!queue) throw new Error(`[JobQueue] Unknown queue: ${name}`);
+  return queue;
+}
+
+let cachedWorkerId = null;
+
+/**
+ * Identifies this process in lease_owner: GitHub run id when available,
+ * otherwise host name, plus pid.
+ */
+export function workerId() {
+  if (!cachedWorkerId) {
+    const run = process.env.GITHUB_RUN_ID
+      ? `gh-${process.env.GITHUB_RUN_ID}-${process.env.GITHUB_RUN_ATTEMPT || 1}`
+      : os.hostname();
+    cachedWorkerId = `${run}-${process.pid}`;
+  }
+  return cachedWorkerId;
+}
+
+// PATCH a row only while this worker still holds its lease.
+// Returns true when the row was updated; false when the lease was lost
+// (another worker re-claimed the row) or the update failed.
+async function patchLeased(queueName, job, fields) {
+  const q = getQueue(queueName);
+
+  // The representation tells a filtered-out row (lost lease → []) apart
+  // from an update
+  const rows = await sb(
+    `${q.table}?id=eq.${job.id}&lease_owner=eq.${encodeURIComponent(workerId())}&select=id`,
+    "PATCH",
+    { ...fields, updated_at: new Date().toISOString() },
+    { Prefer: "return=representation" }
+  );
+
+  if (!Array.isArray(rows)) {
+    console.error(`[JobQueue] ${q.table} update failed for ${job.id}:`, rows?.message || rows);
+    return false;
+  }
+  if (rows.length === 0) {
+    console.warn(`[JobQueue] Lease on ${q.table} ${job.id} lost; not updated`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Atomically lease up to `limit` ready jobs. Returns the claimed rows
+ * (status already `running`, attempt_count already incremented).
+ * `jurisdictionGeoids` restricts the claim to those jurisdictions (the
+ * orchestrator works one county at a time).
+ */
+export async function claimJobs(queueName, { limit = 1, leaseSeconds, jurisdictionGeoids = null } = {}) {
+  const q = getQueue(queueName);
+
+  const rows = await sb("rpc/claim_jobs", "POST", {
+    p_table: q.table,
+    p_worker: workerId(),
+    p_limit: limit,
+    p_lease_seconds: leaseSeconds ?? q.leaseSeconds,
+    p_pending_statuses: q.pendingStatuses,
+    p_jurisdiction_geoids: jurisdictionGeoids
+  });
+
+  if (!Array.isArray(rows)) {
+    console.error(`[JobQueue] claim on ${q.table} failed:`, rows?.message || rows);
+    return [];
+  }
+
+  return rows;
+}
+
+/**
+ * Whether any job for these jurisdictions is still ready, waiting on a
+ * retry, or running. Errs on "yes" when the check itself fails so callers
+ * never move on from work that may still be open.
+ */
+export async function hasOpenJobs(queueName, { jurisdictionGeoids = null } = {}) {
+  const q = getQueue(queueName);
+  const statuses = [...q.pendingStatuses, "running"];
+
+  let path = `${q.table}?select=id&status=in.(${statuses.join(",")})&limit=1`;
+  if (jurisdictionGeoids) {
+    path += `&jurisdiction_geoid=in.(${jurisdictionGeoids.join(",")})`;
+  }
+
+  const rows = await sb(path);
+  if (!Array.isArray(rows)) {
+    console.error(`[JobQueue] open-job check on ${q.table} failed:`, rows?.message || rows);
+    return true;
+  }
+  return rows.length > 0;
+}
+
+/**
+ * Extend the lease on a job that is still being worked on.
+ */
+export async function heartbeat(queueName, job, { leaseSeconds } = {}) {
+  const q = getQueue(queueName);
+  const now = Date.now();
+
+  return patchLeased(queueName, job, {
+    heartbeat_at: new Date(now).toISOString(),
+    lease_expires_at: new Date(now + (leaseSeconds ?? q.leaseSeconds) * 1000).toISOString()
+  });
+}
+
+/**
+ * Mark a job done and release its lease. `fields` are written alongside
+ * (and may override the queue's done status, e.g. "failed" for a
+ * discovery job that ran cleanly but found nothing).
+ */
+export async function completeJob(queueName, job, fields = {}) {
+  const q = getQueue(queueName);
+
+  return patchLeased(queueName, job, {
+    status: q.doneStatus,
+    last_error: null,
+    last_error_kind: null,
+    next_attempt_at: null,
+    lease_owner: null,
+    lease_expires_at: null,
+    ...fields
+  });
+}
+
+/**
+ * Record a failed attempt. The error is classified by the queue's retry
+ * policy: the job goes back to the queue after a backoff, or to `dead`
+ * when the kind is permanent or attempts are used up. `permanent`
+ * overrides the classification either way.
+ *
+ * Returns true when the job was dead-lettered.
+ */
+export async function failJob(queueName, job, err, { permanent, fields = {} } = {}) {
+  const q = getQueue(queueName);
+  const { maxAttempts } = getRetryPolicy(queueName);
+  const plan = planRetry(queueName, job, err, { permanent });
+  const message = err instanceof Error ? err.message : String(err);
+
+  const updated = await patchLeased(queueName, job, {
+    status: plan.dead ? DEAD : q.requeueStatus,
+    last_error: message.slice(0, 2000),
+    last_error_kind: plan.kind,
+    attempt_count: plan.attemptCount,
+    next_attempt_at: plan.dead
+      ? null
+      : new Date(Date.now() + plan.delaySeconds * 1000).toISOString(),
+    lease_owner: null,
+    lease_expires_at: null,
+    ...fields
+  });
+
+  // Another worker holds the row now; its outcome is theirs to record
+  if (!updated) return false;
+
+  if (plan.dead) {
+    console.warn(
+      `[JobQueue] ${q.table} ${job.id} dead after ${plan.attemptCount} attempt(s) [${plan.kind}]: ${message}`
+    );
+  } else {
+    console.warn(
+      `[JobQueue] ${q.table} ${job.id} retry in ${plan.delaySeconds}s [${plan.kind}] ` +
+      `(attempt ${plan.attemptCount}/${maxAttempts})`
+    );
+  }
+
+  return plan.dead;
+}
+
+/**
+ * Hand expired leases back to the queue (or to `dead`). Workers call this
+ * at the start of a run so crashed runs do not strand jobs.
+ */
+export async function requeueExpired(queueName) {
+  const q = getQueue(queueName);
+  const policy = getRetryPolicy(queueName);
+
+  const n = await sb("rpc/requeue_expired_jobs", "POST", {
+    p_table: q.table,
+    p_max_attempts: policy.maxAttempts,
+    p_pending_status: q.requeueStatus,
+    p_backoff_base_seconds: policy.backoffBaseSeconds,
+    p_backoff_max_seconds: policy.backoffMaxSeconds
+  });
+
+  if (typeof n === "number" && n > 0) {
+    console.log(`[JobQueue] Re-queued ${n} expired lease(s) on ${q.table}`);
+  }
+  return typeof n === "number" ? n : 0;
+}
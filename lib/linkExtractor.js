@@ -0,0 +1,122 @@
+// lib/linkExtractor.js
+//
+// Link extraction and classification for department / portal pages.
+//
+// Produces the `links` input for classifyOffline and the inventory of
+// downloadable application forms we keep per jurisdiction, so contractors
+// get the PDFs even where there is no online portal.
+
+import { extractAnchors } from "./htmlUtils.js";
+import { matchVendorByUrl } from "./vendorRegistry.js";
+
+export const LINK_KINDS = {
+  PDF_FORM: "pdf_form",
+  FEE_SCHEDULE: "fee_schedule",
+  DOCUMENT: "document",
+  VENDOR_PORTAL: "vendor_portal",
+  EMAIL: "email",
+  INTERNAL: "internal",
+  EXTERNAL: "external"
+};
+
+const FEE_PATTERN = /\bfees?\b|fee[-_ ]?schedule|rate[-_ ]?schedule/i;
+const FORM_PATTERN = /applica|form|permit|checklist|affidavit|request|registration|submittal/i;
+
+export function isPdfUrl(url) {
+  return /\.pdf(?:$|[?#])/i.test(url || "");
+}
+
+function classifyLink(parsed, text, baseHost) {
+  if (parsed.protocol === "mailto:") return LINK_KINDS.EMAIL;
+
+  const href = parsed.href;
+  let path = parsed.pathname;
+  try {
+    path = decodeURIComponent(path);
+  } catch {
+    // keep the encoded path
+  }
+  const pdf = isPdfUrl(href);
+
+  if (!pdf && matchVendorByUrl(href)) return LINK_KINDS.VENDOR_PORTAL;
+  if (FEE_PATTERN.test(text) || FEE_PATTERN.test(path)) return LINK_KINDS.FEE_SCHEDULE;
+
+  if (pdf) {
+    return FORM_PATTERN.test(text) || FORM_PATTERN.test(path)
+      ? LINK_KINDS.PDF_FORM
+      : LINK_KINDS.DOCUMENT;
+  }
+
+  return parsed.hostname === baseHost ? LINK_KINDS.INTERNAL : LINK_KINDS.EXTERNAL;
+}
+
+/**
+ * Extract every link on a page, resolved against `baseUrl`, classified and
+ * deduplicated by URL (first anchor text wins, later non-empty text fills
+ * in a blank one).
+ *
+ *   extractLinks(html, "https://county.gov/building")
+ *   → [{ url: "https://county.gov/docs/bp-app.pdf",
+ *        text: "Building Permit Application", kind: "pdf_form" }, ...]
+ *
+ * javascript:, tel: and bare "#" links are dropped.
+ */
+export function extractLinks(html, baseUrl) {
+  if (!html) return [];
+
+  let base;
+  try {
+    base = new URL(baseUrl);
+  } catch {
+    return [];
+  }
+
+  const byUrl = new Map();
+
+  for (const anchor of extractAnchors(html)) {
+    if (!anchor.href || anchor.href.startsWith("#")) continue;
+
+    let parsed;
+    try {
+      parsed = new URL(anchor.href, base);
+    } catch {
+      continue;
+    }
+
+    if (parsed.protocol !== "mailto:" && !parsed.protocol.startsWith("http")) continue;
+
+    parsed.hash = "";
+    const url = parsed.href;
+
+    const existing = byUrl.get(url);
+    if (existing) {
+      // Icon links often come first; classify on the first real text
+      if (!existing.text && anchor.text) {
+        existing.text = anchor.text;
+        existing.kind = classifyLink(parsed, anchor.text, base.hostname);
+      }
+      continue;
+    }
+
+    byUrl.set(url, {
+      url,
+      text: anchor.text,
+      kind: classifyLink(parsed, anchor.text, base.hostname)
+    });
+  }
+
+  return [...byUrl.values()];
+}
+
+/**
+ * Downloadable application forms and fee schedules from extracted links.
+ *   → [{ url, title, kind }]
+ */
+export function buildFormInventory(links) {
+  return (links || [])
+    .filter(l =>
+      l.kind === LINK_KINDS.PDF_FORM ||
+      (l.kind === LINK_KINDS.FEE_SCHEDULE && isPdfUrl(l.url))
+    )
+    .map(l => ({ url: l.url, title: l.text || null, kind: l.kind }));
+}
@@ -0,0 +1,307 @@
+// lib/llmProvider.js
+//
+// Single entry point for model calls.
+//
+// Every worker asks for JSON through `getLLM().generateJSON(...)` instead of
+// instantiating OpenAI and parsing `output[0].content[0].json`,
+// `output_text` or `choices[0].message.content` by hand. Adapters:
+//
+//   openai  – Responses API with `text.format` JSON-schema constraints
+//   replay  – answers from fixture files; no network, fully deterministic
+//   record  – calls OpenAI and writes each answer as a replay fixture
+//
+// Selected with LLM_PROVIDER (default "openai"). Fixtures live in
+// LLM_FIXTURES_DIR (default "fixtures/llm"), one file per request:
+//   <schemaName>.<requestKey>.json → { model, text, usage }
+// A catch-all "<schemaName>.json" answers any request with that schema.
+//
+// Live calls are checked against the daily AI budget and written to the
+// ledger (lib/aiLedger.js); replayed calls are free and not recorded.
+
+import OpenAI from "openai";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { assertWithinBudget, recordAiCall } from "./aiLedger.js";
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const DEFAULT_FIXTURES_DIR = "fixtures/llm";
+const DEFAULT_SCHEMA_NAME = "response";
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse model text as JSON: strips ``` fences and, failing that, tries the
+ * outermost {...} block. Returns null when nothing parses.
+ */
+export function parseJsonText(text) {
+  if (!text || typeof text !== "string") return null;
+
+  const fenced = text.match(/```(?:json)?([\s\S]*?)```/i);
+  const candidate = (fenced ? fenced[1] : text).trim();
+
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    // fall through
+  }
+
+  const start = candidate.indexOf("{");
+  const end = candidate.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rate limits, server errors and network failures are worth retrying;
+ * quota exhaustion and bad requests are not.
+ */
+function isRetryable(err) {
+  if (err.code === "insufficient_quota") return false;
+  if (err.code === "fixture_missing" || err.code === "invalid_json") return false;
+  if (err.status === 429) return true;
+  if (err.status >= 500) return true;
+  return err.status === undefined;
+}
+
+/**
+ * Stable key for a request, used to name replay fixtures.
+ */
+export function requestKey({ model, system, prompt, schemaName }) {
+  return crypto
+    .createHash("sha256")
+    .update([model, schemaName || DEFAULT_SCHEMA_NAME, system || "", prompt].join("\n---\n"))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// ------------------------------
+// ADAPTERS
+// ------------------------------
+
+function createOpenAIAdapter({ apiKey } = {}) {
+  // Created on first use so importing a worker never requires a key
+  let client = null;
+
+  return {
+    name: "openai",
+
+    async call({ model, system, prompt, schema, schemaName, temperature }) {
+      if (!client) {
+        client = new OpenAI({ apiKey: apiKey ?? process.env.OPENAI_API_KEY });
+      }
+
+      const request = {
+        model,
+        input: system
+          ? [
+              { role: "system", content: system },
+              { role: "user", content: prompt }
+            ]
+          : prompt,
+        text: {
+          format: schema
+            ? { type: "json_schema", name: schemaName || DEFAULT_SCHEMA_NAME, schema, strict: false }
+            : { type: "json_object" }
+        }
+      };
+      if (temperature !== undefined) request.temperature = temperature;
+
+      const response = await client.responses.create(request);
+
+      return {
+        model: response.model || model,
+        text: response.output_text || "",
+        usage: {
+          input_tokens: response.usage?.input_tokens ?? 0,
+          output_tokens: response.usage?.output_tokens ?? 0
+        }
+      };
+    }
+  };
+}
+
+function fixturePaths(dir, req) {
+  const name = req.schemaName || DEFAULT_SCHEMA_NAME;
+  return {
+    exact: path.join(dir, `${name}.${requestKey(req)}.json`),
+    fallback: path.join(dir, `${name}.json`)
+  };
+}
+
+function createReplayAdapter({ fixturesDir }) {
+  return {
+    name: "replay",
+
+    async call(req) {
+      const { exact, fallback } = fixturePaths(fixturesDir, req);
+
+      for (const file of [exact, fallback]) {
+        let raw;
+        try {
+          raw = await fs.readFile(file, "utf8");
+        } catch {
+          continue;
+        }
+
+        const fixture = JSON.parse(raw);
+        return {
+          model: fixture.model || req.model,
+          // Fixtures may hold the parsed answer instead of raw text
+          text: typeof fixture.text === "string" ? fixture.text : JSON.stringify(fixture.data ?? fixture),
+          usage: fixture.usage || { input_tokens: 0, output_tokens: 0 }
+        };
+      }
+
+      const err = new Error(`[LLM] No replay fixture: ${exact}`);
+      err.code = "fixture_missing";
+      throw err;
+    }
+  };
+}
+
+function createRecordAdapter({ fixturesDir, apiKey }) {
+  const live = createOpenAIAdapter({ apiKey });
+
+  return {
+    name: "record",
+
+    async call(req) {
+      const result = await live.call(req);
+      const { exact } = fixturePaths(fixturesDir, req);
+
+      await fs.mkdir(fixturesDir, { recursive: true });
+      await fs.writeFile(exact, JSON.stringify(result, null, 2));
+
+      return result;
+    }
+  };
+}
+
+// ------------------------------
+// PROVIDER
+// ------------------------------
+
+/**
+ * Build a provider.
+ *
+ * @param {object} [opts]
+ * @param {"openai"|"replay"|"record"} [opts.provider] defaults to LLM_PROVIDER
+ * @param {string} [opts.fixturesDir] defaults to LLM_FIXTURES_DIR
+ * @param {number} [opts.maxAttempts] per call, including the first
+ * @param {boolean} [opts.ledger] budget guard + ledger rows; on by default
+ *   for live providers, off for replay
+ */
+export function createLLM(opts = {}) {
+  const providerName = opts.provider || process.env.LLM_PROVIDER || "openai";
+  const fixturesDir = opts.fixturesDir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  const maxAttempts = opts.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+  const useLedger = opts.ledger ?? providerName !== "replay";
+
+  let adapter;
+  if (providerName === "openai") adapter = createOpenAIAdapter(opts);
+  else if (providerName === "replay") adapter = createReplayAdapter({ fixturesDir });
+  else if (providerName === "record") adapter = createRecordAdapter({ fixturesDir, apiKey: opts.apiKey });
+  else throw new Error(`[LLM] Unknown provider: ${providerName}`);
+
+  return {
+    provider: adapter.name,
+
+    /**
+     * Ask for a JSON answer.
+     *
+     * @param {object} req
+     * @param {string} req.model
+     * @param {string} req.prompt
+     * @param {string} [req.system]
+     * @param {object} [req.schema]     JSON schema the answer must follow
+     * @param {string} [req.schemaName] also names replay fixtures
+     * @param {number} [req.temperature]
+     * @param {object} [req.meta] ledger context: { worker, jurisdiction_geoid }
+     * @returns {Promise<{ data: object, text: string, model: string,
+     *   usage: { input_tokens: number, output_tokens: number },
+     *   latencyMs: number, attempts: number }>}
+     *
+     * Throws the adapter's error once retries are exhausted (status / code
+     * preserved, e.g. 429 / "insufficient_quota"), an error with code
+     * "budget_exceeded" when a daily budget is hit, or an error with
+     * code "invalid_json" and `.raw` set when the answer does not parse.
+     */
+    async generateJSON(req) {
+      if (useLedger) await assertWithinBudget();
+
+      const started = Date.now();
+      const record = (fields) =>
+        useLedger &&
+        recordAiCall({
+          worker: req.meta?.worker,
+          jurisdiction_geoid: req.meta?.jurisdiction_geoid ?? null,
+          provider: adapter.name,
+          model: req.model,
+          latencyMs: Date.now() - started,
+          ...fields
+        });
+
+      for (let attempt = 1; ; attempt++) {
+        let result;
+        try {
+          result = await adapter.call(req);
+        } catch (err) {
+          if (attempt >= maxAttempts || !isRetryable(err)) {
+            await record({ attempts: attempt, outcome: "error", error: String(err.code || err.status || err.message) });
+            throw err;
+          }
+
+          const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+          console.warn(`[LLM] ${req.model} attempt ${attempt} failed (${err.status ?? err.message}) → retrying in ${delay}ms`);
+          await sleep(delay);
+          continue;
+        }
+
+        const data = parseJsonText(result.text);
+        const ok = data && typeof data === "object";
+
+        await record({
+          model: result.model,
+          usage: result.usage,
+          attempts: attempt,
+          outcome: ok ? "ok" : "invalid_json"
+        });
+
+        if (!ok) {
+          const err = new Error(`[LLM] ${result.model} returned non-JSON output`);
+          err.code = "invalid_json";
+          err.raw = result.text;
+          throw err;
+        }
+
+        return {
+          data,
+          text: result.text,
+          model: result.model,
+          usage: result.usage,
+          latencyMs: Date.now() - started,
+          attempts: attempt
+        };
+      }
+    }
+  };
+}
+
+let defaultLLM = null;
+
+/**
+ * Process-wide provider configured from the environment.
+ */
+export function getLLM() {
+  if (!defaultLLM) defaultLLM = createLLM();
+  return defaultLLM;
+}
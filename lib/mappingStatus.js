@@ -0,0 +1,241 @@
+// lib/mappingStatus.js
+//
+// County mapping lifecycle (jurisdiction_mapping_status):
+//
+//   not_started → searching → candidates_ready → endpoints_detected
+//     → crawled → parsed → verified
+//
+// Any working stage can move to `failed` (the orchestrator hit an error)
+// or `stalled` (no progress for STALL_HOURS); both remember the stage to
+// resume in and can only go back to it. Transitions are compare-and-set
+// on the current status, so two runs cannot advance the same county
+// twice, and every stage records its entry timestamp (`<stage>_at`),
+// the latest pipeline counts and, for failed / stalled, an error summary.
+
+import { sb } from "./supabase.js";
+
+export const PIPELINE_STAGES = [
+  "searching",
+  "candidates_ready",
+  "endpoints_detected",
+  "crawled",
+  "parsed",
+  "verified"
+];
+
+export const MAPPING_STATES = ["not_started", ...PIPELINE_STAGES, "failed", "stalled"];
+
+// Stages the orchestrator works on. `parsed` waits on human review.
+export const WORKING_STAGES = ["searching", "candidates_ready", "endpoints_detected", "crawled"];
+
+// A working stage with no transition for this long is marked stalled
+export const STALL_HOURS = {
+  searching: 48,
+  candidates_ready: 12,
+  endpoints_detected: 72,
+  crawled: 48
+};
+
+// Failed counties are retried automatically after this cooldown
+export const FAILED_RETRY_HOURS = 12;
+
+const NEXT_STAGE = {
+  not_started: "searching",
+  searching: "candidates_ready",
+  candidates_ready: "endpoints_detected",
+  endpoints_detected: "crawled",
+  crawled: "parsed",
+  parsed: "verified"
+};
+
+/**
+ * Whether `from → to` is allowed. `resumeStage` is the stage a failed or
+ * stalled county came from.
+ */
+export function canTransition(from, to, resumeStage = null) {
+  if (NEXT_STAGE[from] === to) return true;
+  if (WORKING_STAGES.includes(from) && (to === "failed" || to === "stalled")) return true;
+  if (from === "stalled" && to === "failed") return true;
+  if ((from === "failed" || from === "stalled") && to === resumeStage) return true;
+  return false;
+}
+
+function transitionError(code, message) {
+  const err = new Error(`[MappingStatus] ${message}`);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Current status row for a county, or null when it was never started.
+ */
+export async function getMappingStatus(countyGeoid) {
+  const rows = await sb(`jurisdiction_mapping_status?jurisdiction_geoid=eq.${countyGeoid}&limit=1`);
+  return Array.isArray(rows) ? rows[0] ?? null : null;
+}
+
+/**
+ * Move a county to `to`.
+ *
+ * @param {string} countyGeoid
+ * @param {string} to
+ * @param {object} [opts]
+ * @param {string} [opts.lastStep] worker / function that made the move
+ * @param {object} [opts.counts]   merged into the stored counts
+ * @param {object} [opts.error]    error summary (failed / stalled)
+ * @returns {Promise<object>} the updated row
+ *
+ * Throws code "invalid_transition" for a move the lifecycle does not
+ * allow, and "transition_conflict" when another run changed the county
+ * first.
+ */
+export async function transitionCounty(countyGeoid, to, { lastStep = null, counts = null, error = null } = {}) {
+  if (!MAPPING_STATES.includes(to)) {
+    throw transitionError("invalid_transition", `Unknown state: ${to}`);
+  }
+
+  const row = await getMappingStatus(countyGeoid);
+  const from = row?.mapping_status ?? "not_started";
+
+  if (!canTransition(from, to, row?.resume_stage)) {
+    throw transitionError("invalid_transition", `${countyGeoid}: ${from} → ${to} not allowed`);
+  }
+
+  const now = new Date().toISOString();
+  const fields = {
+    mapping_status: to,
+    stage_entered_at: now,
+    updated_at: now,
+    last_step: lastStep,
+    [`${to}_at`]: now,
+    counts: { ...(row?.counts || {}), ...(counts || {}) }
+  };
+
+  if (to === "failed" || to === "stalled") {
+    fields.resume_stage = WORKING_STAGES.includes(from) ? from : row.resume_stage;
+    fields.error_summary = { stage: fields.resume_stage, at: now, ...(error || {}) };
+  } else if (from === "failed" || from === "stalled") {
+    fields.resume_stage = null;
+  }
+
+  // Never started: insert, and let the primary key catch a concurrent pick
+  if (!row) {
+    const inserted = await sb(
+      "jurisdiction_mapping_status",
+      "POST",
+      { jurisdiction_geoid: countyGeoid, ...fields },
+      { Prefer: "return=representation" }
+    );
+    if (!Array.isArray(inserted) || !inserted.length) {
+      throw transitionError("transition_conflict", `${countyGeoid}: already started elsewhere`);
+    }
+    return inserted[0];
+  }
+
+  const updated = await sb(
+    `jurisdiction_mapping_status?jurisdiction_geoid=eq.${countyGeoid}&mapping_status=eq.${from}`,
+    "PATCH",
+    fields,
+    { Prefer: "return=representation" }
+  );
+
+  if (!Array.isArray(updated) || !updated.length) {
+    throw transitionError("transition_conflict", `${countyGeoid}: no longer ${from}`);
+  }
+  return updated[0];
+}
+
+/**
+ * Merge pipeline counts into a county's row without changing its stage.
+ */
+export async function recordCountyCounts(countyGeoid, counts) {
+  const row = await getMappingStatus(countyGeoid);
+  if (!row) return null;
+
+  const updated = await sb(
+    `jurisdiction_mapping_status?jurisdiction_geoid=eq.${countyGeoid}`,
+    "PATCH",
+    { counts: { ...(row.counts || {}), ...counts }, updated_at: new Date().toISOString() },
+    { Prefer: "return=representation" }
+  );
+  return Array.isArray(updated) ? updated[0] ?? null : null;
+}
+
+/**
+ * Mark a county failed at its current stage with an error summary.
+ */
+export async function failCounty(countyGeoid, err, { lastStep = null } = {}) {
+  return transitionCounty(countyGeoid, "failed", {
+    lastStep,
+    error: {
+      message: String(err?.message || err).slice(0, 500),
+      code: err?.code ?? null
+    }
+  });
+}
+
+/**
+ * Mark working-stage counties with no transition for STALL_HOURS as
+ * stalled. Returns the geoids that were marked.
+ */
+export async function detectStalledCounties({ now = Date.now() } = {}) {
+  const marked = [];
+
+  for (const [stage, hours] of Object.entries(STALL_HOURS)) {
+    const cutoff = new Date(now - hours * 3600 * 1000).toISOString();
+    const rows = await sb(
+      `jurisdiction_mapping_status?select=jurisdiction_geoid,stage_entered_at` +
+      `&mapping_status=eq.${stage}&stage_entered_at=lt.${cutoff}&limit=200`
+    );
+    if (!Array.isArray(rows)) continue;
+
+    for (const row of rows) {
+      try {
+        await transitionCounty(row.jurisdiction_geoid, "stalled", {
+          lastStep: "detectStalledCounties",
+          error: { message: `No progress in ${stage} since ${row.stage_entered_at}`, hours }
+        });
+        marked.push(row.jurisdiction_geoid);
+      } catch (err) {
+        if (err.code !== "transition_conflict") throw err;
+      }
+    }
+  }
+
+  if (marked.length) {
+    console.warn(`[MappingStatus] ${marked.length} county(ies) stalled: ${marked.join(", ")}`);
+  }
+  return marked;
+}
+
+/**
+ * The county the orchestrator should work on next: the longest-waiting
+ * working-stage county, then stalled ones, then failed ones past their
+ * cooldown. `exclude` skips counties already handled in this run.
+ *   → { jurisdiction_geoid, mapping_status, resume_stage, counts } or null
+ */
+export async function findCountyToResume({ exclude = [], now = Date.now() } = {}) {
+  const notIn = exclude.length ? `&jurisdiction_geoid=not.in.(${exclude.join(",")})` : "";
+  const select = "select=jurisdiction_geoid,mapping_status,resume_stage,counts";
+  const retryCutoff = new Date(now - FAILED_RETRY_HOURS * 3600 * 1000).toISOString();
+
+  const queries = [
+    `mapping_status=in.(${WORKING_STAGES.join(",")})&order=updated_at.asc`,
+    "mapping_status=eq.stalled&resume_stage=not.is.null&order=stalled_at.asc",
+    `mapping_status=eq.failed&resume_stage=not.is.null&failed_at=lt.${retryCutoff}&order=failed_at.asc`
+  ];
+
+  for (const q of queries) {
+    const rows = await sb(`jurisdiction_mapping_status?${select}&${q}${notIn}&limit=1`);
+    if (Array.isArray(rows) && rows.length) return rows[0];
+  }
+  return null;
+}
+
+/**
+ * Pipeline totals for a county's jurisdictions (county_pipeline_counts()).
+ */
+export async function countyPipelineCounts(geoids) {
+  const counts = await sb("rpc/county_pipeline_counts", "POST", { p_geoids: geoids });
+  return counts && !Array.isArray(counts) && !counts.message ? counts : null;
+}
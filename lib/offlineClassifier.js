@@ -1,5 +1,14 @@
 // lib/offlineClassifier.js
 
+import { matchVendorByUrl } from "./vendorRegistry.js";
+import { extractVisibleText } from "./htmlUtils.js";
+import {
+  extractLinks,
+  buildFormInventory,
+  isPdfUrl,
+  LINK_KINDS
+} from "./linkExtractor.js";
+
 export function classifyOffline(content, links) {
   const result = {
     isOffline: false,
@@ -13,20 +22,7 @@ export function classifyOffline(content, links) {
   const nonPdfLinks = links.filter(l => !l.url.toLowerCase().endsWith(".pdf"));
 
   // 1. Detect vendor systems (if any found → NOT offline)
-  const vendorPatterns = [
-    "opengov",
-    "permiteyes",
-    "epermithub",
-    "tylertech",
-    "citytech",
-    "mygovernmentonline",
-    "smartgov",
-    "permitcenter",
-    "cloudpermit",
-    "citizenserve"
-  ];
-
-  if (nonPdfLinks.some(l => vendorPatterns.some(v => l.url.includes(v)))) {
+  if (nonPdfLinks.some(l => matchVendorByUrl(l.url))) {
     return { isOffline: false, confidence: 0 };
   }
 
@@ -76,3 +72,59 @@ export function classifyOffline(content, links) {
 
   return result;
 }
+
+// ------------------------------
+// PAGE-LEVEL DETECTION
+// ------------------------------
+
+// Minimum classifyOffline confidence before we record a jurisdiction as
+// offline-only without a human.
+export const OFFLINE_CONFIDENCE_THRESHOLD = 0.6;
+
+// Links worth weighing on a department page. Site-wide navigation
+// (news, parks, agendas…) would otherwise drown out the forms list.
+const PERMIT_LINK_PATTERN = /permit|applica|inspect|contractor|licens|form|zoning|plan review/i;
+
+const DOCUMENT_KINDS = new Set([
+  LINK_KINDS.PDF_FORM,
+  LINK_KINDS.FEE_SCHEDULE,
+  LINK_KINDS.DOCUMENT,
+  LINK_KINDS.VENDOR_PORTAL
+]);
+
+function isRelevantLink(link) {
+  if (DOCUMENT_KINDS.has(link.kind)) return true;
+  if (link.kind === LINK_KINDS.EMAIL) return false;
+  return PERMIT_LINK_PATTERN.test(link.text) || PERMIT_LINK_PATTERN.test(new URL(link.url).pathname);
+}
+
+/**
+ * Run classifyOffline against a fetched building-department page.
+ *
+ * Returns the classifier verdict plus what a reviewer would record by hand:
+ *   { isOffline, confidence, manual_info_url, pdf_forms: [{ url, title, kind }] }
+ */
+export function detectOfflineJurisdiction({ url, html }) {
+  const empty = { isOffline: false, confidence: 0, manual_info_url: null, pdf_forms: [] };
+  if (!url || !html) return empty;
+
+  const allLinks = extractLinks(html, url);
+  const links = allLinks.filter(isRelevantLink);
+
+  // Non-PDF hrefs are included so "/login" or "/account" links count as
+  // online-submission evidence.
+  const content = [
+    extractVisibleText(html),
+    ...links.filter(l => !isPdfUrl(l.url)).map(l => l.url)
+  ].join(" ");
+
+  const { confidence } = classifyOffline(content, links);
+  const pdfForms = buildFormInventory(allLinks);
+
+  return {
+    isOffline: confidence >= OFFLINE_CONFIDENCE_THRESHOLD && pdfForms.length > 0,
+    confidence: Math.round(Math.min(1, confidence) * 100) / 100,
+    manual_info_url: url,
+    pdf_forms: pdfForms
+  };
+}
@@ -0,0 +1,274 @@
+// lib/ownershipVerifier.js
+//
+// Does this URL belong to this jurisdiction?
+//
+// validateURL only checks for a .gov host or a vendor domain, so a
+// Charleston WV Accela tenant passes for Charleston SC. The verifier
+// compares the jurisdiction's name, county and state against:
+//
+//   host       name in the host ("charlestoncounty.org") or in a vendor
+//              tenant path ("aca-prod.accela.com/CHARLESTON"); a state in
+//              the host ("ci.charleston.wv.us", "charlestonwv-energovpub")
+//   title      name, county and state names in <title>
+//   addresses  ", ST 12345" / "State 12345" in the page text
+//   phones     area codes (lib/states.js AREA_CODES)
+//
+// Vendor pages often carry the vendor's own address and support number,
+// so addresses and phones only count as a mismatch when they point at
+// another state at least twice and never at ours. The jurisdiction's own
+// name and county name are taken out of the title before looking for
+// states in it: "Washington County Building Permits" names no state.
+//
+// State signals are weighed (SIGNAL_WEIGHTS): the page is a mismatch only
+// when the state evidence against it outweighs the evidence for it, and a
+// match when the evidence for it wins. Names are shared across states, so
+// name signals alone make a match only when nothing points at another
+// state. A tie is unknown.
+//
+// Result: { status: "match" | "mismatch" | "unknown", matches, mismatches }
+// with each entry { signal, detail }. `verifyOwnership` is pure;
+// `loadOwnershipContext` is the only database call.
+
+import { sb } from "./supabase.js";
+import { extractTitle, extractVisibleText } from "./htmlUtils.js";
+import { matchVendorByUrl, nameSlugs } from "./vendorRegistry.js";
+import {
+  STATES,
+  isStateAbbr,
+  stateAbbrFromAreaCode,
+  stateAbbrFromFips,
+  stateNameFromAbbr
+} from "./states.js";
+
+// Core slugs this short match too many hosts by accident
+const MIN_SLUG_LENGTH = 4;
+
+// Other-state addresses / phones needed before they count against a page
+const MIN_OFF_STATE_EVIDENCE = 2;
+
+// How much each signal counts, for or against. Name signals say nothing
+// about which state a page is in.
+export const SIGNAL_WEIGHTS = {
+  name_in_host: 0,
+  name_in_tenant_path: 0,
+  name_in_title: 0,
+  county_in_title: 0,
+  state_in_host: 3,
+  state_in_title: 2,
+  address_state: 2,
+  phone_area_code: 1
+};
+
+// Words around a place's core name: "City of Delaware" → "Delaware"
+const NAME_AFFIXES = /\b(city|town|village|township|borough|county|parish|of|the)\b/gi;
+
+const STATE_NAMES = Object.values(STATES).map(s => s.name);
+const STATE_NAME_PATTERN = new RegExp(`\\b(${STATE_NAMES.join("|")})\\b`, "g");
+
+const ADDRESS_ABBR = /,\s*([A-Z]{2})\s+(\d{5})(?:-\d{4})?\b/g;
+const ADDRESS_NAME = new RegExp(`\\b(${STATE_NAMES.join("|")}),?\\s+(\\d{5})(?:-\\d{4})?\\b`, "g");
+const PHONE = /(?:\(\s*([2-9]\d{2})\s*\)|\b([2-9]\d{2}))[\s.-]*[2-9]\d{2}[\s.-]\d{4}\b/g;
+
+const ABBR_BY_NAME = new Map(Object.values(STATES).map(s => [s.name, s.abbr]));
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+function compact(text) {
+  return (text || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function usableSlugs(name) {
+  return nameSlugs(name).filter(s => s.length >= MIN_SLUG_LENGTH);
+}
+
+/**
+ * States named in a host: "<x>.wv.us", "<x>.sc.gov", "charlestonwv",
+ * "charleston-wv".
+ */
+function hostStates(host, slugs) {
+  const found = new Set();
+
+  const tld = host.match(/(?:^|\.)([a-z]{2})\.(?:us|gov)$/);
+  if (tld && isStateAbbr(tld[1])) found.add(tld[1].toUpperCase());
+
+  const labels = host.split(/[.-]/);
+  for (const [i, label] of labels.entries()) {
+    for (const slug of slugs) {
+      const rest = label.startsWith(slug) ? label.slice(slug.length) : null;
+      if (rest && rest.length === 2 && isStateAbbr(rest)) found.add(rest.toUpperCase());
+
+      const next = labels[i + 1];
+      if (label === slug && next?.length === 2 && isStateAbbr(next) && labels[i + 2]) {
+        found.add(next.toUpperCase());
+      }
+    }
+  }
+
+  return [...found];
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Title with the jurisdiction's and its county's names removed, full name
+ * first: "Washington County Building Permits" → " Building Permits".
+ */
+function withoutOwnNames(title, names) {
+  let out = title;
+  for (const name of names.filter(Boolean)) {
+    const core = name.replace(NAME_AFFIXES, " ").replace(/\s+/g, " ").trim();
+    for (const phrase of [name.trim(), core]) {
+      if (!phrase) continue;
+      const pattern = escapeRegex(phrase).replace(/\s+/g, "\\s+");
+      out = out.replace(new RegExp(`\\b${pattern}\\b`, "gi"), " ");
+    }
+  }
+  return out;
+}
+
+function titleStates(title) {
+  const found = new Set();
+  for (const m of title.matchAll(STATE_NAME_PATTERN)) found.add(ABBR_BY_NAME.get(m[1]));
+  for (const m of title.matchAll(/,\s*([A-Z]{2})\b/g)) {
+    if (isStateAbbr(m[1])) found.add(m[1]);
+  }
+  return [...found];
+}
+
+function tally(list) {
+  const counts = {};
+  for (const abbr of list) counts[abbr] = (counts[abbr] || 0) + 1;
+  return counts;
+}
+
+function pageStateEvidence(text) {
+  const addresses = [];
+  for (const m of text.matchAll(ADDRESS_ABBR)) {
+    if (isStateAbbr(m[1])) addresses.push(m[1]);
+  }
+  for (const m of text.matchAll(ADDRESS_NAME)) addresses.push(ABBR_BY_NAME.get(m[1]));
+
+  const phones = [];
+  for (const m of text.matchAll(PHONE)) {
+    const abbr = stateAbbrFromAreaCode(m[1] || m[2]);
+    if (abbr) phones.push(abbr);
+  }
+
+  return { addresses: tally(addresses), phones: tally(phones) };
+}
+
+/**
+ * Check whether a page belongs to a jurisdiction.
+ *
+ * @param {object} opts
+ * @param {string} opts.url   final page URL
+ * @param {string} [opts.html]
+ * @param {{ name: string, state: string, countyName?: string }} opts.jurisdiction
+ *   `state` is the postal abbreviation
+ * @returns {{ status: "match"|"mismatch"|"unknown",
+ *   matches: Array<{ signal: string, detail: string }>,
+ *   mismatches: Array<{ signal: string, detail: string }> }}
+ */
+export function verifyOwnership({ url, html = "", jurisdiction }) {
+  const matches = [];
+  const mismatches = [];
+  const state = (jurisdiction?.state || "").toUpperCase();
+  const slugs = usableSlugs(jurisdiction?.name);
+  const parsed = parseUrl(url);
+
+  if (!parsed || !jurisdiction?.name) {
+    return { status: "unknown", matches, mismatches };
+  }
+
+  // ---- Host ----
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  if (slugs.some(s => compact(host).includes(s))) {
+    matches.push({ signal: "name_in_host", detail: host });
+  } else if (matchVendorByUrl(parsed.href) && slugs.some(s => compact(decodeURIComponent(parsed.pathname)).includes(s))) {
+    matches.push({ signal: "name_in_tenant_path", detail: parsed.pathname });
+  }
+
+  for (const abbr of hostStates(host, slugs)) {
+    if (abbr === state) matches.push({ signal: "state_in_host", detail: abbr });
+    else mismatches.push({ signal: "state_in_host", detail: `${abbr} (expected ${state})` });
+  }
+
+  // ---- Title ----
+  const title = extractTitle(html);
+  if (title) {
+    if (slugs.some(s => compact(title).includes(s))) {
+      matches.push({ signal: "name_in_title", detail: title });
+    }
+
+    const countySlugs = usableSlugs(jurisdiction.countyName);
+    if (countySlugs.some(s => compact(title).includes(s))) {
+      matches.push({ signal: "county_in_title", detail: title });
+    }
+
+    const states = titleStates(withoutOwnNames(title, [jurisdiction.name, jurisdiction.countyName]));
+    if (states.includes(state)) {
+      matches.push({ signal: "state_in_title", detail: state });
+    } else if (states.length) {
+      mismatches.push({ signal: "state_in_title", detail: `${states.join(", ")} (expected ${state})` });
+    }
+  }
+
+  // ---- Addresses and phone numbers ----
+  const text = extractVisibleText(html);
+  const evidence = pageStateEvidence(text);
+
+  for (const [signal, counts] of [["address_state", evidence.addresses], ["phone_area_code", evidence.phones]]) {
+    const own = counts[state] || 0;
+    const others = Object.entries(counts).filter(([abbr]) => abbr !== state);
+    const offState = others.reduce((n, [, c]) => n + c, 0);
+
+    if (own) {
+      matches.push({ signal, detail: `${own} in ${state}` });
+    } else if (offState >= MIN_OFF_STATE_EVIDENCE) {
+      mismatches.push({
+        signal,
+        detail: `${others.map(([abbr, c]) => `${c} in ${abbr}`).join(", ")} (expected ${stateNameFromAbbr(state) || state})`
+      });
+    }
+  }
+
+  const weigh = list => list.reduce((n, m) => n + (SIGNAL_WEIGHTS[m.signal] ?? 1), 0);
+  const evidenceFor = weigh(matches);
+  const evidenceAgainst = weigh(mismatches);
+
+  let status = "unknown";
+  if (evidenceAgainst > evidenceFor) status = "mismatch";
+  else if (evidenceFor > evidenceAgainst || (!evidenceAgainst && matches.length)) status = "match";
+
+  return { status, matches, mismatches };
+}
+
+/**
+ * Name, state and county name for a jurisdiction, as verifyOwnership
+ * takes them. Null when the jurisdiction is unknown.
+ */
+export async function loadOwnershipContext(geoid) {
+  const rows = await sb(`jurisdictions?geoid=eq.${geoid}&select=name,statefp,county_geoid&limit=1`);
+  const j = Array.isArray(rows) ? rows[0] : null;
+  if (!j) return null;
+
+  let countyName = null;
+  if (j.county_geoid && j.county_geoid !== geoid) {
+    const county = await sb(`jurisdictions?geoid=eq.${j.county_geoid}&select=name&limit=1`);
+    countyName = Array.isArray(county) ? county[0]?.name ?? null : null;
+  }
+
+  return {
+    name: j.name,
+    state: stateAbbrFromFips(j.statefp),
+    countyName
+  };
+}
@@ -0,0 +1,352 @@
+// lib/politeFetch.js
+//
+// Politeness layer for every request we send to a jurisdiction's or a
+// vendor's server: liveness probes, page fetches, redirect resolution,
+// PDF downloads and the Playwright crawl. Several county IT departments
+// blocked our ranges when workers fetched without any of this.
+//
+//   identity     one User-Agent (BOT_USER_AGENT) naming the bot and a
+//                contact URL (CRAWLER_CONTACT_URL)
+//   robots.txt   fetched once per origin and cached (RFC 9309 matching:
+//                our group or "*", longest rule wins, allow wins ties).
+//                A 4xx robots.txt allows everything; a 5xx one holds off
+//                every crawl of the origin (kind "robots_unavailable",
+//                retryable) until it is re-checked. Only real Disallow
+//                rules fail with kind "robots_disallowed".
+//   per host     at most `maxConcurrentPerHost` requests in flight and
+//                `minIntervalMs` between request starts, or the host's
+//                Crawl-delay when that is longer
+//   back-off     429 / 503 pause the host for Retry-After (or an
+//                exponential default) and retry; a pause longer than
+//                `maxRetryAfterMs` fails with kind "rate_limited" and
+//                err.retryAfterSeconds for the job queue
+//
+// State is per process. `politeFetch` wraps fetch(); the crawler takes a
+// slot with `acquireHostSlot` around page.goto and reports the response
+// with `noteHostResponse`.
+
+const CONTACT_URL = process.env.CRAWLER_CONTACT_URL || "https://permitget-poc.vercel.app";
+
+export const BOT_USER_AGENT = `Mozilla/5.0 (compatible; PermitGetBot/1.0; +${CONTACT_URL})`;
+
+// Product token matched against robots.txt user-agent lines
+const ROBOTS_TOKEN = "permitgetbot";
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name] || "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export const POLITENESS = {
+  minIntervalMs: envInt("CRAWL_MIN_INTERVAL_MS", 2000),
+  maxConcurrentPerHost: envInt("CRAWL_MAX_CONCURRENT_PER_HOST", 1) || 1,
+  // Crawl-delay values above this are capped, not honored in full
+  maxCrawlDelayMs: 60 * 1000,
+  // Longest Retry-After we wait out in-process
+  maxRetryAfterMs: 2 * 60 * 1000,
+  // Retries after a 429 / 503
+  maxRetries: 2,
+  robotsTtlMs: 24 * 3600 * 1000,
+  robotsErrorTtlMs: 10 * 60 * 1000,
+  robotsTimeoutMs: 10 * 1000
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+// ------------------------------
+// ROBOTS.TXT
+// ------------------------------
+
+function ruleRegex(path) {
+  const anchored = path.endsWith("$");
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split("*")
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Parse a robots.txt body into the rules that apply to us.
+ *   → { rules: [{ allow, path }], crawlDelayMs: number|null }
+ */
+export function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!m) continue;
+
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (field === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === "allow" || field === "disallow") {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === "allow", path: value });
+    } else if (field === "crawl-delay") {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelayMs = seconds * 1000;
+    }
+  }
+
+  const ours = groups.filter(g => g.agents.some(a => a.replace(/\/.*$/, "") === ROBOTS_TOKEN));
+  const chosen = ours.length ? ours : groups.filter(g => g.agents.includes("*"));
+
+  return {
+    rules: chosen.flatMap(g => g.rules),
+    crawlDelayMs: chosen.map(g => g.crawlDelayMs).find(d => d !== null) ?? null
+  };
+}
+
+/**
+ * Whether parsed robots rules allow a path (with its query string).
+ */
+export function robotsAllows(robots, pathWithQuery) {
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!ruleRegex(rule.path).test(pathWithQuery)) continue;
+    const len = rule.path.length;
+    if (!best || len > best.len || (len === best.len && rule.allow)) {
+      best = { len, allow: rule.allow };
+    }
+  }
+  return best ? best.allow : true;
+}
+
+const ALLOW_ALL = { rules: [], crawlDelayMs: null };
+// robots.txt answered 5xx: we cannot tell what is allowed yet
+const UNAVAILABLE = { rules: [], crawlDelayMs: null, unavailable: true };
+
+// origin → { robots, expiresAt } or a pending Promise
+const robotsCache = new Map();
+
+async function fetchRobots(origin) {
+  let res;
+  try {
+    res = await fetch(`${origin}/robots.txt`, {
+      headers: { "User-Agent": BOT_USER_AGENT },
+      redirect: "follow",
+      signal: AbortSignal.timeout(POLITENESS.robotsTimeoutMs)
+    });
+  } catch {
+    // Unreachable: the page fetch will fail on its own
+    return { robots: ALLOW_ALL, ttl: POLITENESS.robotsErrorTtlMs };
+  }
+
+  if (res.status >= 500) {
+    res.body?.cancel().catch(() => {});
+    return { robots: UNAVAILABLE, ttl: POLITENESS.robotsErrorTtlMs };
+  }
+  if (!res.ok) {
+    res.body?.cancel().catch(() => {});
+    return { robots: ALLOW_ALL, ttl: POLITENESS.robotsTtlMs };
+  }
+
+  return { robots: parseRobots(await res.text()), ttl: POLITENESS.robotsTtlMs };
+}
+
+/**
+ * Robots rules for a URL's origin, cached per process.
+ */
+export async function getRobots(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return ALLOW_ALL;
+
+  const origin = parsed.origin;
+  const cached = robotsCache.get(origin);
+  if (cached instanceof Promise) return cached;
+  if (cached && cached.expiresAt > Date.now()) return cached.robots;
+
+  const pending = fetchRobots(origin).then(({ robots, ttl }) => {
+    robotsCache.set(origin, { robots, expiresAt: Date.now() + ttl });
+    return robots;
+  });
+  robotsCache.set(origin, pending);
+  return pending;
+}
+
+function robotsError(url) {
+  const err = new Error(`[Polite] robots.txt disallows ${url}`);
+  err.kind = "robots_disallowed";
+  return err;
+}
+
+function robotsUnavailableError(url) {
+  const err = new Error(`[Polite] robots.txt unavailable (5xx) for ${url}`);
+  err.kind = "robots_unavailable";
+  // Not worth retrying before the cached answer is re-checked
+  err.retryAfterSeconds = Math.ceil(POLITENESS.robotsErrorTtlMs / 1000);
+  return err;
+}
+
+// ------------------------------
+// PER-HOST SLOTS
+// ------------------------------
+
+// host → { active, nextAt, pausedUntil, failures }
+const hosts = new Map();
+
+function hostState(host) {
+  if (!hosts.has(host)) hosts.set(host, { active: 0, nextAt: 0, pausedUntil: 0, failures: 0 });
+  return hosts.get(host);
+}
+
+function rateLimitedError(host, waitMs) {
+  const err = new Error(`[Polite] ${host} asked us to back off for ${Math.ceil(waitMs / 1000)}s`);
+  err.kind = "rate_limited";
+  err.retryAfterSeconds = Math.ceil(waitMs / 1000);
+  return err;
+}
+
+/**
+ * Wait for robots.txt and the host's limits to allow a request to `url`.
+ * Returns a release function to call when the request is done.
+ * Throws kind "robots_disallowed" for a Disallow rule, "robots_unavailable"
+ * while the origin's robots.txt answers 5xx, or "rate_limited" when the
+ * host has paused us for longer than POLITENESS.maxRetryAfterMs.
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {boolean} [opts.respectRobots] default true
+ */
+export async function acquireHostSlot(url, { respectRobots = true } = {}) {
+  const parsed = parseUrl(url);
+  if (!parsed) return () => {};
+
+  const robots = await getRobots(url);
+  if (respectRobots) {
+    if (robots.unavailable) throw robotsUnavailableError(url);
+    if (!robotsAllows(robots, `${parsed.pathname}${parsed.search}`)) throw robotsError(url);
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  const state = hostState(host);
+  const interval = Math.max(
+    POLITENESS.minIntervalMs,
+    Math.min(robots.crawlDelayMs ?? 0, POLITENESS.maxCrawlDelayMs)
+  );
+
+  for (;;) {
+    const now = Date.now();
+    if (state.pausedUntil - now > POLITENESS.maxRetryAfterMs) {
+      throw rateLimitedError(host, state.pausedUntil - now);
+    }
+
+    const readyAt = Math.max(state.nextAt, state.pausedUntil);
+    if (state.active < POLITENESS.maxConcurrentPerHost && now >= readyAt) break;
+
+    await sleep(Math.max(readyAt - now, 50));
+  }
+
+  state.active++;
+  state.nextAt = Date.now() + interval;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    state.active--;
+  };
+}
+
+/**
+ * Retry-After as milliseconds: delta-seconds or an HTTP date.
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+/**
+ * Record a response from a host: 429 / 503 pause it for Retry-After or
+ * an exponential default, anything else clears the failure count.
+ * Returns the pause in ms, or 0.
+ */
+export function noteHostResponse(url, status, retryAfter = null) {
+  const parsed = parseUrl(url);
+  if (!parsed) return 0;
+
+  const state = hostState(parsed.hostname.toLowerCase());
+  if (status !== 429 && status !== 503) {
+    state.failures = 0;
+    return 0;
+  }
+
+  state.failures++;
+  const waitMs =
+    parseRetryAfter(retryAfter) ??
+    POLITENESS.minIntervalMs * 2 ** (state.failures + 1);
+
+  state.pausedUntil = Math.max(state.pausedUntil, Date.now() + waitMs);
+  console.warn(`[Polite] ${parsed.hostname} returned ${status}; pausing ${Math.ceil(waitMs / 1000)}s`);
+  return waitMs;
+}
+
+// ------------------------------
+// FETCH
+// ------------------------------
+
+/**
+ * fetch() with robots.txt, per-host limits, our User-Agent and 429 / 503
+ * back-off. Same arguments and result as fetch(); a 429 / 503 that
+ * outlasts the retries is returned like any other response.
+ *
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @param {object} [opts]
+ * @param {boolean} [opts.respectRobots] default true
+ * @param {number} [opts.timeoutMs] per attempt
+ */
+export async function politeFetch(url, init = {}, { respectRobots = true, timeoutMs = null } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const release = await acquireHostSlot(url, { respectRobots });
+
+    let res;
+    try {
+      res = await fetch(url, {
+        ...init,
+        headers: { "User-Agent": BOT_USER_AGENT, ...(init.headers || {}) },
+        signal: init.signal ?? (timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined)
+      });
+    } finally {
+      release();
+    }
+
+    const waitMs = noteHostResponse(url, res.status, res.headers.get("retry-after"));
+    if (!waitMs || attempt >= POLITENESS.maxRetries || waitMs > POLITENESS.maxRetryAfterMs) {
+      return res;
+    }
+
+    res.body?.cancel().catch(() => {});
+  }
+}
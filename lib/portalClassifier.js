@@ -0,0 +1,186 @@
+// lib/portalClassifier.js
+//
+// Scored permit-portal classifier.
+//
+// Replaces the old "2 of 11 keywords in the first 5000 characters" sniff
+// test, which passed city homepages that merely mention "permit" and
+// failed SPA portals whose first 5KB is script tags. Works on the whole
+// document: visible text, title, forms, login fields and link anchors.
+//
+// Pure and deterministic (no network), so it can be tuned against saved
+// HTML fixtures (fixtures/portal-pages) with scripts/classifyHtmlFixtures.mjs.
+
+import {
+  extractVisibleText,
+  extractTitle,
+  extractAnchors,
+  extractForms
+} from "./htmlUtils.js";
+import { matchVendorByUrl } from "./vendorRegistry.js";
+
+// Score at or above which a page is treated as a permit portal.
+export const PORTAL_SCORE_THRESHOLD = 0.5;
+
+// Logistic offset: the weighted sum a page needs to score 0.5.
+const BIAS = 1.5;
+
+const PERMIT_TYPES = [
+  "building",
+  "electrical",
+  "plumbing",
+  "mechanical",
+  "roofing",
+  "demolition",
+  "fence",
+  "pool",
+  "sign",
+  "solar",
+  "residential",
+  "commercial",
+  "grading",
+  "right-of-way",
+  "fire"
+];
+
+const PORTAL_PHRASES = [
+  "citizen access",
+  "self service",
+  "selfservice",
+  "self-service",
+  "permit portal",
+  "online permit",
+  "contractor portal",
+  "contractor login",
+  "search permits",
+  "search records",
+  "schedule an inspection",
+  "schedule inspection",
+  "request inspection",
+  "plan review",
+  "my permits"
+];
+
+const APPLY_PATTERN = /\bapply (?:for|online|now)\b|\bstart (?:a|an|new) (?:application|permit)\b|\bsubmit (?:a|an) (?:application|permit)\b|\bnew application\b/i;
+
+const LOGIN_PATTERN = /\b(?:log ?in|sign ?in|create (?:an )?account|register)\b/i;
+
+const MEETING_WORDS = ["agenda", "minutes", "meeting", "public hearing", "council"];
+
+const HOMEPAGE_NAV = [
+  "news",
+  "events",
+  "parks",
+  "library",
+  "jobs",
+  "employment",
+  "trash",
+  "recycling",
+  "police",
+  "visitors"
+];
+
+const SPA_ROOT = /<(?:app-root|ng-view)\b|\bng-app\b|id=["'](?:root|app)["']/i;
+
+function countMatches(text, words) {
+  return words.filter(w => text.includes(w)).length;
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+/**
+ * Extract the raw page features the classifier weighs.
+ */
+export function extractPortalFeatures(html) {
+  const text = extractVisibleText(html).toLowerCase();
+  const title = extractTitle(html).toLowerCase();
+  const anchors = extractAnchors(html);
+  const forms = extractForms(html);
+
+  const anchorText = anchors.map(a => a.text.toLowerCase()).join(" | ");
+  const inputs = forms.flatMap(f => f.inputs);
+  const pdfLinks = anchors.filter(a => /\.pdf(?:$|[?#])/i.test(a.href)).length;
+
+  return {
+    title,
+    textLength: text.length,
+    anchorCount: anchors.length,
+    pdfLinkRatio: anchors.length ? pdfLinks / anchors.length : 0,
+    // Password fields outside a <form> are common in SPA login widgets
+    hasPasswordField:
+      inputs.some(i => i.type === "password") || /<input\b[^>]*type=["']?password/i.test(html || ""),
+    hasLoginText: LOGIN_PATTERN.test(text),
+    hasApplyText: APPLY_PATTERN.test(text) || APPLY_PATTERN.test(anchorText),
+    permitTypeCount: countMatches(text, PERMIT_TYPES.map(t => `${t} permit`)) +
+      countMatches(anchorText, PERMIT_TYPES),
+    portalPhraseCount: countMatches(`${text} ${anchorText}`, PORTAL_PHRASES),
+    titleHasPermit: /permit|inspection|citizen access|self ?service|licens/.test(title),
+    meetingWordCount: countMatches(`${title} ${anchorText}`, MEETING_WORDS),
+    homepageNavCount: countMatches(anchorText, HOMEPAGE_NAV),
+    isSpaShell: SPA_ROOT.test(html || "") && text.length < 500
+  };
+}
+
+/**
+ * Score how likely a page is to be an online permit portal.
+ *
+ * @param {string} html
+ * @param {object} [opts]
+ * @param {string} [opts.url] page URL; vendor-hosted pages get a prior
+ * @returns {{ score: number, isPortal: boolean, features: Array<{ name: string, weight: number }> }}
+ *   `features` lists every signal that contributed, with its signed weight.
+ */
+export function classifyPermitPortal(html, opts = {}) {
+  if (!html) return { score: 0, isPortal: false, features: [] };
+
+  const f = extractPortalFeatures(html);
+  const contributions = [];
+  const add = (name, weight) => contributions.push({ name, weight });
+
+  // ---- Positive signals ----
+  if (f.hasPasswordField) add("login_form", 1.2);
+  else if (f.hasLoginText) add("login_text", 0.4);
+
+  if (f.hasApplyText) add("apply_action", 0.8);
+
+  if (f.permitTypeCount >= 3) add("permit_type_list", 1.0);
+  else if (f.permitTypeCount > 0) add("permit_type_mention", 0.3 * f.permitTypeCount);
+
+  if (f.portalPhraseCount > 0) {
+    add("portal_phrases", Math.min(1.2, 0.4 * f.portalPhraseCount));
+  }
+
+  if (f.titleHasPermit) add("permit_title", 0.8);
+
+  const vendor = opts.url ? matchVendorByUrl(opts.url) : null;
+  if (vendor) add(`vendor_host:${vendor.id}`, 0.8);
+
+  // SPA portals render client-side; an empty shell on a vendor host or
+  // with a permit title is still a portal. On a vendor host the shell is
+  // all there is to score, so vendor host + shell alone clears the
+  // threshold (EnerGov <app-root>, OpenGov <div id="root">).
+  if (f.isSpaShell && vendor) add("spa_shell", 1.0);
+  else if (f.isSpaShell && f.titleHasPermit) add("spa_shell", 0.5);
+
+  // ---- Negative signals ----
+  if (f.meetingWordCount >= 2) add("agenda_minutes", -0.4 * f.meetingWordCount);
+
+  if (f.anchorCount >= 5 && f.pdfLinkRatio > 0.4) add("pdf_library", -0.8);
+
+  if (f.homepageNavCount >= 4 && !f.hasPasswordField) {
+    add("city_homepage_nav", -0.25 * f.homepageNavCount);
+  }
+
+  const sum = contributions.reduce((acc, c) => acc + c.weight, 0);
+  const score = Math.round(sigmoid(sum - BIAS) * 1000) / 1000;
+
+  return {
+    score,
+    isPortal: score >= PORTAL_SCORE_THRESHOLD,
+    features: contributions.map(c => ({
+      name: c.name,
+      weight: Math.round(c.weight * 100) / 100
+    }))
+  };
+}
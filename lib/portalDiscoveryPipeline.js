@@ -1,20 +1,25 @@
 // lib/portalDiscoveryPipeline.js
-import OpenAI from "openai";
 import { sb } from "./supabase.js";
 import {
   validateURL,
-  detectVendor,
-  checkUrlAlive,
-  looksLikePermitPortal,
-  normalizeTylerOAuth
+  probeUrl,
+  isUncheckedProbe,
+  fetchPage,
+  detectVendorFromContent
 } from "./portalUtils.js";
-
-// --------------------------------------------------------
-// OpenAI client
-// --------------------------------------------------------
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+import {
+  normalizeVendorUrl,
+  guessVendorTenantUrls,
+  DELEGATED,
+  OFFLINE
+} from "./vendorRegistry.js";
+import { stateAbbrFromFips } from "./states.js";
+import { getLLM } from "./llmProvider.js";
+import { resolvePortalUrl } from "./urlResolver.js";
+import { classifyPermitPortal } from "./portalClassifier.js";
+import { detectOfflineJurisdiction } from "./offlineClassifier.js";
+import { loadOwnershipContext, verifyOwnership } from "./ownershipVerifier.js";
+import { detectDelegation, recordDelegation } from "./delegation.js";
 
 // --------------------------------------------------------
 // PROMPTS
@@ -36,12 +41,15 @@ STRICT RULES:
 - Avoid PDFs, “forms & documents” pages, agendas, minutes, or zoning pages.
 - If login redirects to a vendor SSO (e.g., TylerPortico), return the underlying portal.
 - If unsure, return null.
+- Separately, return the jurisdiction's building department page
+  (department_url) if you know it, even when there is no online portal.
 
 Return JSON ONLY:
 
 {
   "url": "<string|null>",
   "confidence": <number between 0 and 1>,
+  "department_url": "<string|null>",
   "notes": "<short reasoning>"
 }
 `;
@@ -72,12 +80,15 @@ STRICT RULES:
     identity.tylerportico.com → https://xxx-energovpub.tylerhost.net/apps/selfservice/
 - Avoid PDFs, About pages, agendas, minutes, zoning-only pages.
 - Prefer pages with “apply”, “permit”, “contractor login”, “self-service”.
+- Separately, return the official building department page (department_url).
+  Many small jurisdictions only publish PDF applications there.
 
 Return JSON ONLY:
 
 {
   "url": "<string|null>",
   "confidence": <number between 0 and 1>,
+  "department_url": "<string|null>",
   "notes": "<short detailed reasoning>"
 }
 `;
@@ -87,58 +98,46 @@ Return JSON ONLY:
 // AI EXEC HELPERS
 // --------------------------------------------------------
 
-async function runMiniAI(name, statefp) {
-  const response = await openai.responses.create({
+// Same answer shape for both rounds
+const PORTAL_SCHEMA = {
+  type: "object",
+  properties: {
+    url: { type: ["string", "null"] },
+    confidence: { type: "number" },
+    department_url: { type: ["string", "null"] },
+    notes: { type: ["string", "null"] }
+  },
+  required: ["url", "confidence"]
+};
+
+async function runMiniAI(name, statefp, geoid) {
+  const { data } = await getLLM().generateJSON({
     model: "gpt-4o-mini",
-    input: buildMiniPrompt(name, statefp),
-    response_format: {
-      type: "json_schema",
-      json_schema: {
-        name: "miniPortalSchema",
-        schema: {
-          type: "object",
-          properties: {
-            url: { type: ["string", "null"] },
-            confidence: { type: "number" },
-            notes: { type: ["string", "null"] }
-          },
-          required: ["url", "confidence"]
-        }
-      }
-    }
+    prompt: buildMiniPrompt(name, statefp),
+    schemaName: "miniPortalSchema",
+    schema: PORTAL_SCHEMA,
+    meta: { worker: "portalDiscoveryPipeline", jurisdiction_geoid: geoid }
   });
 
-  return response.output[0].content[0].json;
+  return data;
 }
 
-async function runFullAI(name, statefp) {
+async function runFullAI(name, statefp, geoid) {
   try {
-    const response = await openai.responses.create({
+    const { data } = await getLLM().generateJSON({
       model: "gpt-4.1",
-      input: buildFullPrompt(name, statefp),
-      response_format: {
-        type: "json_schema",
-        json_schema: {
-          name: "fullPortalSchema",
-          schema: {
-            type: "object",
-            properties: {
-              url: { type: ["string", "null"] },
-              confidence: { type: "number" },
-              notes: { type: ["string", "null"] }
-            },
-            required: ["url", "confidence"]
-          }
-        }
-      }
+      prompt: buildFullPrompt(name, statefp),
+      schemaName: "fullPortalSchema",
+      schema: PORTAL_SCHEMA,
+      meta: { worker: "portalDiscoveryPipeline", jurisdiction_geoid: geoid }
     });
 
-    return response.output[0].content[0].json;
+    return data;
 
   } catch (err) {
     if (err.status === 429 || err.code === "insufficient_quota") {
       console.warn("[PortalDiscovery] gpt-4.1 quota hit → falling back to mini");
-      return runMiniAI(name, statefp);
+      return runMiniAI(name, statefp, geoid);
     }
     throw err;
   }
@@ -149,51 +148,357 @@ async function runFullAI(name, statefp) {
 // --------------------------------------------------------
 
 /**
- * Canonicalizes and validates a candidate URL.
+ * Canonicalizes and validates a candidate URL. `owner` is the
+ * jurisdiction the URL must belong to (loadOwnershipContext).
+ *
+ * Returns null for an empty URL, otherwise a check result:
+ *   { ok: true,  url, vendor, vendor_confidence, vendor_evidence,
+ *                redirect_chain, liveness, portal_score, portal_features,
+ *                ownership }
+ *   { ok: false, url, reason, liveness?, unchecked? }
+ * Rejections are kept so reviewers can see why a candidate was dropped.
+ * `unchecked` marks a candidate whose host was rate limiting us (or whose
+ * robots.txt could not be read): it was never checked, not found wanting.
  */
-async function validateCandidate(rawUrl) {
+async function validateCandidate(rawUrl, owner) {
   if (!rawUrl) return null;
-  let url = rawUrl;
 
-  // Normalize Tyler OAuth → EnerGov self-service
-  const normalizedTyler = normalizeTylerOAuth(url);
-  if (normalizedTyler) url = normalizedTyler;
+  const rejected = (reason, extra = {}) => ({
+    ok: false,
+    url: rawUrl,
+    reason,
+    ...extra
+  });
+
+  // Cheap pre-filter before any network I/O
+  if (!validateURL(normalizeVendorUrl(rawUrl))) return rejected("not_gov_or_vendor");
 
-  // Normalize CityView login URLs
-  if (url.toLowerCase().includes("cvprodportal")) {
-    url = url.replace(/\/Account\/Logon.*/i, "/");
+  // Follow redirects / SSO bounces to the canonical landing URL
+  // (Tyler OAuth → EnerGov self-service, login pages → portal root, etc.)
+  const resolved = await resolvePortalUrl(rawUrl);
+  if (!resolved.url) {
+    return rejected(`unresolved:${resolved.error}`, {
+      redirect_chain: resolved.chain
+    });
   }
 
+  const url = resolved.url;
+
   // Ensure it's a valid vendor or .gov domain
   const validated = validateURL(url);
-  if (!validated) return null;
+  if (!validated) return rejected("not_gov_or_vendor");
+
+  // Liveness probe (HEAD, then GET when HEAD is refused)
+  const liveness = await probeUrl(validated);
+  if (isUncheckedProbe(liveness)) return rejected(liveness.failure, { liveness, unchecked: true });
+  if (!liveness.alive) return rejected(liveness.failure, { liveness });
+
+  // Score the page as a permit portal (login form, apply actions, permit
+  // type lists vs. agenda / PDF-library pages)
+  const page = await fetchPage(validated);
+  if (isUncheckedProbe(page)) return rejected(page.failure, { liveness, unchecked: true });
+  if (!page.ok) return rejected(page.failure, { liveness });
+
+  const classified = classifyPermitPortal(page.html, { url: page.url });
+  if (!classified.isPortal) {
+    // Not a portal, but often the building department page itself: check
+    // whether it only offers PDF applications.
+    const offline = detectOfflineJurisdiction({ url: page.url, html: page.html });
+
+    return rejected("not_portal_page", {
+      liveness,
+      portal_score: classified.score,
+      offline: offline.isOffline ? offline : null
+    });
+  }
+
+  // A portal, but whose? Vendor tenants and city domains with the same
+  // name exist in other states
+  const ownership = owner
+    ? verifyOwnership({ url: page.url, html: page.html, jurisdiction: owner })
+    : null;
+  if (ownership?.status === "mismatch") {
+    return rejected("ownership_mismatch", {
+      liveness,
+      portal_score: classified.score,
+      ownership
+    });
+  }
 
-  // HEAD check for page existence
-  const alive = await checkUrlAlive(validated);
-  if (!alive) return null;
+  // Content-aware vendor detection (catches vendor portals on city domains)
+  const detected = detectVendorFromContent({
+    url: page.url,
+    html: page.html,
+    headers: page.headers
+  });
+
+  return {
+    ok: true,
+    url: validated,
+    vendor: detected.vendor,
+    vendor_confidence: detected.confidence,
+    vendor_evidence: detected.evidence,
+    redirect_chain: resolved.chain,
+    liveness,
+    portal_score: classified.score,
+    portal_features: classified.features,
+    ownership
+  };
+}
+
+/**
+ * Compact record of a validation attempt for jurisdiction_meta.candidate_checks.
+ */
+function summarizeCheck(source, check) {
+  return {
+    source,
+    url: check.url,
+    ok: check.ok,
+    reason: check.ok ? null : check.reason,
+    portal_score: check.portal_score ?? null,
+    offline_confidence: check.offline?.confidence ?? null,
+    ownership: check.ownership?.status ?? null,
+    liveness: check.liveness || null
+  };
+}
+
+/**
+ * Fetch the building department page the model pointed at and run the
+ * offline classifier on it. Returns the offline result or null.
+ */
+async function checkDepartmentPage(rawUrl) {
+  const url = validateURL(normalizeVendorUrl(rawUrl || ""));
+  if (!url) return null;
 
-  // Light content sniff test
-  const looksPortalPage = await looksLikePermitPortal(validated);
-  if (!looksPortalPage) return null;
+  const page = await fetchPage(url);
+  if (!page.ok) return null;
 
-  return validated;
+  const offline = detectOfflineJurisdiction({ url: page.url, html: page.html });
+  return offline.isOffline ? offline : null;
 }
 
 // --------------------------------------------------------
 // SUPABASE META UPSERT
 // --------------------------------------------------------
 
-async function upsertMeta(geoid, portal_url, vendor_type, notes) {
+async function upsertMeta(geoid, candidate, notes, checks = [], alternatives = []) {
+  const portal_url = candidate ? candidate.url : null;
+
   await sb("jurisdiction_meta?on_conflict=jurisdiction_geoid", "POST", {
     jurisdiction_geoid: geoid,
     portal_url,
-    vendor_type,
+    vendor_type: candidate ? candidate.vendor : "unknown",
+    vendor_confidence: candidate ? candidate.vendor_confidence : null,
+    vendor_evidence: candidate ? candidate.vendor_evidence : null,
+    redirect_chain: candidate ? candidate.redirect_chain : null,
+    liveness: candidate ? candidate.liveness : null,
+    portal_score: candidate ? candidate.portal_score : null,
+    portal_features: candidate ? candidate.portal_features : null,
+    ownership: candidate ? candidate.ownership : null,
+    candidate_score: candidate ? candidate.score : null,
+    alternatives,
+    candidate_checks: checks,
     submission_method: portal_url ? "online" : "unknown",
     license_required: portal_url ? true : null,
     notes: notes || ""
   });
 }
 
+/**
+ * Record a detected offline-only jurisdiction on jurisdiction_meta only,
+ * with the meta fields a reviewer's offline decision writes
+ * (api/dashboard/review/reject.js): vendor_type "offline",
+ * submission_method "offline_only", manual_info_url.
+ *
+ * Unlike the reviewer's decision it stays unverified and does not touch
+ * `jurisdictions`, which the public permit lookup reads: a detection is a
+ * suggestion until a reviewer approves it (approve.js copies offline_only
+ * to `jurisdictions` then), the same split as detected delegations.
+ */
+async function upsertOfflineMeta(geoid, offline, notes, checks = []) {
+  await sb("jurisdiction_meta?on_conflict=jurisdiction_geoid", "POST", {
+    jurisdiction_geoid: geoid,
+    portal_url: null,
+    manual_info_url: offline.manual_info_url,
+    pdf_forms: offline.pdf_forms,
+    offline_confidence: offline.confidence,
+    vendor_type: OFFLINE,
+    submission_method: "offline_only",
+    candidate_checks: checks,
+    notes: notes || ""
+  }, { Prefer: "resolution=merge-duplicates" });
+}
+
+/**
+ * Add a page's downloadable forms to the per-jurisdiction inventory.
+ */
+async function upsertFormInventory(geoid, sourceUrl, forms) {
+  if (!forms?.length) return;
+
+  const now = new Date().toISOString();
+
+  const result = await sb("jurisdiction_forms?on_conflict=jurisdiction_geoid,url", "POST",
+    forms.map(f => ({
+      jurisdiction_geoid: geoid,
+      url: f.url,
+      title: f.title,
+      kind: f.kind,
+      source_url: sourceUrl,
+      last_seen_at: now
+    })),
+    // Known forms refresh last_seen_at instead of failing the batch
+    { Prefer: "resolution=merge-duplicates" }
+  );
+
+  // sb() returns PostgREST errors as a body instead of throwing
+  if (result && !Array.isArray(result)) {
+    console.error("[PortalDiscovery] Form inventory upsert failed:", result.message || result);
+  }
+}
+
+// --------------------------------------------------------
+// CANDIDATE SET + RANKING
+// --------------------------------------------------------
+
+// Prior for vendor tenant guesses (nothing vouches for them but the name)
+const GUESS_PRIOR = 0.3;
+// Search-worker candidates never outrank a confident model answer on
+// prior alone
+const SEARCH_PRIOR_CAP = 0.8;
+const MAX_SEARCH_CANDIDATES = 5;
+
+const VALIDATION_CONCURRENCY = 6;
+const MAX_ALTERNATIVES = 5;
+
+// Best combined score below which the pool is weak: vendor tenant URLs
+// are guessed, then the full model is consulted
+const ESCALATION_SCORE = 0.6;
+
+// Combined score weights
+const SCORE_WEIGHTS = {
+  prior: 0.35,
+  portal: 0.4,
+  vendor: 0.15,
+  agreement: 0.1
+};
+
+/**
+ * Surviving candidates the search workers stored for this jurisdiction.
+ */
+async function loadSearchCandidates(geoid) {
+  const rows = await sb(
+    `portal_candidates?jurisdiction_geoid=eq.${geoid}` +
+    `&rejected_reason=is.null` +
+    `&select=url_found,confidence,source` +
+    `&order=confidence.desc&limit=${MAX_SEARCH_CANDIDATES}`
+  );
+
+  return (Array.isArray(rows) ? rows : [])
+    .filter(r => r.url_found)
+    .map(r => ({
+      url: r.url_found,
+      source: `search:${r.source || "search"}`,
+      prior: Math.min(SEARCH_PRIOR_CAP, r.confidence ?? 0.5)
+    }));
+}
+
+/**
+ * Add a raw URL to the candidate pool, merging sources for duplicates.
+ */
+function addCandidate(pool, rawUrl, source, prior) {
+  if (!rawUrl) return;
+
+  const key = normalizeVendorUrl(rawUrl.trim());
+  const existing = pool.get(key);
+
+  if (existing) {
+    if (!existing.sources.includes(source)) existing.sources.push(source);
+    existing.prior = Math.max(existing.prior, prior);
+    return;
+  }
+
+  pool.set(key, { url: rawUrl.trim(), sources: [source], prior, check: null });
+}
+
+/**
+ * Validate every pool entry that has not been checked yet, a few at a time.
+ */
+async function validatePool(pool, owner) {
+  const pending = [...pool.values()].filter(e => !e.check);
+
+  for (let i = 0; i < pending.length; i += VALIDATION_CONCURRENCY) {
+    const batch = pending.slice(i, i + VALIDATION_CONCURRENCY);
+    await Promise.all(
+      batch.map(async entry => {
+        entry.check = await validateCandidate(entry.url, owner);
+      })
+    );
+  }
+}
+
+/**
+ * Rank validated candidates by combined score. Raw URLs that resolved to
+ * the same canonical URL are merged first, so agreement between sources
+ * counts in the candidate's favour.
+ *   → [{ check, sources, prior, score }] best first
+ */
+function rankCandidates(pool) {
+  const byUrl = new Map();
+
+  for (const entry of pool.values()) {
+    if (!entry.check?.ok) continue;
+
+    const merged = byUrl.get(entry.check.url);
+    if (merged) {
+      for (const src of entry.sources) {
+        if (!merged.sources.includes(src)) merged.sources.push(src);
+      }
+      merged.prior = Math.max(merged.prior, entry.prior);
+      continue;
+    }
+
+    byUrl.set(entry.check.url, {
+      check: entry.check,
+      sources: [...entry.sources],
+      prior: entry.prior
+    });
+  }
+
+  return [...byUrl.values()]
+    .map(c => {
+      const agreement = Math.min(1, (c.sources.length - 1) / 2);
+      const score =
+        SCORE_WEIGHTS.prior * c.prior +
+        SCORE_WEIGHTS.portal * (c.check.portal_score ?? 0) +
+        SCORE_WEIGHTS.vendor * (c.check.vendor_confidence ?? 0) +
+        SCORE_WEIGHTS.agreement * agreement;
+
+      return { ...c, score: Math.round(score * 1000) / 1000 };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+function summarizeAlternative(c) {
+  return {
+    url: c.check.url,
+    score: c.score,
+    sources: c.sources,
+    vendor: c.check.vendor,
+    portal_score: c.check.portal_score,
+    ownership: c.check.ownership?.status ?? null
+  };
+}
+
+// No candidate yet, or none good enough to stop at
+function isWeakPool(ranked) {
+  return !ranked.length || ranked[0].score < ESCALATION_SCORE;
+}
+
+// "search:ddg" → "search", "guess:accela" → "guess"
+function sourceKind(source) {
+  return (source || "").split(":")[0];
+}
+
 // --------------------------------------------------------
 // MAIN PIPELINE
 // --------------------------------------------------------
@@ -215,10 +520,18 @@ export async function runPortalDiscovery({ geoid, forceRefresh = false }) {
       `jurisdiction_meta?jurisdiction_geoid=eq.${geoid}&limit=1`
     );
 
-    if (cached.length && cached[0].portal_url) {
+    const settled =
+      cached.length &&
+      (cached[0].portal_url ||
+        cached[0].submission_method === "offline_only" ||
+        cached[0].permits_handled_by);
+
+    if (settled) {
       return {
         status: "cache",
         portal_url: cached[0].portal_url,
+        manual_info_url: cached[0].manual_info_url || null,
+        permits_handled_by: cached[0].permits_handled_by || null,
         vendor_type: cached[0].vendor_type || "unknown",
         notes: cached[0].notes || "",
         source: "cached"
@@ -226,62 +539,147 @@ export async function runPortalDiscovery({ geoid, forceRefresh = false }) {
     }
   }
 
-  // 3. MINI AI ROUND
-  const mini = await runMiniAI(name, statefp);
-  let candidate = await validateCandidate(mini.url);
-  let notes = mini.notes || "";
-  let source = "mini";
+  // 3. CANDIDATE SET: mini model and prior search-worker candidates,
+  //    validated together
+  const pool = new Map();
 
-  const miniConfidence = mini.confidence || 0;
+  const [mini, searchCandidates] = await Promise.all([
+    runMiniAI(name, statefp, geoid),
+    loadSearchCandidates(geoid)
+  ]);
+
+  addCandidate(pool, mini.url, "mini", mini.confidence || 0);
+  for (const c of searchCandidates) addCandidate(pool, c.url, c.source, c.prior);
+
+  const owner = await loadOwnershipContext(geoid);
+  await validatePool(pool, owner);
+  let ranked = rankCandidates(pool);
+
+  // Vendor tenant guesses (about ten probes) only when the pool is weak
+  if (isWeakPool(ranked)) {
+    const tenantGuesses = guessVendorTenantUrls({
+      name,
+      state: stateAbbrFromFips(statefp)
+    });
+    for (const g of tenantGuesses) addCandidate(pool, g.url, `guess:${g.vendor}`, GUESS_PRIOR);
+
+    await validatePool(pool, owner);
+    ranked = rankCandidates(pool);
+  }
+
+  let notes = mini.notes || "";
+  let departmentUrl = mini.department_url || null;
 
   // 4. ESCALATE IF NECESSARY
   const requiresEscalation =
-    !candidate ||
-    miniConfidence < 0.7 ||
+    isWeakPool(ranked) ||
     (mini.url && mini.url.includes("authorize?")); // OAuth → must escalate
 
   if (requiresEscalation) {
-    const full = await runFullAI(name, statefp);
-    const fullCandidate = await validateCandidate(full.url);
+    const full = await runFullAI(name, statefp, geoid);
+    addCandidate(pool, full.url, "full", full.confidence || 0);
+
+    await validatePool(pool, owner);
+    ranked = rankCandidates(pool);
+
+    if (ranked[0]?.sources.includes("full")) notes = full.notes || notes;
+    departmentUrl = departmentUrl || full.department_url || null;
+  }
+
+  // Every validation attempt, kept for the review queue
+  const checks = [...pool.values()]
+    .filter(e => e.check)
+    .map(e => summarizeCheck(e.sources.join(","), e.check));
+
+  const best = ranked[0] || null;
+
+  // Nothing passed, but some candidates were never checked: retry the job
+  // later rather than record the place as having no portal
+  if (!best && [...pool.values()].some(e => e.check?.unchecked)) {
+    const err = new Error(`[PortalDiscovery] Candidates for ${geoid} not checked: host rate limited or robots.txt unavailable`);
+    err.kind = "rate_limited";
+    throw err;
+  }
 
-    if (fullCandidate && full.confidence >= miniConfidence) {
-      candidate = fullCandidate;
-      notes = full.notes || notes;
-      source = "full";
+  const alternatives = ranked.slice(1, 1 + MAX_ALTERNATIVES).map(summarizeAlternative);
+
+  // 5. DELEGATED → a place whose best candidate is its county's verified
+  //    portal, or that the county's pages list as served, uses the
+  //    county's permitting instead of a copy of its URL
+  const delegation = await detectDelegation(geoid, { bestUrl: best?.check.url ?? null });
+  if (delegation) {
+    await recordDelegation(geoid, delegation);
+
+    return {
+      status: "delegated",
+      portal_url: null,
+      vendor_type: DELEGATED,
+      permits_handled_by: delegation.handledBy,
+      delegation_source: delegation.source,
+      notes
+    };
+  }
+
+  // 6. NO PORTAL → offline-only if the department page only offers PDFs
+  if (!best) {
+    const offline =
+      [...pool.values()].find(e => e.check?.offline)?.check.offline ||
+      (await checkDepartmentPage(departmentUrl));
+
+    if (offline) {
+      await upsertOfflineMeta(geoid, offline, notes, checks);
+      await upsertFormInventory(geoid, offline.manual_info_url, offline.pdf_forms);
+
+      return {
+        status: "offline",
+        portal_url: null,
+        vendor_type: OFFLINE,
+        manual_info_url: offline.manual_info_url,
+        pdf_forms: offline.pdf_forms,
+        notes,
+        checks
+      };
     }
   }
 
-  // 5. FAILURE → record for human review
-  if (!candidate) {
+  // 7. FAILURE → record for human review
+  if (!best) {
     await upsertMeta(
       geoid,
       null,
-      "unknown",
-      notes || "No reliable portal identified"
+      notes || "No reliable portal identified",
+      checks
     );
 
     return {
       status: "none",
       portal_url: null,
       vendor_type: "unknown",
-      notes
+      notes,
+      checks
     };
   }
 
-  // 6. SUCCESS → vendor detection + upsert
-  const vendor = detectVendor(candidate);
+  // 8. SUCCESS → upsert the top-ranked candidate with its runner-ups
+  if (!best.sources.some(src => src === "mini" || src === "full")) {
+    notes = `Ranked ${ranked.length} candidate(s); best from ${best.sources.join(", ")}`;
+  }
 
   await upsertMeta(
     geoid,
-    candidate,
-    vendor,
-    notes
+    { ...best.check, score: best.score },
+    notes,
+    checks,
+    alternatives
   );
 
   return {
-    status: source,
-    portal_url: candidate,
-    vendor_type: vendor,
+    status: sourceKind(best.sources[0]),
+    portal_url: best.check.url,
+    vendor_type: best.check.vendor,
+    vendor_confidence: best.check.vendor_confidence,
+    candidate_score: best.score,
+    alternatives,
     notes
   };
 }
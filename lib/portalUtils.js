@@ -2,92 +2,144 @@
 //
 // Node 18+ includes global fetch — works in Vercel + Node environments.
 
+import {
+  VENDORS,
+  matchVendorByUrl,
+  normalizeVendorUrl,
+  isGovHost,
+  MUNICIPAL,
+  UNKNOWN
+} from "./vendorRegistry.js";
+import { extractAttributeValues, extractMetaTags } from "./htmlUtils.js";
+import { classifyPermitPortal } from "./portalClassifier.js";
+import { politeFetch } from "./politeFetch.js";
+
+// Minimum combined confidence before a content match overrides the URL.
+const VENDOR_CONFIDENCE_THRESHOLD = 0.5;
+
 /**
  * Validate a candidate URL as a possible online permit portal.
  * Only allow:
  *   - .gov domains
- *   - known permit vendor domains
+ *   - known permit vendor domains (see lib/vendorRegistry.js)
  */
 export function validateURL(url) {
-  if (!url) return null;
-
-  if (!url.startsWith("http")) return null;
-  if (!url.includes(".")) return null;
-
-  const lower = url.toLowerCase();
-
-  // Known vendor fragments
-  const vendors = [
-    "accela",
-    "energov",
-    "tylerhost",
-    "tylertech",
-    "tylerportico",
-    "citizenserve",
-    "etrakit",
-    "opengov",
-    "cityview",
-    "cvprodportal",
-    "mygovernmentonline",
-    "permiteyes",
-    "viewpointcloud",
-    "arcgis",
-    "webgis",
-    "gisweb"
-  ];
+  if (!url || typeof url !== "string") return null;
+
+  const trimmed = url.trim();
+  if (!trimmed.startsWith("http")) return null;
+  if (!trimmed.includes(".")) return null;
 
   // All .gov portals are valid
-  if (lower.endsWith(".gov")) return url;
+  if (isGovHost(trimmed)) return trimmed;
 
   // Known vendor pattern
-  if (vendors.some(v => lower.includes(v))) return url;
+  if (matchVendorByUrl(trimmed)) return trimmed;
 
   return null;
 }
 
 /**
  * Vendor Detection
+ *
+ * Returns the canonical vendor id from the registry, "municipal" for
+ * .gov hosts, or "unknown".
  */
 export function detectVendor(url) {
-  if (!url) return "unknown";
-  const lower = url.toLowerCase();
+  if (!url) return UNKNOWN;
 
-  if (lower.includes("accela")) return "Accela";
+  const vendor = matchVendorByUrl(url);
+  if (vendor) return vendor.id;
 
-  if (lower.includes("energov") || lower.includes("tylerhost"))
-    return "EnerGov";
+  if (isGovHost(url)) return MUNICIPAL;
 
-  if (lower.includes("tylertech")) return "TylerTech";
-  if (lower.includes("tylerportico")) return "TylerTech";
+  return UNKNOWN;
+}
 
-  if (lower.includes("etrakit")) return "eTrakit";
+/**
+ * Content-aware vendor detection.
+ *
+ * Combines the URL with fingerprints found in the fetched page (script
+ * src paths, form actions, meta tags, response headers and raw HTML) so
+ * that a city-branded domain fronting a vendor portal is still labelled
+ * with the vendor.
+ *
+ * Signals are combined per vendor as 1 − Π(1 − weight); the best vendor
+ * wins when it clears VENDOR_CONFIDENCE_THRESHOLD.
+ *
+ * @param {object} input
+ * @param {string} input.url      final URL of the page
+ * @param {string} [input.html]   page HTML
+ * @param {Headers|object} [input.headers] response headers
+ * @returns {{ vendor: string, confidence: number, evidence: object[] }}
+ */
+export function detectVendorFromContent({ url, html = "", headers = null }) {
+  const haystacks = {
+    html: html || "",
+    script: extractAttributeValues(html, "script", "src")
+      .concat(extractAttributeValues(html, "link", "href"))
+      .join("\n"),
+    form: extractAttributeValues(html, "form", "action").join("\n"),
+    meta: extractMetaTags(html)
+      .map(m => `${m.name}=${m.content}`)
+      .join("\n"),
+    header: headersToText(headers)
+  };
+
+  const urlVendor = matchVendorByUrl(url);
+
+  let best = null;
+
+  for (const v of VENDORS) {
+    const evidence = [];
+
+    if (urlVendor?.id === v.id) {
+      evidence.push({ source: "url", signal: "vendor host/path", weight: 0.9 });
+    }
 
-  if (lower.includes("citizenserve")) return "CitizenServe";
+    for (const fp of v.fingerprints) {
+      const text = haystacks[fp.source];
+      if (text && fp.pattern.test(text)) {
+        evidence.push({ source: fp.source, signal: fp.label, weight: fp.weight });
+      }
+    }
 
-  if (lower.includes("opengov")) return "OpenGov";
+    if (!evidence.length) continue;
 
-  if (lower.includes("mygovernmentonline")) return "MyGovernmentOnline";
+    const confidence =
+      1 - evidence.reduce((miss, e) => miss * (1 - e.weight), 1);
 
-  if (lower.includes("permiteyes")) return "PermitEyes";
+    if (!best || confidence > best.confidence) {
+      best = { vendor: v.id, confidence, evidence };
+    }
+  }
 
-  if (lower.includes("viewpointcloud")) return "ViewPointCloud";
+  if (best && best.confidence >= VENDOR_CONFIDENCE_THRESHOLD) {
+    return { ...best, confidence: round2(best.confidence) };
+  }
 
-  // CityView portals
-  if (lower.includes("cityview") || lower.includes("cvprodportal"))
-    return "CityView";
+  // No convincing vendor: fall back to the URL-only label
+  const fallback = detectVendor(url);
+  return {
+    vendor: fallback,
+    confidence: fallback === MUNICIPAL ? 0.5 : 0,
+    evidence: best ? best.evidence : []
+  };
+}
 
-  // ArcGIS / ESRI Web App
-  if (
-    lower.includes("arcgis") ||
-    lower.includes("webgis") ||
-    lower.includes("gisweb")
-  ) {
-    return "ESRI-WebGIS";
-  }
+function headersToText(headers) {
+  if (!headers) return "";
 
-  if (lower.endsWith(".gov")) return "municipal";
+  const entries =
+    typeof headers.entries === "function"
+      ? [...headers.entries()]
+      : Object.entries(headers);
 
-  return "unknown";
+  return entries.map(([k, v]) => `${k}: ${v}`).join("\n");
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
 }
 
 /**
@@ -97,90 +149,225 @@ export function detectVendor(url) {
  *   https://identity.tylerportico.com/oauth2/...redirect_uri=https://xxx-energovpub.tylerhost.net/apps/selfservice/callback
  *
  * → https://xxx-energovpub.tylerhost.net/apps/selfservice/
+ *
+ * Returns null for anything that is not a Tyler redirect. For general
+ * vendor normalization use normalizeVendorUrl from the registry.
  */
 export function normalizeTylerOAuth(url) {
-  if (!url) return null;
+  if (matchVendorByUrl(url)?.id !== "tylertech") return null;
 
-  try {
-    const parsed = new URL(url);
-    const host = parsed.hostname.toLowerCase();
+  const normalized = normalizeVendorUrl(url);
+  return normalized !== url ? normalized : null;
+}
+
+// ------------------------------------------------------------
+// LIVENESS
+// ------------------------------------------------------------
+
+const PROBE_TIMEOUT_MS = 15000;
+
+// Statuses many municipal servers return for HEAD while serving GET fine.
+const HEAD_REJECTED = new Set([400, 403, 404, 405, 406, 500, 501]);
+
+const BOT_BLOCK_HEADERS = /cloudflare|akamai|incapsula|sucuri|imperva|cf-mitigated|x-iinfo|x-amzn-waf/i;
+const BOT_BLOCK_BODY = /attention required|captcha|access denied|request unsuccessful|are you a robot|bot detection|cf-chl-/i;
+
+/**
+ * Map a fetch() exception to a liveness failure class:
+ * "dns" | "timeout" | "tls" | "network".
+ */
+export function classifyFetchError(err) {
+  // Refused by lib/politeFetch.js before anything was sent
+  if (["rate_limited", "robots_disallowed", "robots_unavailable"].includes(err?.kind)) return err.kind;
 
-    // Only process tyler OAuth redirect-style URLs
-    if (!host.includes("tylertech.com") && !host.includes("tylerportico.com"))
-      return null;
+  const code = err?.cause?.code || err?.code || "";
+  const name = err?.name || "";
 
-    const redirect =
-      parsed.searchParams.get("redirect_uri") ||
-      parsed.searchParams.get("redirect");
+  if (code === "ENOTFOUND" || code === "EAI_AGAIN") return "dns";
 
-    if (!redirect) return null;
+  if (
+    name === "TimeoutError" ||
+    name === "AbortError" ||
+    /TIMEOUT|ETIMEDOUT/.test(code)
+  ) {
+    return "timeout";
+  }
 
-    const redirectedUrl = new URL(redirect);
+  if (/CERT|SSL|TLS|SELF_SIGNED|UNABLE_TO_(GET|VERIFY)/.test(code)) return "tls";
 
-    // Strip OAuth callback patterns
-    const normalized =
-      redirectedUrl.origin +
-      redirectedUrl.pathname.replace(/\/callback.*/i, "/");
+  return "network";
+}
+
+function classifyHttpFailure(status, headers, body) {
+  const headerText = headersToText(headers);
 
-    return normalized;
-  } catch {
-    return null;
+  if ([401, 403, 429, 503].includes(status)) {
+    if (BOT_BLOCK_HEADERS.test(headerText) || BOT_BLOCK_BODY.test(body || "")) {
+      return "bot_block";
+    }
   }
+
+  // A plain 429 that outlasted lib/politeFetch.js's back-off
+  if (status === 429) return "rate_limited";
+  if (status >= 500) return "http_5xx";
+  return "http_4xx";
+}
+
+// A status check of a URL someone linked to is not crawling: probes skip
+// robots.txt but keep the per-host limits and back-off
+async function timedFetch(url, method, timeoutMs) {
+  return politeFetch(url, { method, redirect: "follow" }, { timeoutMs, respectRobots: false });
 }
 
 /**
- * HEAD check to see if a URL exists.
+ * Structured liveness probe.
+ *
+ * Tries HEAD first and retries with GET when the server rejects HEAD
+ * (403 / 405 / ... are common on municipal servers for live pages).
+ *
+ * failure "rate_limited" means the host is backing us off and the URL was
+ * not checked at all (see isUncheckedProbe); it says nothing about the
+ * site and must not reject a candidate.
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {number} [opts.timeoutMs]
+ * @returns {Promise<{
+ *   alive: boolean,
+ *   status: number|null,
+ *   finalUrl: string,
+ *   latencyMs: number,
+ *   tlsValid: boolean|null,  null for plain http or when never connected
+ *   failure: null|"dns"|"timeout"|"tls"|"network"|"http_4xx"|"http_5xx"|"bot_block"|"rate_limited",
+ *   method: "HEAD"|"GET",
+ *   checkedAt: string
+ * }>}
  */
-export async function checkUrlAlive(url) {
+export async function probeUrl(url, opts = {}) {
+  const timeoutMs = opts.timeoutMs ?? PROBE_TIMEOUT_MS;
+  const https = /^https:/i.test(url || "");
+  const started = Date.now();
+
+  const result = {
+    alive: false,
+    status: null,
+    finalUrl: url,
+    latencyMs: 0,
+    tlsValid: null,
+    failure: null,
+    method: "HEAD",
+    checkedAt: new Date().toISOString()
+  };
+
+  let res = null;
+
   try {
-    const res = await fetch(url, {
-      method: "HEAD",
-      redirect: "follow"
-    });
+    res = await timedFetch(url, "HEAD", timeoutMs);
+  } catch (err) {
+    const failure = classifyFetchError(err);
+
+    // DNS / TLS failures won't change with GET; timeouts and resets might
+    if (failure === "dns" || failure === "tls" || failure === "rate_limited") {
+      result.failure = failure;
+      result.tlsValid = failure === "tls" ? false : null;
+      result.latencyMs = Date.now() - started;
+      return result;
+    }
+  }
+
+  if (!res || HEAD_REJECTED.has(res.status)) {
+    result.method = "GET";
+    try {
+      res = await timedFetch(url, "GET", timeoutMs);
+    } catch (err) {
+      result.failure = classifyFetchError(err);
+      result.tlsValid = result.failure === "tls" ? false : null;
+      result.latencyMs = Date.now() - started;
+      return result;
+    }
+  }
 
-    return res.ok || (res.status >= 300 && res.status < 400);
-  } catch {
-    return false;
+  result.status = res.status;
+  result.finalUrl = res.url || url;
+  result.tlsValid = https ? true : null;
+  result.latencyMs = Date.now() - started;
+
+  if (res.ok || (res.status >= 300 && res.status < 400)) {
+    result.alive = true;
+    // Release the connection; we only needed the status line
+    res.body?.cancel().catch(() => {});
+    return result;
+  }
+
+  // Body only matters for bot-wall detection; don't read huge pages
+  let body = "";
+  if (result.method === "GET") {
+    try {
+      body = (await res.text()).slice(0, 5000);
+    } catch {
+      body = "";
+    }
   }
+
+  result.failure = classifyHttpFailure(res.status, res.headers, body);
+  return result;
 }
 
 /**
- * Light HTML sniff test to confirm page looks like a permit portal.
- * Scans first 5000 characters for relevant keywords.
+ * True when a probe (or a fetchPage result) never reached a verdict
+ * because the host is rate limiting us or its robots.txt could not be
+ * read. Callers skip or retry the URL later instead of rejecting it.
  */
-export async function looksLikePermitPortal(url) {
+export function isUncheckedProbe(probe) {
+  return probe?.failure === "rate_limited" || probe?.failure === "robots_unavailable";
+}
+
+/**
+ * Boolean liveness check. Prefer probeUrl when the caller can record why
+ * a URL was rejected.
+ */
+export async function checkUrlAlive(url) {
+  const probe = await probeUrl(url);
+  return probe.alive;
+}
+
+/**
+ * GET a page and keep what the detectors need: final URL, status,
+ * headers and HTML. Never throws; `ok` is false on any failure, including
+ * a robots.txt that disallows the page (lib/politeFetch.js), and `failure`
+ * then says why in probeUrl's terms ("robots_disallowed", "timeout",
+ * "http_5xx", ...). A page that was never read is not a classification
+ * result.
+ */
+export async function fetchPage(url) {
   try {
-    const res = await fetch(url, {
+    const res = await politeFetch(url, {
       method: "GET",
       redirect: "follow"
     });
-    if (!res.ok) return false;
-
-    const html = await res.text();
-    const snippet = html.slice(0, 5000).toLowerCase();
-
-    const keywords = [
-      "permit",
-      "permitting",
-      "inspection",
-      "apply",
-      "application",
-      "contractor",
-      "selfservice",
-      "self-service",
-      "login",
-      "plan review",
-      "submit"
-    ];
-
-    let hits = 0;
-    for (const k of keywords) {
-      if (snippet.includes(k)) hits++;
-    }
 
-    // Require at least two signals
-    return hits >= 2;
-  } catch {
-    return false;
+    const html = res.ok ? await res.text() : "";
+
+    return {
+      ok: res.ok,
+      status: res.status,
+      url: res.url || url,
+      headers: res.headers,
+      html,
+      failure: res.ok ? null : classifyHttpFailure(res.status, res.headers, "")
+    };
+  } catch (err) {
+    return { ok: false, status: null, url, headers: null, html: "", failure: classifyFetchError(err) };
   }
 }
+
+/**
+ * Fetch a page and score it with the permit-portal classifier
+ * (see lib/portalClassifier.js). Returns true when it looks like a portal.
+ */
+export async function looksLikePermitPortal(url) {
+  const page = await fetchPage(url);
+  if (!page.ok) return false;
+
+  return classifyPermitPortal(page.html, { url: page.url }).isPortal;
+}
@@ -0,0 +1,175 @@
+// lib/retryPolicy.js
+//
+// Retry policy per job type for lib/jobQueue.js.
+//
+// Every failed attempt is classified into an error kind. Retryable kinds
+// (timeouts, resets, 5xx, rate limits, a 5xx robots.txt) go back to the
+// queue with exponential backoff; kinds listed as permanent for the job type go
+// straight to `dead`, as do rows that run out of attempts. Dead rows are
+// listed in the dead_letter_jobs view and can be re-queued in bulk from
+// the dashboard (api/dashboard/dead-letter.js).
+
+import { classifyFetchError } from "./portalUtils.js";
+
+/**
+ * Policies keyed by queue name (see QUEUES in lib/jobQueue.js).
+ *
+ *   maxAttempts         attempts before a row is dead-lettered
+ *   backoffBaseSeconds  first retry delay; doubles per attempt
+ *   backoffMaxSeconds   cap on the retry delay
+ *   permanentKinds      error kinds that dead-letter immediately
+ */
+export const RETRY_POLICIES = {
+  // Search providers fail transiently (rate limits, bad minutes); a query
+  // itself never becomes invalid, so nothing is permanent.
+  search: {
+    maxAttempts: 5,
+    backoffBaseSeconds: 120,
+    backoffMaxSeconds: 6 * 3600,
+    permanentKinds: []
+  },
+  discovery: {
+    maxAttempts: 3,
+    backoffBaseSeconds: 300,
+    backoffMaxSeconds: 12 * 3600,
+    permanentKinds: ["invalid_input"]
+  },
+  // County servers: a missing page or broken certificate will not fix
+  // itself within the backoff window.
+  crawl: {
+    maxAttempts: 4,
+    backoffBaseSeconds: 300,
+    backoffMaxSeconds: 24 * 3600,
+    permanentKinds: ["not_found", "gone", "tls", "unknown_vendor", "invalid_input", "robots_disallowed"]
+  },
+  parse: {
+    maxAttempts: 3,
+    backoffBaseSeconds: 300,
+    backoffMaxSeconds: 12 * 3600,
+    permanentKinds: ["not_found", "invalid_input"]
+  }
+};
+
+// Kinds that are about our own limits, not the job: they wait for the
+// next UTC day and do not use up an attempt.
+const BUDGET_KINDS = new Set(["budget"]);
+
+/**
+ * Policy for a queue name.
+ */
+export function getRetryPolicy(queueName) {
+  const policy = RETRY_POLICIES[queueName];
+  if (!policy) throw new Error(`[RetryPolicy] Unknown queue: ${queueName}`);
+  return policy;
+}
+
+function looksLikeFetchError(err) {
+  return Boolean(
+    err?.cause?.code ||
+    err?.code ||
+    err?.name === "TimeoutError" ||
+    err?.name === "AbortError" ||
+    /fetch failed|socket hang up|ECONNRESET|ETIMEDOUT/i.test(err?.message || "")
+  );
+}
+
+function kindFromStatus(status) {
+  if (status === 404) return "not_found";
+  if (status === 410) return "gone";
+  if (status === 408) return "timeout";
+  if (status === 429) return "rate_limited";
+  if (status === 401 || status === 403) return "blocked";
+  if (status >= 500) return "http_5xx";
+  return "http_4xx";
+}
+
+/**
+ * Classify a job failure.
+ *
+ * Callers can tag errors with `err.kind`; HTTP errors should carry
+ * `err.status`. Model errors keep their llmProvider / aiLedger codes.
+ * lib/politeFetch.js tags robots_disallowed, robots_unavailable and
+ * rate_limited; only robots_disallowed (a real Disallow rule) can be
+ * permanent.
+ *
+ * @param {Error|string} err
+ * @returns {string} one of: budget, quota, rate_limited, timeout, dns,
+ *   tls, network, http_5xx, http_4xx, blocked, not_found, gone,
+ *   invalid_json, unknown_vendor, invalid_input, robots_disallowed,
+ *   robots_unavailable, unknown
+ */
+export function classifyJobError(err) {
+  if (!err || typeof err !== "object") return "unknown";
+  if (err.kind) return err.kind;
+
+  if (err.code === "budget_exceeded") return "budget";
+  if (err.code === "insufficient_quota") return "quota";
+  if (err.code === "invalid_json") return "invalid_json";
+
+  // Supabase storage reports missing objects as a 400 with this message
+  if (/object not found/i.test(err.message || "")) return "not_found";
+
+  const status = err.status ?? err.statusCode;
+  if (typeof status === "number" && status >= 400) return kindFromStatus(status);
+
+  if (looksLikeFetchError(err)) return classifyFetchError(err);
+
+  return "unknown";
+}
+
+/**
+ * Retry delay in seconds for a row that has used `attemptCount` attempts.
+ */
+export function backoffSeconds(queueName, attemptCount) {
+  const policy = getRetryPolicy(queueName);
+  const exp = Math.max(0, (attemptCount || 1) - 1);
+  return Math.min(policy.backoffMaxSeconds, policy.backoffBaseSeconds * 2 ** exp);
+}
+
+function secondsUntilNextUtcDay(now = Date.now()) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((next.getTime() - now) / 1000);
+}
+
+/**
+ * Decide what happens to a failed attempt.
+ *
+ * @param {string} queueName
+ * @param {object} job   claimed row (attempt_count already includes this attempt)
+ * @param {Error|string} err
+ * @param {object} [opts]
+ * @param {boolean} [opts.permanent] force (true) or forbid (false) dead-lettering
+ *   regardless of kind; attempts still run out
+ * @returns {{ kind: string, dead: boolean, delaySeconds: number|null,
+ *   attemptCount: number }} attemptCount is what the row should store.
+ *   A server's Retry-After (err.retryAfterSeconds) lengthens the delay.
+ */
+export function planRetry(queueName, job, err, { permanent } = {}) {
+  const policy = getRetryPolicy(queueName);
+  const kind = classifyJobError(err);
+  const attempts = job.attempt_count || 1;
+
+  if (BUDGET_KINDS.has(kind) && permanent !== true) {
+    return {
+      kind,
+      dead: false,
+      delaySeconds: secondsUntilNextUtcDay(),
+      attemptCount: Math.max(0, attempts - 1)
+    };
+  }
+
+  const dead =
+    permanent === true ||
+    (permanent !== false && policy.permanentKinds.includes(kind)) ||
+    attempts >= policy.maxAttempts;
+
+  return {
+    kind,
+    dead,
+    delaySeconds: dead
+      ? null
+      : Math.max(backoffSeconds(queueName, attempts), err?.retryAfterSeconds || 0),
+    attemptCount: attempts
+  };
+}
@@ -0,0 +1,379 @@
+// lib/searchProvider.js
+//
+// Single entry point for web searches.
+//
+// Workers call `getSearch(chain).search(query)` instead of talking to
+// DuckDuckGo, Tavily or SerpAPI themselves, and get normalized results:
+//   { url, title, snippet, rank, provider, raw }
+//
+// Adapters:
+//   serpapi – Google results through SerpAPI (SERPAPI_KEY)
+//   ddg     – DuckDuckGo HTML results page, no key
+//   tavily  – Tavily search API (TAVILY_API_KEY)
+//
+// Providers are tried in chain order (SEARCH_CHAINS; SEARCH_CHAIN_<NAME>
+// as a comma list overrides one chain, e.g. SEARCH_CHAIN_SERPAPI for the
+// SerpAPI worker only); the first one with results answers, and providers
+// without their API key are left out. Each provider is throttled to its
+// `minIntervalMs` within the process.
+//
+// SEARCH_MODE selects where answers come from (default "live"):
+//   live    – the provider chain
+//   replay  – recorded result pages from SEARCH_FIXTURES_DIR (default
+//             "fixtures/search"); no network, fully deterministic
+//   record  – the provider chain, writing each answer as a replay fixture
+// Fixtures are one file per query, "<queryKey>.json" →
+//   { query, provider, results }
+// and a catch-all "any.json" answers every query.
+// scripts/replaySearch.mjs runs recorded queries through the workers'
+// search and scoring step offline.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { decodeEntities } from "./htmlUtils.js";
+import { BOT_USER_AGENT } from "./politeFetch.js";
+
+const DEFAULT_MAX_RESULTS = 5;
+const DEFAULT_FIXTURES_DIR = "fixtures/search";
+
+/**
+ * Per-provider settings: the API key env var (null when none is needed)
+ * and the minimum gap between two calls from this process.
+ */
+export const SEARCH_PROVIDERS = {
+  serpapi: { keyEnv: "SERPAPI_KEY", minIntervalMs: 1000 },
+  ddg:     { keyEnv: null,          minIntervalMs: 2000 },
+  tavily:  { keyEnv: "TAVILY_API_KEY", minIntervalMs: 500 }
+};
+
+/**
+ * Fallback order per worker. `free` never spends SerpAPI credits.
+ */
+export const SEARCH_CHAINS = {
+  free: ["ddg", "tavily"],
+  serpapi: ["serpapi", "ddg", "tavily"]
+};
+
+/**
+ * Env override for a named chain: "serpapi" → SEARCH_CHAIN_SERPAPI.
+ */
+function chainOverride(chain) {
+  const value = process.env[`SEARCH_CHAIN_${chain.toUpperCase()}`];
+  return value ? value.split(",").map(s => s.trim()).filter(Boolean) : null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function httpError(provider, status) {
+  const err = new Error(`[Search] ${provider} HTTP ${status}`);
+  err.status = status;
+  err.provider = provider;
+  return err;
+}
+
+function stripTags(html) {
+  return decodeEntities((html || "").replace(/<[^>]+>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Stable key for a query, used to name replay fixtures.
+ */
+export function queryKey(query) {
+  return crypto
+    .createHash("sha256")
+    .update(String(query).trim().toLowerCase().replace(/\s+/g, " "))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// ------------------------------
+// ADAPTERS
+// ------------------------------
+
+// Resolve DDG's "/l/?uddg=<encoded>" redirect links
+function ddgTarget(href) {
+  const idx = href.indexOf("uddg=");
+  if (idx !== -1) {
+    const rest = href.substring(idx + 5);
+    const end = rest.indexOf("&");
+    try {
+      return decodeURIComponent(end === -1 ? rest : rest.substring(0, end));
+    } catch {
+      return null;
+    }
+  }
+  if (href.startsWith("http://") || href.startsWith("https://")) return href;
+  return null;
+}
+
+async function ddgSearch(query, { maxResults }) {
+  const url = `https://duckduckgo.com/html/?q=${encodeURIComponent(query)}&num=${maxResults}`;
+
+  const res = await fetch(url, {
+    method: "GET",
+    headers: {
+      "User-Agent": BOT_USER_AGENT,
+      "Accept-Language": "en-US,en;q=0.9"
+    }
+  });
+
+  if (!res.ok) throw httpError("ddg", res.status);
+
+  const html = await res.text();
+  if (!html || html.trim().length < 10) {
+    console.warn("[Search] ddg: empty or tiny HTML response");
+    return [];
+  }
+
+  // Each result starts at its title link; the snippet follows before the
+  // next one
+  const linkRegex = /<a[^>]+class="[^"]*result__a[^"]*"[^>]+href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/g;
+  const links = [...html.matchAll(linkRegex)];
+
+  const results = [];
+  for (const [i, m] of links.entries()) {
+    if (results.length >= maxResults) break;
+
+    const target = ddgTarget(decodeEntities(m[1]));
+    if (!target) continue;
+
+    const block = html.slice(m.index + m[0].length, links[i + 1]?.index ?? html.length);
+    const snippet = block.match(/class="[^"]*result__snippet[^"]*"[^>]*>([\s\S]*?)<\/(?:a|div|span)>/);
+
+    results.push({
+      url: target,
+      title: stripTags(m[2]),
+      snippet: snippet ? stripTags(snippet[1]) : ""
+    });
+  }
+
+  return results;
+}
+
+async function tavilySearch(query, { maxResults, apiKey }) {
+  const res = await fetch("https://api.tavily.com/v1/search", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      api_key: apiKey,
+      query,
+      search_depth: "basic",
+      max_results: maxResults,
+      include_answer: false,
+      include_images: false,
+      include_raw_content: false
+    })
+  });
+
+  if (!res.ok) throw httpError("tavily", res.status);
+
+  // Tavily answers an invalid or expired key with an HTML page
+  const text = await res.text();
+  let json = null;
+  try {
+    json = text && !text.trim().startsWith("<") ? JSON.parse(text) : null;
+  } catch {
+    // fall through
+  }
+  if (!json) {
+    const err = new Error(`[Search] tavily returned non-JSON: ${String(text).slice(0, 200)}`);
+    err.code = "invalid_json";
+    err.provider = "tavily";
+    throw err;
+  }
+
+  return (Array.isArray(json.results) ? json.results : [])
+    .filter(r => typeof r.url === "string" && r.url.startsWith("http"))
+    .slice(0, maxResults)
+    .map(r => ({ url: r.url, title: r.title || "", snippet: r.content || "", raw: r }));
+}
+
+async function serpapiSearch(query, { maxResults, apiKey }) {
+  const res = await fetch(
+    `https://serpapi.com/search.json?q=${encodeURIComponent(query)}` +
+    `&engine=google&api_key=${apiKey}`
+  );
+
+  if (!res.ok) throw httpError("serpapi", res.status);
+
+  const serp = await res.json();
+
+  // An empty result page comes back as an "error" too
+  if (serp.error && !/hasn't returned any results/i.test(serp.error)) {
+    const err = new Error(`[Search] serpapi: ${serp.error}`);
+    err.provider = "serpapi";
+    throw err;
+  }
+
+  return (serp.organic_results || [])
+    .filter(r => r.link)
+    .slice(0, maxResults)
+    .map(r => ({ url: r.link, title: r.title || "", snippet: r.snippet || "", raw: r }));
+}
+
+const ADAPTERS = {
+  serpapi: serpapiSearch,
+  ddg: ddgSearch,
+  tavily: tavilySearch
+};
+
+// Last call per provider, shared by every search client in the process
+const lastCallAt = {};
+
+async function throttle(name) {
+  const wait = (lastCallAt[name] ?? 0) + SEARCH_PROVIDERS[name].minIntervalMs - Date.now();
+  if (wait > 0) await sleep(wait);
+  lastCallAt[name] = Date.now();
+}
+
+function normalize(results, provider) {
+  return results.map((r, i) => ({
+    url: r.url,
+    title: r.title || "",
+    snippet: r.snippet || "",
+    rank: r.rank ?? i + 1,
+    provider: r.provider || provider,
+    raw: r.raw ?? null
+  }));
+}
+
+// ------------------------------
+// FIXTURES
+// ------------------------------
+
+async function readFixture(dir, query) {
+  const exact = path.join(dir, `${queryKey(query)}.json`);
+
+  for (const file of [exact, path.join(dir, "any.json")]) {
+    let raw;
+    try {
+      raw = await fs.readFile(file, "utf8");
+    } catch {
+      continue;
+    }
+    const fixture = JSON.parse(raw);
+    return {
+      provider: fixture.provider || "replay",
+      results: normalize(fixture.results || [], fixture.provider || "replay")
+    };
+  }
+
+  const err = new Error(`[Search] No replay fixture: ${exact}`);
+  err.code = "fixture_missing";
+  throw err;
+}
+
+async function writeFixture(dir, query, answer) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    path.join(dir, `${queryKey(query)}.json`),
+    JSON.stringify({ query, ...answer }, null, 2)
+  );
+}
+
+// ------------------------------
+// CLIENT
+// ------------------------------
+
+/**
+ * Build a search client.
+ *
+ * @param {object} [opts]
+ * @param {string[]} [opts.providers] fallback order; defaults to
+ *   SEARCH_CHAIN_<CHAIN> (env, comma list), then SEARCH_CHAINS[opts.chain]
+ * @param {string} [opts.chain] named chain, default "free"
+ * @param {"live"|"replay"|"record"} [opts.mode] defaults to SEARCH_MODE
+ * @param {string} [opts.fixturesDir] defaults to SEARCH_FIXTURES_DIR
+ */
+export function createSearch(opts = {}) {
+  const mode = opts.mode || process.env.SEARCH_MODE || "live";
+  const fixturesDir = opts.fixturesDir || process.env.SEARCH_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+  const chain = opts.chain || "free";
+  if (!opts.providers && !SEARCH_CHAINS[chain]) throw new Error(`[Search] Unknown chain: ${chain}`);
+
+  const order = opts.providers || chainOverride(chain) || SEARCH_CHAINS[chain];
+
+  if (!["live", "replay", "record"].includes(mode)) throw new Error(`[Search] Unknown mode: ${mode}`);
+
+  for (const name of order) {
+    if (!ADAPTERS[name]) throw new Error(`[Search] Unknown provider: ${name}`);
+  }
+
+  // Providers missing their key are left out of the chain
+  const providers = order.filter(name => {
+    const keyEnv = SEARCH_PROVIDERS[name].keyEnv;
+    return !keyEnv || process.env[keyEnv];
+  });
+
+  if (mode !== "replay" && !providers.length) {
+    throw new Error(`[Search] No usable provider in ${order.join(",")} (API keys missing)`);
+  }
+
+  async function searchLive(query, maxResults) {
+    let firstError = null;
+
+    for (const [i, name] of providers.entries()) {
+      const keyEnv = SEARCH_PROVIDERS[name].keyEnv;
+      try {
+        await throttle(name);
+        const results = await ADAPTERS[name](query, {
+          maxResults,
+          apiKey: keyEnv ? process.env[keyEnv] : null
+        });
+        if (results.length) return { provider: name, results: normalize(results, name) };
+      } catch (err) {
+        console.warn(`[Search] ${name} failed:`, err.message);
+        if (i === 0) firstError = err;
+      }
+    }
+
+    // An outage of the primary provider with no fallback answer is a
+    // failed attempt, not "no results": let the job retry
+    if (firstError) throw firstError;
+    return { provider: null, results: [] };
+  }
+
+  return {
+    mode,
+    providers,
+
+    /**
+     * Search the web.
+     *
+     * @param {string} query
+     * @param {object} [opts]
+     * @param {number} [opts.maxResults]
+     * @returns {Promise<{ provider: string|null, results: Array<{ url: string,
+     *   title: string, snippet: string, rank: number, provider: string,
+     *   raw: object|null }> }>}
+     *
+     * Throws the primary provider's error (status preserved) when it
+     * failed and no fallback had results, or code "fixture_missing" in
+     * replay mode.
+     */
+    async search(query, { maxResults = DEFAULT_MAX_RESULTS } = {}) {
+      if (mode === "replay") {
+        const answer = await readFixture(fixturesDir, query);
+        return { ...answer, results: answer.results.slice(0, maxResults) };
+      }
+
+      const answer = await searchLive(query, maxResults);
+      if (mode === "record") await writeFixture(fixturesDir, query, answer);
+      return answer;
+    }
+  };
+}
+
+const clients = {};
+
+/**
+ * Process-wide client for a named chain, configured from the environment.
+ */
+export function getSearch(chain = "free") {
+  if (!clients[chain]) clients[chain] = createSearch({ chain });
+  return clients[chain];
+}
@@ -0,0 +1,183 @@
+// lib/searchQueryTemplates.js
+//
+// Search queries for a jurisdiction, keyed by what kind of government it
+// is and which state it is in.
+//
+// The old enqueue multiplied every county and place by the same twelve
+// phrases with "SC" appended. Templates here:
+//   - name county-equivalents the way the state does ("Parish" in LA,
+//     "Borough" in AK) and treat consolidated city-counties and
+//     independent cities as cities
+//   - add the township / borough / town forms places go by in states
+//     where those are the permitting body (PA, NJ, New England, ...)
+//   - only ask for a vendor by name when that vendor is already known to
+//     serve jurisdictions in the state (vendors_by_state view)
+
+import { getVendor } from "./vendorRegistry.js";
+import { stateAbbrFromFips } from "./states.js";
+
+// County-equivalents that are not called "County"
+const COUNTY_DESIGNATORS = {
+  LA: "Parish",
+  AK: "Borough"
+};
+
+// Names that already carry their designator
+const HAS_COUNTY_DESIGNATOR = /\b(county|parish|borough|census area|municipality)$/i;
+
+// Consolidated city-county governments whose county row is run by the
+// city, with the name residents search for
+const CONSOLIDATED_CITIES = {
+  "02020": "Anchorage",
+  "06075": "San Francisco",
+  "08031": "Denver",
+  "08014": "Broomfield",
+  "12031": "Jacksonville",
+  "13059": "Athens-Clarke County",
+  "13215": "Columbus",
+  "13245": "Augusta",
+  "15003": "Honolulu",
+  "18097": "Indianapolis",
+  "20209": "Kansas City",
+  "21067": "Lexington",
+  "21111": "Louisville Metro",
+  "22033": "Baton Rouge",
+  "22071": "New Orleans",
+  "42101": "Philadelphia",
+  "47037": "Nashville"
+};
+
+// Independent cities ("Baltimore city", "Carson City") and named
+// consolidations are listed at county level
+const CONSOLIDATED_NAME = /(\bcity$|\bcity and (county|borough)\b|\bconsolidated\b|\bmetropolitan government\b|\bunified government\b)/i;
+
+// Ordinary counties whose names end in "City"
+const CITY_NAMED_COUNTIES = new Set([
+  "51036", // Charles City County, VA
+  "51095"  // James City County, VA
+]);
+
+// Minor civil divisions that issue permits, by state
+const PLACE_DESIGNATORS = {
+  PA: ["Township", "Borough"],
+  NJ: ["Township", "Borough"],
+  NY: ["Town", "Village"],
+  CT: ["Town"],
+  MA: ["Town"],
+  ME: ["Town"],
+  NH: ["Town"],
+  RI: ["Town"],
+  VT: ["Town"],
+  WI: ["Town", "Village"],
+  MI: ["Township", "Charter Township"],
+  OH: ["Township", "Village"],
+  IL: ["Village"],
+  MN: ["Township"]
+};
+
+const HAS_PLACE_DESIGNATOR = /\b(city|town|township|borough|village)$/i;
+
+/**
+ * Generic templates per jurisdiction kind. {name} is quoted by the
+ * templates themselves; {state} is the postal abbreviation.
+ */
+export const QUERY_TEMPLATES = {
+  county: [
+    "\"{name}\" {state} building permits",
+    "\"{name}\" {state} building permit portal",
+    "\"{name}\" {state} building inspections department",
+    "\"{name}\" {state} permit application form",
+    "\"{name}\" {state} building permit fee schedule"
+  ],
+  consolidated: [
+    "\"{name}\" {state} building permits",
+    "\"{name}\" {state} online permit portal",
+    "\"{name}\" {state} development services permits",
+    "\"{name}\" {state} permit application form",
+    "\"{name}\" {state} building permit fee schedule"
+  ],
+  place: [
+    "\"{name}\" {state} building permits",
+    "\"{name}\" {state} online permitting",
+    "\"{name}\" {state} permit application form",
+    "\"{name}\" {state} building permit fee schedule"
+  ],
+  // One extra query per local designator ("Haverford Township")
+  designator: ["\"{name}\" {state} building permits"],
+  // One query per vendor known in the state
+  vendor: ["\"{name}\" {state} {term}"]
+};
+
+/**
+ * county, consolidated or place.
+ */
+export function jurisdictionKind({ geoid, name, level }) {
+  if (level !== "county") return "place";
+  if (CONSOLIDATED_CITIES[geoid]) return "consolidated";
+  if (!CITY_NAMED_COUNTIES.has(geoid) && CONSOLIDATED_NAME.test(name || "")) return "consolidated";
+  return "county";
+}
+
+/**
+ * The name to search for: "Charleston County", "Caddo Parish",
+ * "New Orleans", "Baltimore City", "Mount Pleasant".
+ */
+export function searchName(jurisdiction, state) {
+  const name = (jurisdiction.name || "").trim();
+  const kind = jurisdictionKind(jurisdiction);
+
+  if (kind === "consolidated") {
+    // "Baltimore city" → "Baltimore City"
+    return CONSOLIDATED_CITIES[jurisdiction.geoid] || name.replace(/\bcity$/, "City");
+  }
+
+  if (kind === "county") {
+    if (HAS_COUNTY_DESIGNATOR.test(name)) return name;
+    return `${name} ${COUNTY_DESIGNATORS[state] || "County"}`;
+  }
+
+  return name;
+}
+
+function fill(template, vars) {
+  return template
+    .replace("{name}", vars.name)
+    .replace("{state}", vars.state)
+    .replace("{term}", vars.term ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Search queries for one jurisdiction.
+ *
+ * @param {{ geoid: string, name: string, level: string, statefp: string }} jurisdiction
+ * @param {object} [opts]
+ * @param {string[]} [opts.knownVendors] vendor ids seen in the state
+ * @returns {string[]} distinct queries, generic ones first
+ */
+export function buildSearchQueries(jurisdiction, { knownVendors = [] } = {}) {
+  const state = stateAbbrFromFips(jurisdiction.statefp) || "";
+  const kind = jurisdictionKind(jurisdiction);
+  const name = searchName(jurisdiction, state);
+
+  const queries = QUERY_TEMPLATES[kind].map(t => fill(t, { name, state }));
+
+  if (kind === "place" && !HAS_PLACE_DESIGNATOR.test(name)) {
+    for (const designator of PLACE_DESIGNATORS[state] || []) {
+      for (const t of QUERY_TEMPLATES.designator) {
+        queries.push(fill(t, { name: `${name} ${designator}`, state }));
+      }
+    }
+  }
+
+  for (const id of knownVendors) {
+    for (const term of getVendor(id)?.searchTerms || []) {
+      for (const t of QUERY_TEMPLATES.vendor) {
+        queries.push(fill(t, { name, state, term }));
+      }
+    }
+  }
+
+  return [...new Set(queries)];
+}
@@ -0,0 +1,127 @@
+// lib/searchStopping.js
+//
+// Adaptive search stopping. A jurisdiction needs one good portal, not
+// every query it was queued with: once it has a confident one, the
+// search workers skip its remaining queries instead of running them and
+// record why on each skipped job.
+//
+// Confident means, first match wins:
+//   verified_portal        reviewer-verified jurisdiction_meta portal
+//   scored_portal          jurisdiction_meta portal of a known vendor that
+//                          was alive and scored >= STOP_PORTAL_SCORE
+//   live_vendor_candidate  portal_candidates row of a known vendor that
+//                          passed liveness and the portal-page check and
+//                          scored >= CONFIDENT_CANDIDATE_SCORE
+//   delegated              permits handled by another jurisdiction
+//                          (lib/delegation.js); there is no portal to find
+
+import { sb } from "./supabase.js";
+import { UNKNOWN } from "./vendorRegistry.js";
+import { completeJob } from "./jobQueue.js";
+import { CONFIDENT_CANDIDATE_SCORE } from "./candidateScorer.js";
+
+export const SKIPPED = "skipped";
+
+// portal_score (lib/portalClassifier.js) a discovered portal needs before
+// its jurisdiction stops searching; above the classifier's own cut-off
+export const STOP_PORTAL_SCORE = 0.8;
+
+/**
+ * The portal that makes further searching for `geoid` unnecessary.
+ *   → { reason, url } or null
+ */
+export async function confidentPortal(geoid) {
+  const meta = await sb(
+    `jurisdiction_meta?jurisdiction_geoid=eq.${geoid}` +
+    "&select=portal_url,vendor_type,verified,portal_score,liveness,permits_handled_by&limit=1"
+  );
+  const row = Array.isArray(meta) ? meta[0] : null;
+
+  if (row?.permits_handled_by) {
+    return { reason: "delegated", url: row.permits_handled_by };
+  }
+
+  if (row?.portal_url) {
+    if (row.verified) return { reason: "verified_portal", url: row.portal_url };
+
+    if (
+      row.vendor_type && row.vendor_type !== UNKNOWN &&
+      row.liveness?.alive !== false &&
+      Number(row.portal_score) >= STOP_PORTAL_SCORE
+    ) {
+      return { reason: "scored_portal", url: row.portal_url };
+    }
+  }
+
+  const candidates = await sb(
+    `portal_candidates?jurisdiction_geoid=eq.${geoid}` +
+    `&rejected_reason=is.null&vendor_type=not.in.(${UNKNOWN})` +
+    `&confidence=gte.${CONFIDENT_CANDIDATE_SCORE}&liveness->>alive=eq.true` +
+    "&select=url_found&order=confidence.desc&limit=1"
+  );
+  if (Array.isArray(candidates) && candidates.length) {
+    return { reason: "live_vendor_candidate", url: candidates[0].url_found };
+  }
+
+  return null;
+}
+
+/**
+ * Skip every pending search for `geoid`. Running jobs are left to their
+ * workers, which check again before they search. Returns the number
+ * skipped.
+ */
+export async function skipPendingSearches(geoid, skipReason) {
+  const rows = await sb(
+    `search_queue?jurisdiction_geoid=eq.${geoid}&status=eq.pending&select=id`,
+    "PATCH",
+    {
+      status: SKIPPED,
+      skip_reason: skipReason,
+      next_attempt_at: null,
+      updated_at: new Date().toISOString()
+    },
+    { Prefer: "return=representation" }
+  );
+  return Array.isArray(rows) ? rows.length : 0;
+}
+
+function describe(confident) {
+  return `${confident.reason}: ${confident.url}`;
+}
+
+/**
+ * Called by a search worker before it runs a leased job. When the
+ * jurisdiction already has a confident portal the job and the rest of
+ * the jurisdiction's pending queries are skipped.
+ *   → the skip reason, or null when the job should run
+ */
+export async function skipIfPortalConfident(job) {
+  const confident = await confidentPortal(job.jurisdiction_geoid);
+  if (!confident) return null;
+
+  const skipReason = describe(confident);
+  await completeJob("search", job, { status: SKIPPED, skip_reason: skipReason });
+
+  const n = await skipPendingSearches(job.jurisdiction_geoid, skipReason);
+  console.log(
+    `[SearchStopping] ${job.jurisdiction_geoid}: skipped job ${job.id} and ${n} pending (${skipReason})`
+  );
+  return skipReason;
+}
+
+/**
+ * Called after a search job finishes: stop the jurisdiction's pending
+ * queries if that job (or an earlier one) produced a confident portal.
+ * Returns the number skipped.
+ */
+export async function stopSearchingIfConfident(geoid) {
+  const confident = await confidentPortal(geoid);
+  if (!confident) return 0;
+
+  const n = await skipPendingSearches(geoid, describe(confident));
+  if (n) {
+    console.log(`[SearchStopping] ${geoid}: skipped ${n} pending (${describe(confident)})`);
+  }
+  return n;
+}
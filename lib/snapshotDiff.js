@@ -0,0 +1,285 @@
+// lib/snapshotDiff.js
+//
+// Structured diff between two snapshots of the same page.
+//
+// "The hash changed" does not tell a reviewer anything. The differ
+// compares what matters on a permit page:
+//
+//   text     visible text blocks (paragraphs, list items, table cells)
+//            added and removed
+//   links    links added and removed
+//   pdfs     PDF links added and removed; a removed and an added PDF of
+//            the same kind or anchor text count as one replaced PDF
+//            ("Fee schedule PDF replaced")
+//   forms    user-facing form fields added and removed, changed form
+//            actions (viewstate and CSRF fields ignored)
+//   vendor   the snapshot's vendor, or the vendor portals the page links
+//            to ("Portal moved to new vendor: Accela → EnerGov")
+//
+// and folds them into a significance score in [0, 1] plus one summary
+// line per finding. PDF snapshots (no html) are compared by hash only.
+//
+// Pure; crawlPortal.mjs stores the result in snapshot_diffs.
+
+import { extractForms, extractVisibleText } from "./htmlUtils.js";
+import { LINK_KINDS, extractLinks, isPdfUrl } from "./linkExtractor.js";
+import { UNKNOWN, canonicalVendorId, matchVendorByUrl, vendorDisplayName } from "./vendorRegistry.js";
+import { isStateField } from "./snapshotHash.js";
+
+// Significance of each finding; combined as 1 - Π(1 - w)
+export const DIFF_WEIGHTS = {
+  vendor: 1,
+  url: 0.5,
+  pdfReplaced: 0.5,
+  pdfChanged: 0.3,
+  formFields: 0.4,
+  formAction: 0.3,
+  perLink: 0.05,
+  maxLinks: 0.3,
+  // Scaled by the share of text blocks that changed
+  text: 0.6
+};
+
+// Listed entries per category in the stored diff
+const MAX_ITEMS = 50;
+
+// Text blocks shorter than this are navigation crumbs, not content
+const MIN_BLOCK_LENGTH = 3;
+
+const BLOCK_BOUNDARY = /<\/?(p|div|li|tr|td|th|h[1-6]|br|section|article|dd|dt|option|label|table|ul|ol)\b[^>]*>/gi;
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Visible text split into blocks at block-level tags.
+ */
+export function textBlocks(html) {
+  if (!html) return [];
+  const blocks = html
+    .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, " ")
+    .split(BLOCK_BOUNDARY)
+    .filter((part, i) => i % 2 === 0)
+    .map(part => extractVisibleText(part))
+    .filter(text => text.length >= MIN_BLOCK_LENGTH);
+  return [...new Set(blocks)];
+}
+
+function setDiff(before, after) {
+  const a = new Set(before);
+  const b = new Set(after);
+  return {
+    added: [...b].filter(x => !a.has(x)),
+    removed: [...a].filter(x => !b.has(x))
+  };
+}
+
+function formFields(html) {
+  const fields = new Set();
+  const actions = new Set();
+  for (const form of extractForms(html)) {
+    if (form.action) actions.add(form.action);
+    for (const input of form.inputs) {
+      const name = input.name || input.id;
+      if (!name || input.type === "hidden" || isStateField(name)) continue;
+      fields.add(name);
+    }
+  }
+  return { fields: [...fields], actions: [...actions] };
+}
+
+function pdfKind(link) {
+  if (link.kind === LINK_KINDS.FEE_SCHEDULE) return "Fee schedule";
+  if (link.kind === LINK_KINDS.PDF_FORM) return "Application form";
+  return "Document";
+}
+
+// Pair removed and added PDFs that are the same document in a new file:
+// same anchor text first, then same kind
+function pairReplacedPdfs(removed, added) {
+  const replaced = [];
+  const left = [...removed];
+  const right = [...added];
+
+  for (const match of [
+    (a, b) => a.text && a.text.toLowerCase() === b.text?.toLowerCase(),
+    (a, b) => a.kind === b.kind && a.kind !== LINK_KINDS.DOCUMENT
+  ]) {
+    for (let i = left.length - 1; i >= 0; i--) {
+      const j = right.findIndex(b => match(left[i], b));
+      if (j === -1) continue;
+      replaced.push({ from: left[i].url, to: right[j].url, kind: pdfKind(left[i]), text: right[j].text || left[i].text });
+      left.splice(i, 1);
+      right.splice(j, 1);
+    }
+  }
+
+  return { replaced, removed: left, added: right };
+}
+
+function linkedVendors(links) {
+  const ids = new Set();
+  for (const l of links) {
+    if (l.kind !== LINK_KINDS.VENDOR_PORTAL) continue;
+    const vendor = matchVendorByUrl(l.url);
+    if (vendor) ids.add(vendor.id);
+  }
+  return [...ids];
+}
+
+function cap(list) {
+  return list.slice(0, MAX_ITEMS);
+}
+
+/**
+ * Diff two snapshots of the same page.
+ *
+ * @param {{ url: string, vendor?: string, html?: string|null, hash?: string }} before
+ * @param {{ url: string, vendor?: string, html?: string|null, hash?: string }} after
+ * @returns {{
+ *   changed: boolean,
+ *   significance: number,
+ *   summary: string[],
+ *   url: { from: string, to: string }|null,
+ *   vendor: { from: string, to: string }|null,
+ *   text: { added: string[], removed: string[], changedShare: number },
+ *   links: { added: string[], removed: string[] },
+ *   pdfs: { added: object[], removed: object[], replaced: object[] },
+ *   forms: { fieldsAdded: string[], fieldsRemoved: string[], actionsAdded: string[], actionsRemoved: string[] }
+ * }}
+ */
+export function diffSnapshots(before, after) {
+  const summary = [];
+  const weights = [];
+
+  // ---- URL and vendor ----
+  const url = before.url !== after.url ? { from: before.url, to: after.url } : null;
+  if (url) {
+    summary.push(`Page moved: ${url.from} → ${url.to}`);
+    weights.push(DIFF_WEIGHTS.url);
+  }
+
+  const beforeLinks = extractLinks(before.html, before.url);
+  const afterLinks = extractLinks(after.html, after.url);
+
+  let vendor = null;
+  const fromVendor = canonicalVendorId(before.vendor);
+  const toVendor = canonicalVendorId(after.vendor);
+  if (fromVendor !== UNKNOWN && toVendor !== UNKNOWN && fromVendor !== toVendor) {
+    vendor = { from: fromVendor, to: toVendor };
+  } else {
+    // A department page that now links a different vendor's portal
+    const linked = setDiff(linkedVendors(beforeLinks), linkedVendors(afterLinks));
+    if (linked.added.length && linked.removed.length) {
+      vendor = { from: linked.removed[0], to: linked.added[0] };
+    }
+  }
+  if (vendor) {
+    summary.push(`Portal moved to new vendor: ${vendorDisplayName(vendor.from)} → ${vendorDisplayName(vendor.to)}`);
+    weights.push(DIFF_WEIGHTS.vendor);
+  }
+
+  // ---- PDF snapshots: content only ----
+  if (before.html == null || after.html == null) {
+    const changed = Boolean(url || vendor || before.hash !== after.hash);
+    if (before.hash !== after.hash) {
+      summary.push(`${isPdfUrl(after.url) ? "PDF" : "File"} content changed`);
+      weights.push(DIFF_WEIGHTS.pdfChanged);
+    }
+    return {
+      changed,
+      significance: round(1 - weights.reduce((p, w) => p * (1 - w), 1)),
+      summary,
+      url,
+      vendor,
+      text: { added: [], removed: [], changedShare: 0 },
+      links: { added: [], removed: [] },
+      pdfs: { added: [], removed: [], replaced: [] },
+      forms: { fieldsAdded: [], fieldsRemoved: [], actionsAdded: [], actionsRemoved: [] }
+    };
+  }
+
+  // ---- Text ----
+  const beforeBlocks = textBlocks(before.html);
+  const afterBlocks = textBlocks(after.html);
+  const text = setDiff(beforeBlocks, afterBlocks);
+  const changedShare = (text.added.length + text.removed.length) /
+    Math.max(1, beforeBlocks.length + afterBlocks.length);
+
+  if (text.added.length || text.removed.length) {
+    summary.push(`Text: ${text.added.length} block(s) added, ${text.removed.length} removed`);
+    weights.push(DIFF_WEIGHTS.text * Math.min(1, changedShare * 2));
+  }
+
+  // ---- Links and PDFs ----
+  const isPdfLink = l => isPdfUrl(l.url);
+  const pages = setDiff(
+    beforeLinks.filter(l => !isPdfLink(l)).map(l => l.url),
+    afterLinks.filter(l => !isPdfLink(l)).map(l => l.url)
+  );
+
+  const beforePdfs = new Map(beforeLinks.filter(isPdfLink).map(l => [l.url, l]));
+  const afterPdfs = new Map(afterLinks.filter(isPdfLink).map(l => [l.url, l]));
+  const pdfs = pairReplacedPdfs(
+    [...beforePdfs.values()].filter(l => !afterPdfs.has(l.url)),
+    [...afterPdfs.values()].filter(l => !beforePdfs.has(l.url))
+  );
+
+  for (const r of pdfs.replaced) {
+    summary.push(`${r.kind} PDF replaced: ${r.from} → ${r.to}`);
+    weights.push(DIFF_WEIGHTS.pdfReplaced);
+  }
+  for (const l of pdfs.added) summary.push(`${pdfKind(l)} PDF added: ${l.url}`);
+  for (const l of pdfs.removed) summary.push(`${pdfKind(l)} PDF removed: ${l.url}`);
+  if (pdfs.added.length || pdfs.removed.length) weights.push(DIFF_WEIGHTS.pdfChanged);
+
+  const linkCount = pages.added.length + pages.removed.length;
+  if (linkCount) {
+    summary.push(`Links: ${pages.added.length} added, ${pages.removed.length} removed`);
+    weights.push(Math.min(DIFF_WEIGHTS.maxLinks, DIFF_WEIGHTS.perLink * linkCount));
+  }
+
+  // ---- Forms ----
+  const beforeForms = formFields(before.html);
+  const afterForms = formFields(after.html);
+  const fields = setDiff(beforeForms.fields, afterForms.fields);
+  const actions = setDiff(beforeForms.actions, afterForms.actions);
+
+  if (fields.added.length || fields.removed.length) {
+    summary.push(
+      `Form fields: ${[
+        ...fields.added.map(f => `+${f}`),
+        ...fields.removed.map(f => `-${f}`)
+      ].slice(0, 10).join(", ")}`
+    );
+    weights.push(DIFF_WEIGHTS.formFields);
+  }
+  if (actions.added.length && actions.removed.length) {
+    summary.push(`Form now submits to ${actions.added[0]}`);
+    weights.push(DIFF_WEIGHTS.formAction);
+  }
+
+  const significance = round(1 - weights.reduce((p, w) => p * (1 - w), 1));
+
+  return {
+    changed: summary.length > 0,
+    significance,
+    summary,
+    url,
+    vendor,
+    text: { added: cap(text.added), removed: cap(text.removed), changedShare: round(changedShare) },
+    links: { added: cap(pages.added), removed: cap(pages.removed) },
+    pdfs: {
+      added: cap(pdfs.added.map(l => ({ url: l.url, text: l.text, kind: pdfKind(l) }))),
+      removed: cap(pdfs.removed.map(l => ({ url: l.url, text: l.text, kind: pdfKind(l) }))),
+      replaced: cap(pdfs.replaced)
+    },
+    forms: {
+      fieldsAdded: cap(fields.added),
+      fieldsRemoved: cap(fields.removed),
+      actionsAdded: cap(actions.added),
+      actionsRemoved: cap(actions.removed)
+    }
+  };
+}
@@ -0,0 +1,97 @@
+// lib/snapshotHash.js
+//
+// Content hashes for crawl-time change detection.
+//
+// The raw HTML of a portal page changes on every request: ASP.NET
+// __VIEWSTATE / __EVENTVALIDATION, CSRF tokens, nonces, session ids in
+// URLs, cache-busting query strings, "generated at" timestamps. Hashing
+// it made every crawl look like a change. `contentHash` hashes the page
+// with those stripped, so two crawls of an unchanged page agree and the
+// crawler can skip storing and re-parsing it.
+//
+// The raw sha256 still names the stored blob; the content hash is only
+// compared. PDFs are hashed as they are.
+//
+// Pure; no network.
+
+import crypto from "crypto";
+
+// Hidden inputs whose values are per-request state
+const STATE_INPUT_NAMES = /^(__VIEWSTATE\w*|__EVENTVALIDATION|__EVENTTARGET|__EVENTARGUMENT|__LASTFOCUS|__PREVIOUSPAGE|__REQUESTDIGEST|__RequestVerificationToken|authenticity_token|csrf[\w-]*|_csrf|_token|xsrf[\w-]*)$/i;
+
+const CSRF_META = /^(csrf[\w-]*|_csrf|xsrf[\w-]*|request-id|__RequestVerificationToken)$/i;
+
+// Query parameters that only bust caches or carry sessions
+const VOLATILE_PARAMS = /([?&;])(v|ver|_|t|ts|cb|cachebuster|rnd|nocache|timestamp|jsessionid|sid|sessionid|phpsessid|aspxerrorpath)=[^&"'\s>]*/gi;
+
+const TIMESTAMPS = [
+  // 2026-10-19T14:03:22(.123)(Z|+00:00)
+  /\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?\b/g,
+  // 10/19/2026 2:03:22 PM
+  /\b\d{1,2}\/\d{1,2}\/\d{2,4},? \d{1,2}:\d{2}(:\d{2})?( ?[AP]M)?\b/gi,
+  // Mon, 19 Oct 2026 14:03:22 GMT
+  /\b(Mon|Tue|Wed|Thu|Fri|Sat|Sun), \d{1,2} \w{3} \d{4} \d{2}:\d{2}:\d{2} \w+\b/g,
+  // Clock times on their own: "Page generated 2:03:22 PM"
+  /\b\d{1,2}:\d{2}:\d{2}( ?[AP]M)?\b/gi,
+  // Epoch milliseconds
+  /\b1\d{12}\b/g
+];
+
+/**
+ * True for form fields that carry per-request state (viewstate, CSRF
+ * tokens), not anything a user fills in.
+ */
+export function isStateField(name) {
+  return STATE_INPUT_NAMES.test(name || "");
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+  return m ? m[1] ?? m[2] ?? m[3] : null;
+}
+
+/**
+ * HTML with per-request noise removed, for hashing only.
+ */
+export function normalizeHtml(html) {
+  let out = String(html || "");
+
+  // Scripts, styles and comments: tracking ids, nonces, build stamps
+  out = out
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, "")
+    .replace(/<style\b[^>]*>[\s\S]*?<\/style>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "");
+
+  // Hidden state inputs and CSRF meta tags
+  out = out.replace(/<input\b[^>]*>/gi, tag =>
+    isStateField(attr(tag, "name") || attr(tag, "id")) ? "" : tag
+  );
+  out = out.replace(/<meta\b[^>]*>/gi, tag =>
+    CSRF_META.test(attr(tag, "name") || "") ? "" : tag
+  );
+
+  // Nonces, cookieless ASP.NET sessions "/(S(abc123))/", volatile params
+  out = out
+    .replace(/\snonce\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, "")
+    .replace(/\/\(S\([a-z0-9]+\)\)/gi, "")
+    .replace(VOLATILE_PARAMS, "$1");
+
+  for (const pattern of TIMESTAMPS) out = out.replace(pattern, "");
+
+  return out.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * sha256 of raw content (Buffer or string).
+ */
+export function sha256(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Hash compared between crawls: normalized HTML, or the raw bytes of
+ * anything else.
+ */
+export function contentHash(content, { html = true } = {}) {
+  return sha256(html ? normalizeHtml(typeof content === "string" ? content : content.toString("utf-8")) : content);
+}
@@ -0,0 +1,188 @@
+// lib/states.js
+//
+// US state FIPS codes → postal abbreviation and name. jurisdictions only
+// carry `statefp`; prompts, search queries and vendor tenant guesses need
+// the abbreviation. Area codes let the ownership check (lib/ownershipVerifier.js)
+// place a page's phone numbers in a state.
+
+export const STATES = {
+  "01": { abbr: "AL", name: "Alabama" },
+  "02": { abbr: "AK", name: "Alaska" },
+  "04": { abbr: "AZ", name: "Arizona" },
+  "05": { abbr: "AR", name: "Arkansas" },
+  "06": { abbr: "CA", name: "California" },
+  "08": { abbr: "CO", name: "Colorado" },
+  "09": { abbr: "CT", name: "Connecticut" },
+  "10": { abbr: "DE", name: "Delaware" },
+  "11": { abbr: "DC", name: "District of Columbia" },
+  "12": { abbr: "FL", name: "Florida" },
+  "13": { abbr: "GA", name: "Georgia" },
+  "15": { abbr: "HI", name: "Hawaii" },
+  "16": { abbr: "ID", name: "Idaho" },
+  "17": { abbr: "IL", name: "Illinois" },
+  "18": { abbr: "IN", name: "Indiana" },
+  "19": { abbr: "IA", name: "Iowa" },
+  "20": { abbr: "KS", name: "Kansas" },
+  "21": { abbr: "KY", name: "Kentucky" },
+  "22": { abbr: "LA", name: "Louisiana" },
+  "23": { abbr: "ME", name: "Maine" },
+  "24": { abbr: "MD", name: "Maryland" },
+  "25": { abbr: "MA", name: "Massachusetts" },
+  "26": { abbr: "MI", name: "Michigan" },
+  "27": { abbr: "MN", name: "Minnesota" },
+  "28": { abbr: "MS", name: "Mississippi" },
+  "29": { abbr: "MO", name: "Missouri" },
+  "30": { abbr: "MT", name: "Montana" },
+  "31": { abbr: "NE", name: "Nebraska" },
+  "32": { abbr: "NV", name: "Nevada" },
+  "33": { abbr: "NH", name: "New Hampshire" },
+  "34": { abbr: "NJ", name: "New Jersey" },
+  "35": { abbr: "NM", name: "New Mexico" },
+  "36": { abbr: "NY", name: "New York" },
+  "37": { abbr: "NC", name: "North Carolina" },
+  "38": { abbr: "ND", name: "North Dakota" },
+  "39": { abbr: "OH", name: "Ohio" },
+  "40": { abbr: "OK", name: "Oklahoma" },
+  "41": { abbr: "OR", name: "Oregon" },
+  "42": { abbr: "PA", name: "Pennsylvania" },
+  "44": { abbr: "RI", name: "Rhode Island" },
+  "45": { abbr: "SC", name: "South Carolina" },
+  "46": { abbr: "SD", name: "South Dakota" },
+  "47": { abbr: "TN", name: "Tennessee" },
+  "48": { abbr: "TX", name: "Texas" },
+  "49": { abbr: "UT", name: "Utah" },
+  "50": { abbr: "VT", name: "Vermont" },
+  "51": { abbr: "VA", name: "Virginia" },
+  "53": { abbr: "WA", name: "Washington" },
+  "54": { abbr: "WV", name: "West Virginia" },
+  "55": { abbr: "WI", name: "Wisconsin" },
+  "56": { abbr: "WY", name: "Wyoming" },
+  "72": { abbr: "PR", name: "Puerto Rico" }
+};
+
+/**
+ * Postal abbreviation for a state FIPS code ("45" or 45 → "SC"), or null.
+ */
+export function stateAbbrFromFips(statefp) {
+  if (statefp === null || statefp === undefined || statefp === "") return null;
+  return STATES[String(statefp).padStart(2, "0")]?.abbr ?? null;
+}
+
+/**
+ * State name for a FIPS code, or null.
+ */
+export function stateNameFromFips(statefp) {
+  if (statefp === null || statefp === undefined || statefp === "") return null;
+  return STATES[String(statefp).padStart(2, "0")]?.name ?? null;
+}
+
+// Geographic area codes by state (NANP). Toll-free and non-geographic
+// codes are left out, so they never count as evidence for a state.
+export const AREA_CODES = {
+  AL: ["205", "251", "256", "334", "659", "938"],
+  AK: ["907"],
+  AZ: ["480", "520", "602", "623", "928"],
+  AR: ["327", "479", "501", "870"],
+  CA: [
+    "209", "213", "279", "310", "323", "341", "350", "408", "415", "424",
+    "442", "510", "530", "559", "562", "619", "626", "628", "650", "657",
+    "661", "669", "707", "714", "747", "760", "805", "818", "820", "831",
+    "840", "858", "909", "916", "925", "949", "951"
+  ],
+  CO: ["303", "719", "720", "970", "983"],
+  CT: ["203", "475", "860", "959"],
+  DE: ["302"],
+  DC: ["202", "771"],
+  FL: [
+    "239", "305", "321", "324", "352", "386", "407", "448", "561", "645",
+    "656", "689", "727", "728", "754", "772", "786", "813", "850", "863",
+    "904", "941", "954"
+  ],
+  GA: ["229", "404", "470", "478", "678", "706", "762", "770", "912", "943"],
+  HI: ["808"],
+  ID: ["208", "986"],
+  IL: [
+    "217", "224", "309", "312", "331", "447", "464", "618", "630", "708",
+    "730", "773", "779", "815", "847", "861", "872"
+  ],
+  IN: ["219", "260", "317", "463", "574", "765", "812", "930"],
+  IA: ["319", "515", "563", "641", "712"],
+  KS: ["316", "620", "785", "913"],
+  KY: ["270", "364", "502", "606", "859"],
+  LA: ["225", "318", "337", "504", "985"],
+  ME: ["207"],
+  MD: ["227", "240", "301", "410", "443", "667"],
+  MA: ["339", "351", "413", "508", "617", "774", "781", "857", "978"],
+  MI: ["231", "248", "269", "313", "517", "586", "616", "679", "734", "810", "906", "947", "989"],
+  MN: ["218", "320", "507", "612", "651", "763", "952"],
+  MS: ["228", "601", "662", "769"],
+  MO: ["235", "314", "417", "557", "573", "636", "660", "816", "975"],
+  MT: ["406"],
+  NE: ["308", "402", "531"],
+  NV: ["702", "725", "775"],
+  NH: ["603"],
+  NJ: ["201", "551", "609", "640", "732", "848", "856", "862", "908", "973"],
+  NM: ["505", "575"],
+  NY: [
+    "212", "315", "329", "332", "347", "363", "516", "518", "585", "607",
+    "624", "631", "646", "680", "716", "718", "838", "845", "914", "917",
+    "929", "934"
+  ],
+  NC: ["252", "336", "472", "704", "743", "828", "910", "919", "980", "984"],
+  ND: ["701"],
+  OH: [
+    "216", "220", "234", "283", "326", "330", "380", "419", "436", "440",
+    "513", "567", "614", "740", "937"
+  ],
+  OK: ["405", "539", "572", "580", "918"],
+  OR: ["458", "503", "541", "971"],
+  PA: [
+    "215", "223", "267", "272", "412", "445", "484", "570", "582", "610",
+    "717", "724", "814", "835", "878"
+  ],
+  RI: ["401"],
+  SC: ["803", "821", "839", "843", "854", "864"],
+  SD: ["605"],
+  TN: ["423", "615", "629", "731", "865", "901", "931"],
+  TX: [
+    "210", "214", "254", "281", "325", "346", "361", "409", "430", "432",
+    "469", "512", "682", "713", "726", "737", "806", "817", "830", "832",
+    "903", "915", "936", "940", "945", "956", "972", "979"
+  ],
+  UT: ["385", "435", "801"],
+  VT: ["802"],
+  VA: ["276", "434", "540", "571", "686", "703", "757", "804", "826", "948"],
+  WA: ["206", "253", "360", "425", "509", "564"],
+  WV: ["304", "681"],
+  WI: ["262", "274", "353", "414", "534", "608", "715", "920"],
+  WY: ["307"],
+  PR: ["787", "939"]
+};
+
+const STATE_BY_AREA_CODE = new Map(
+  Object.entries(AREA_CODES).flatMap(([abbr, codes]) => codes.map(c => [c, abbr]))
+);
+
+const STATE_BY_ABBR = new Map(Object.values(STATES).map(s => [s.abbr, s]));
+
+/**
+ * State abbreviation for a telephone area code ("843" → "SC"), or null
+ * for toll-free and unknown codes.
+ */
+export function stateAbbrFromAreaCode(areaCode) {
+  return STATE_BY_AREA_CODE.get(String(areaCode)) ?? null;
+}
+
+/**
+ * True when `abbr` is a state postal abbreviation ("SC", "DC", "PR").
+ */
+export function isStateAbbr(abbr) {
+  return STATE_BY_ABBR.has(String(abbr || "").toUpperCase());
+}
+
+/**
+ * State name for a postal abbreviation ("SC" → "South Carolina"), or null.
+ */
+export function stateNameFromAbbr(abbr) {
+  return STATE_BY_ABBR.get(String(abbr || "").toUpperCase())?.name ?? null;
+}
@@ -11,7 +11,9 @@ if (!SUPABASE_URL || !SERVICE_KEY) {
   console.warn("[sb] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE");
 }
 
-export async function sb(path, method = "GET", body = null) {
+// `headers` adds request headers, e.g. { Prefer: "return=representation" }
+// to get the rows a PATCH touched.
+export async function sb(path, method = "GET", body = null, headers = {}) {
   const url = `${SUPABASE_URL}/rest/v1/${path}`;
 
   const options = {
@@ -19,6 +21,7 @@ export async function sb(path, method = "GET", body = null) {
     headers: {
       "apikey": SERVICE_KEY,
       "Authorization": `Bearer ${SERVICE_KEY}`,
+      ...headers
     }
   };
 
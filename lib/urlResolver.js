@@ -0,0 +1,217 @@
+// lib/urlResolver.js
+//
+// Resolves a candidate portal URL to the canonical landing URL we store in
+// jurisdiction_meta.portal_url.
+//
+// Redirects are followed by hand (redirect: "manual") so every hop is
+// recorded: HTTP 3xx Location headers, <meta http-equiv="refresh"> and
+// JavaScript `window.location` bounces. SSO hops through Tyler, Accela and
+// OpenGov identity providers are unwrapped to the portal they protect, and
+// session / tracking noise is stripped from the result.
+
+import { normalizeVendorUrl, isIdentityProviderUrl } from "./vendorRegistry.js";
+import { politeFetch } from "./politeFetch.js";
+
+const DEFAULT_MAX_HOPS = 10;
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Only pages this small are treated as redirect shims; larger pages that
+// happen to assign window.location somewhere are real content.
+const MAX_SHIM_PAGE_BYTES = 20000;
+
+// Query params that carry per-visit state rather than identify a page.
+const NOISE_PARAMS = new Set([
+  "jsessionid",
+  "phpsessid",
+  "asp.net_sessionid",
+  "sessionid",
+  "session",
+  "sid",
+  "state",
+  "nonce",
+  "code",
+  "token",
+  "ticket",
+  "gclid",
+  "fbclid",
+  "msclkid",
+  "_",
+  "ts",
+  "timestamp",
+  "cachebust"
+]);
+
+/**
+ * Strip session ids, tracking params and fragments from a URL after
+ * applying vendor normalization rules. Returns the input unchanged when it
+ * does not parse.
+ */
+export function canonicalizeUrl(url) {
+  if (!url) return url;
+
+  let parsed;
+  try {
+    parsed = new URL(normalizeVendorUrl(url));
+  } catch {
+    return url;
+  }
+
+  // ;jsessionid=... path parameters and ASP.NET cookieless (S(...)) segments
+  parsed.pathname = parsed.pathname
+    .replace(/;jsessionid=[^/]*/gi, "")
+    .replace(/\/\(S\([^)]*\)\)/gi, "");
+
+  for (const key of [...parsed.searchParams.keys()]) {
+    const lower = key.toLowerCase();
+    if (NOISE_PARAMS.has(lower) || lower.startsWith("utm_")) {
+      parsed.searchParams.delete(key);
+    }
+  }
+
+  parsed.hash = "";
+
+  return parsed.href;
+}
+
+/**
+ * Find a client-side redirect in a small HTML shim page.
+ * Returns `{ via, target }` or null.
+ */
+export function findClientRedirect(html) {
+  if (!html || html.length > MAX_SHIM_PAGE_BYTES) return null;
+
+  const meta = html.match(
+    /<meta[^>]+http-equiv\s*=\s*["']?refresh["']?[^>]*content\s*=\s*["']?\s*\d*\s*;?\s*url\s*=\s*['"]?([^"'>\s]+)/i
+  );
+  if (meta) return { via: "meta-refresh", target: meta[1] };
+
+  const js =
+    html.match(/(?:window\.|document\.|top\.|self\.)?location(?:\.href)?\s*=\s*["']([^"']+)["']/i) ||
+    html.match(/location\.(?:replace|assign)\(\s*["']([^"']+)["']\s*\)/i);
+  if (js) return { via: "js", target: js[1] };
+
+  return null;
+}
+
+/**
+ * Follow a URL to its landing page and record how we got there.
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {number} [opts.maxHops]
+ * @param {number} [opts.timeoutMs] per request
+ * @returns {Promise<{
+ *   url: string|null,       canonical landing URL
+ *   finalUrl: string|null,  last URL actually fetched
+ *   status: number|null,    status of the final response
+ *   chain: Array<{ url: string, status: number|null, location: string|null, via: string }>,
+ *   error: string|null
+ * }>}
+ */
+export async function resolvePortalUrl(url, opts = {}) {
+  const maxHops = opts.maxHops ?? DEFAULT_MAX_HOPS;
+  const timeoutMs = opts.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+
+  const chain = [];
+  const seen = new Set();
+
+  let current = url;
+  let status = null;
+  let error = null;
+
+  for (let hop = 0; hop <= maxHops; hop++) {
+    // Identity-provider bounce: jump straight to the protected portal
+    // instead of fetching the login page.
+    const unwrapped = normalizeVendorUrl(current);
+    if (unwrapped && unwrapped !== current) {
+      chain.push({ url: current, status: null, location: unwrapped, via: "sso" });
+
+      // Portal → IdP → same portal: the portal requires login, which is
+      // as far as we can get. The portal itself is the landing URL.
+      if (seen.has(unwrapped)) {
+        current = unwrapped;
+        chain.push({ url: current, status, location: null, via: "final" });
+        break;
+      }
+
+      current = unwrapped;
+    }
+
+    if (seen.has(current)) {
+      error = "redirect_loop";
+      break;
+    }
+    seen.add(current);
+
+    let res;
+    try {
+      res = await politeFetch(current, { method: "GET", redirect: "manual" }, { timeoutMs });
+    } catch (err) {
+      error = err.kind || (err.name === "TimeoutError" ? "timeout" : err.cause?.code || err.message);
+      break;
+    }
+
+    status = res.status;
+
+    // HTTP redirect
+    const location = res.headers.get("location");
+    if (status >= 300 && status < 400 && location) {
+      let next;
+      try {
+        next = new URL(location, current).href;
+      } catch {
+        // Unparseable Location header: the redirect goes nowhere we can follow
+        error = "bad_location";
+        break;
+      }
+      chain.push({ url: current, status, location: next, via: "http" });
+      current = next;
+      continue;
+    }
+
+    // Client-side redirect shim
+    const contentType = res.headers.get("content-type") || "";
+    if (res.ok && contentType.includes("html")) {
+      const html = await res.text();
+      const redirect = findClientRedirect(html);
+
+      if (redirect) {
+        let next;
+        try {
+          next = new URL(redirect.target, current).href;
+        } catch {
+          next = null;
+        }
+
+        if (next && next !== current) {
+          chain.push({ url: current, status, location: next, via: redirect.via });
+          current = next;
+          continue;
+        }
+      }
+    }
+
+    chain.push({ url: current, status, location: null, via: "final" });
+    break;
+  }
+
+  if (!error && chain.length && chain[chain.length - 1].via !== "final") {
+    error = "too_many_redirects";
+  }
+
+  // Never hand back an identity provider: fall back to the last hop that
+  // was a real portal page.
+  let landing = current;
+  if (isIdentityProviderUrl(landing)) {
+    const portalHop = [...chain].reverse().find(h => !isIdentityProviderUrl(h.url));
+    if (portalHop) landing = portalHop.url;
+  }
+
+  return {
+    url: error ? null : canonicalizeUrl(landing),
+    finalUrl: current,
+    status,
+    chain,
+    error
+  };
+}
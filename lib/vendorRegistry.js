@@ -0,0 +1,458 @@
+// lib/vendorRegistry.js
+//
+// Single source of truth for permit-portal vendors.
+//
+// Every discovery, verification and crawl path resolves vendor labels
+// through this module, so a jurisdiction gets the same `vendor_type`
+// regardless of which worker found it. Vendor ids are lowercase and
+// stable (they are stored in jurisdiction_meta, portal_candidates and
+// portal_endpoints); display names are for dashboards and reports only.
+
+// Labels that are not vendors but are stored in vendor columns.
+export const MUNICIPAL = "municipal";
+export const OFFLINE = "offline";
+// Permits handled by another jurisdiction (lib/delegation.js)
+export const DELEGATED = "delegated";
+export const UNKNOWN = "unknown";
+
+/**
+ * Vendor definitions.
+ *
+ *   id               canonical id stored in the database
+ *   name             display name
+ *   hostPatterns     substrings matched against the URL hostname
+ *   pathPatterns     regexes matched against the URL path (custom domains)
+ *   fingerprints     weighted signals matched against a fetched page:
+ *                      source – where to look: "html" (whole document),
+ *                               "script" (script src), "form" (form
+ *                               action), "meta" (meta tag name/content),
+ *                               "header" (response headers incl. cookies)
+ *                      weight – 0–1 strength of the signal on its own
+ *   aliases          legacy labels written by older workers
+ *   ssoHosts         identity-provider hosts that front the vendor's portals;
+ *                    never a canonical portal URL on their own
+ *   normalize        URL normalization rules:
+ *                      unwrapParams – query params holding the real portal
+ *                                     URL (SSO / OAuth bounces)
+ *                      stripPath    – [pattern, replacement] pairs applied
+ *                                     to the path (login pages, callbacks)
+ *   tenantUrls       URL templates for guessing a jurisdiction's tenant:
+ *                    {slug} lowercase name, {SLUG} uppercase name,
+ *                    {state} lowercase state abbreviation
+ *   searchTerms      phrases that find the vendor's tenant pages in web
+ *                    search (lib/searchQueryTemplates.js)
+ */
+export const VENDORS = [
+  {
+    id: "accela",
+    name: "Accela",
+    hostPatterns: ["accela.com"],
+    pathPatterns: [/\/citizenaccess(\/|$)/i],
+    fingerprints: [
+      { source: "script", pattern: /\/CitizenAccess\//i, weight: 0.8, label: "CitizenAccess script path" },
+      { source: "html", pattern: /Accela\.ACA/, weight: 0.8, label: "Accela.ACA namespace" },
+      { source: "form", pattern: /CitizenAccess/i, weight: 0.6, label: "CitizenAccess form action" },
+      { source: "header", pattern: /ACA_(CS_KEY|USER_PREFERRED_CULTURE)/i, weight: 0.7, label: "ACA cookie" },
+      { source: "html", pattern: /Accela Citizen Access/i, weight: 0.6, label: "Accela Citizen Access text" }
+    ],
+    searchTerms: ["Accela Citizen Access"],
+    aliases: ["Accela"],
+    normalize: {
+      // Login.aspx?ReturnUrl=%2fCHARLESTON%2fCap%2fCapHome.aspx
+      unwrapParams: ["ReturnUrl"],
+      stripPath: [[/\/Login\.aspx$/i, "/Default.aspx"]]
+    },
+    tenantUrls: ["https://aca-prod.accela.com/{SLUG}/Default.aspx"]
+  },
+  {
+    id: "energov",
+    name: "EnerGov (Tyler)",
+    hostPatterns: ["energov", "tylerhost.net"],
+    pathPatterns: [/\/energov/i, /\/apps\/selfservice/i],
+    fingerprints: [
+      { source: "script", pattern: /\/apps\/selfservice\//i, weight: 0.6, label: "SelfService bundle path" },
+      { source: "html", pattern: /EnerGov\s*Self\s*Service/i, weight: 0.8, label: "EnerGov SelfService text" },
+      { source: "html", pattern: /ng-app=["']?EnerGov/i, weight: 0.8, label: "EnerGov Angular app" },
+      { source: "script", pattern: /tylerhost\.net|energov/i, weight: 0.6, label: "EnerGov script host" },
+      { source: "html", pattern: /EnerGov/i, weight: 0.3, label: "EnerGov mention" }
+    ],
+    searchTerms: ["EnerGov self service"],
+    aliases: ["EnerGov", "enerGov", "tyler"],
+    normalize: {
+      stripPath: [[/\/callback.*$/i, "/"]]
+    },
+    tenantUrls: [
+      "https://{slug}{state}-energovpub.tylerhost.net/apps/selfservice",
+      "https://{slug}-energovpub.tylerhost.net/apps/selfservice"
+    ]
+  },
+  {
+    id: "tylertech",
+    name: "Tyler Technologies",
+    hostPatterns: ["tylertech.com", "tylerportico.com"],
+    pathPatterns: [],
+    fingerprints: [
+      { source: "script", pattern: /tylerportico|tylertech\.com/i, weight: 0.5, label: "Tyler script host" },
+      { source: "html", pattern: /identity\.tylerportico\.com/i, weight: 0.4, label: "Tyler identity link" }
+    ],
+    aliases: ["TylerTech"],
+    ssoHosts: ["tylerportico.com"],
+    normalize: {
+      unwrapParams: ["redirect_uri", "redirect"]
+    }
+  },
+  {
+    id: "etrakit",
+    name: "eTRAKiT",
+    hostPatterns: ["etrakit"],
+    pathPatterns: [/\/etrakit\d*(\/|$)/i],
+    fingerprints: [
+      { source: "form", pattern: /etrakit/i, weight: 0.7, label: "eTRAKiT form action" },
+      { source: "html", pattern: /ucLogin_(txtLoginId|RadTextBoxLoginId)/i, weight: 0.7, label: "eTRAKiT login control" },
+      { source: "html", pattern: /__VIEWSTATE[\s\S]{0,20000}eTRAKiT|eTRAKiT[\s\S]{0,20000}__VIEWSTATE/i, weight: 0.7, label: "eTRAKiT viewstate page" },
+      { source: "html", pattern: /eTRAKiT/i, weight: 0.4, label: "eTRAKiT mention" }
+    ],
+    searchTerms: ["eTRAKiT"],
+    aliases: ["eTrakit", "eTRAKiT"]
+  },
+  {
+    id: "citizenserve",
+    name: "CitizenServe",
+    hostPatterns: ["citizenserve.com"],
+    pathPatterns: [],
+    fingerprints: [
+      { source: "form", pattern: /citizenserve/i, weight: 0.8, label: "CitizenServe form action" },
+      { source: "script", pattern: /citizenserve/i, weight: 0.6, label: "CitizenServe script" },
+      { source: "html", pattern: /citizenserve/i, weight: 0.3, label: "CitizenServe mention" }
+    ],
+    searchTerms: ["CitizenServe"],
+    aliases: ["CitizenServe"]
+  },
+  {
+    id: "opengov",
+    name: "OpenGov",
+    hostPatterns: ["opengov.com"],
+    pathPatterns: [],
+    fingerprints: [
+      { source: "meta", pattern: /opengov/i, weight: 0.7, label: "OpenGov meta tag" },
+      { source: "script", pattern: /opengov\.com/i, weight: 0.6, label: "OpenGov script" },
+      { source: "html", pattern: /permitting\.opengov\.com|OpenGov Permitting/i, weight: 0.6, label: "OpenGov Permitting link" }
+    ],
+    searchTerms: ["OpenGov permitting"],
+    aliases: ["OpenGov"],
+    ssoHosts: ["auth.opengov.com", "accounts.opengov.com"],
+    normalize: {
+      // auth.opengov.com/authorize?redirect_uri=https://x.portal.opengov.com/callback
+      unwrapParams: ["redirect_uri", "returnTo", "return_to"],
+      stripPath: [[/\/callback.*$/i, "/"]]
+    },
+    tenantUrls: ["https://{slug}{state}.portal.opengov.com/"]
+  },
+  {
+    id: "viewpointcloud",
+    name: "ViewPointCloud",
+    hostPatterns: ["viewpointcloud.com", "viewpointcloud.io"],
+    pathPatterns: [],
+    fingerprints: [
+      { source: "meta", pattern: /viewpoint\s*cloud|viewpointcloud/i, weight: 0.8, label: "ViewPointCloud meta tag" },
+      { source: "script", pattern: /viewpointcloud/i, weight: 0.7, label: "ViewPointCloud script" },
+      { source: "html", pattern: /viewpointcloud/i, weight: 0.3, label: "ViewPointCloud mention" }
+    ],
+    searchTerms: ["ViewPoint Cloud permits"],
+    aliases: ["ViewPointCloud", "viewpoint"],
+    ssoHosts: ["accounts.viewpointcloud.com"],
+    normalize: {
+      unwrapParams: ["redirect_uri", "returnTo"],
+      stripPath: [[/\/callback.*$/i, "/"]]
+    },
+    tenantUrls: ["https://{slug}{state}.viewpointcloud.com/"]
+  },
+  {
+    id: "mygovernmentonline",
+    name: "MyGovernmentOnline",
+    hostPatterns: ["mygovernmentonline.org"],
+    pathPatterns: [],
+    fingerprints: [
+      { source: "script", pattern: /mygovernmentonline/i, weight: 0.7, label: "MGO script" },
+      { source: "form", pattern: /mygovernmentonline/i, weight: 0.7, label: "MGO form action" },
+      { source: "html", pattern: /mygovernmentonline/i, weight: 0.3, label: "MGO mention" }
+    ],
+    searchTerms: ["MyGovernmentOnline permits"],
+    aliases: ["MyGovernmentOnline", "mgo", "mygov"]
+  },
+  {
+    id: "permiteyes",
+    name: "PermitEyes",
+    hostPatterns: ["permiteyes"],
+    pathPatterns: [],
+    fingerprints: [
+      { source: "form", pattern: /permiteyes/i, weight: 0.7, label: "PermitEyes form action" },
+      { source: "html", pattern: /permiteyes/i, weight: 0.3, label: "PermitEyes mention" }
+    ],
+    searchTerms: ["PermitEyes"],
+    aliases: ["PermitEyes"]
+  },
+  {
+    id: "cityview",
+    name: "CityView",
+    hostPatterns: ["cityview"],
+    pathPatterns: [/\/cvprodportal(\/|$)/i],
+    fingerprints: [
+      { source: "script", pattern: /\/CVProdPortal\//i, weight: 0.8, label: "CVProdPortal script path" },
+      { source: "form", pattern: /CVProdPortal/i, weight: 0.7, label: "CVProdPortal form action" },
+      { source: "html", pattern: /CityView\s*Portal/i, weight: 0.5, label: "CityView Portal text" }
+    ],
+    searchTerms: ["CityView portal permits"],
+    aliases: ["CityView"],
+    normalize: {
+      stripPath: [[/\/Account\/Logon.*$/i, "/"]]
+    }
+  },
+  {
+    id: "cloudpermit",
+    name: "Cloudpermit",
+    hostPatterns: ["cloudpermit.com"],
+    pathPatterns: [],
+    fingerprints: [
+      { source: "script", pattern: /cloudpermit/i, weight: 0.7, label: "Cloudpermit script" },
+      { source: "html", pattern: /cloudpermit/i, weight: 0.3, label: "Cloudpermit mention" }
+    ],
+    searchTerms: ["Cloudpermit"],
+    aliases: ["Cloudpermit"]
+  },
+  {
+    id: "smartgov",
+    name: "SmartGov",
+    hostPatterns: ["smartgovcommunity.com"],
+    pathPatterns: [],
+    fingerprints: [
+      { source: "script", pattern: /smartgov/i, weight: 0.6, label: "SmartGov script" },
+      { source: "html", pattern: /smartgovcommunity/i, weight: 0.4, label: "SmartGov community link" }
+    ],
+    searchTerms: ["SmartGov permits"],
+    aliases: ["SmartGov"]
+  },
+  {
+    id: "epermithub",
+    name: "ePermitHub",
+    hostPatterns: ["epermithub"],
+    pathPatterns: [],
+    fingerprints: [
+      { source: "html", pattern: /epermithub/i, weight: 0.4, label: "ePermitHub mention" }
+    ],
+    searchTerms: ["ePermitHub"],
+    aliases: ["ePermitHub"]
+  },
+  {
+    id: "esri_webgis",
+    name: "ESRI WebGIS",
+    hostPatterns: ["arcgis", "webgis", "gisweb"],
+    pathPatterns: [],
+    fingerprints: [
+      { source: "script", pattern: /js\.arcgis\.com|\/arcgis\//i, weight: 0.5, label: "ArcGIS JS API" },
+      { source: "html", pattern: /arcgis/i, weight: 0.2, label: "ArcGIS mention" }
+    ],
+    aliases: ["ESRI-WebGIS", "esri", "arcgis"]
+  }
+];
+
+const BY_ID = new Map(VENDORS.map(v => [v.id, v]));
+
+// Words dropped from jurisdiction names when building tenant slugs
+// ("City of North Charleston" → "northcharleston").
+const NAME_NOISE = /\b(city|town|village|township|borough|county|parish|of|the|consolidated|government|municipality)\b/gi;
+
+const BY_ALIAS = new Map();
+for (const v of VENDORS) {
+  BY_ALIAS.set(v.id, v.id);
+  BY_ALIAS.set(v.name.toLowerCase(), v.id);
+  for (const a of v.aliases || []) BY_ALIAS.set(a.toLowerCase(), v.id);
+}
+
+function parseUrl(url) {
+  if (!url || typeof url !== "string") return null;
+  try {
+    return new URL(url.trim());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Look up a vendor definition by canonical id.
+ */
+export function getVendor(id) {
+  return BY_ID.get(id) || null;
+}
+
+/**
+ * Map any vendor label (legacy casing, old aliases) to its canonical id.
+ * Non-vendor labels ("municipal", "pdf", "gov_page", ...) are lowercased
+ * and passed through.
+ */
+export function canonicalVendorId(label) {
+  if (!label || typeof label !== "string") return UNKNOWN;
+  const key = label.trim().toLowerCase();
+  if (!key) return UNKNOWN;
+  return BY_ALIAS.get(key) || key;
+}
+
+/**
+ * Human-readable name for a vendor id or legacy label.
+ */
+export function vendorDisplayName(label) {
+  const id = canonicalVendorId(label);
+  const vendor = BY_ID.get(id);
+  if (vendor) return vendor.name;
+  if (id === MUNICIPAL) return "Municipal (.gov)";
+  if (id === OFFLINE) return "Offline / PDF";
+  if (id === DELEGATED) return "Handled by county";
+  if (id === UNKNOWN) return "Unknown";
+  return label;
+}
+
+/**
+ * Find the vendor whose host or path patterns match a URL.
+ * Host patterns win over path patterns so that a vendor-hosted URL is not
+ * misattributed because of a path segment it happens to share.
+ */
+export function matchVendorByUrl(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return null;
+
+  const host = parsed.hostname.toLowerCase();
+  const path = parsed.pathname;
+
+  for (const v of VENDORS) {
+    if (v.hostPatterns.some(p => host.includes(p))) return v;
+  }
+
+  for (const v of VENDORS) {
+    if (v.pathPatterns.some(re => re.test(path))) return v;
+  }
+
+  return null;
+}
+
+/**
+ * True when the URL points at a vendor identity provider (login bounce)
+ * rather than at a portal.
+ */
+export function isIdentityProviderUrl(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return false;
+
+  const host = parsed.hostname.toLowerCase();
+  return VENDORS.some(v => (v.ssoHosts || []).some(h => host.endsWith(h)));
+}
+
+/**
+ * True when the URL's host is a government domain.
+ */
+export function isGovHost(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return false;
+  return parsed.hostname.toLowerCase().endsWith(".gov");
+}
+
+/**
+ * Apply the matched vendor's normalization rules to a URL:
+ * unwrap SSO / OAuth bounces to the portal they redirect to, then strip
+ * login and callback paths. Returns the input unchanged when no rule applies.
+ */
+export function normalizeVendorUrl(url) {
+  let parsed = parseUrl(url);
+  if (!parsed) return url;
+
+  let changed = false;
+
+  // Each unwrap moves one hop closer to the real portal; bound the loop
+  // in case of a redirect param pointing back at itself.
+  for (let hop = 0; hop < 3; hop++) {
+    const vendor = matchVendorByUrl(parsed.href);
+    const params = vendor?.normalize?.unwrapParams || [];
+
+    // Absolute URLs (OAuth redirect_uri) or site-relative paths
+    // (Accela's ReturnUrl=%2fAGENCY%2f...)
+    const target = params
+      .map(p => parsed.searchParams.get(p))
+      .find(v => v && (/^https?:\/\//i.test(v) || v.startsWith("/")));
+
+    if (!target) break;
+
+    const next = parseUrl(new URL(target, parsed.origin).href);
+    if (!next) break;
+    parsed = next;
+    changed = true;
+  }
+
+  const vendor = matchVendorByUrl(parsed.href);
+  const rules = vendor?.normalize?.stripPath || [];
+
+  let pathname = parsed.pathname;
+  for (const [pattern, replacement] of rules) {
+    if (pattern.test(pathname)) {
+      pathname = pathname.replace(pattern, replacement);
+      // Login / callback URLs carry per-session query state
+      parsed.search = "";
+      parsed.hash = "";
+      changed = true;
+    }
+  }
+  parsed.pathname = pathname;
+
+  return changed ? parsed.href : url;
+}
+
+/**
+ * Compact forms of a jurisdiction name as they appear in hosts and
+ * tenant paths, core name first:
+ *   "Charleston County" → ["charleston", "charlestoncounty"]
+ */
+export function nameSlugs(name) {
+  if (!name) return [];
+
+  const full = name.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const core = name.replace(NAME_NOISE, "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  return [...new Set([core, full].filter(Boolean))];
+}
+
+/**
+ * Guess vendor tenant URLs for a jurisdiction from the registry's
+ * `tenantUrls` templates. Nothing is fetched here; callers validate the
+ * guesses like any other candidate.
+ *
+ *   guessVendorTenantUrls({ name: "Charleston County", state: "SC" })
+ *   → [{ vendor: "accela", url: "https://aca-prod.accela.com/CHARLESTON/Default.aspx" },
+ *      ...
+ *      { vendor: "energov", url: "https://charlestoncountysc-energovpub.tylerhost.net/apps/selfservice" },
+ *      ...]
+ */
+export function guessVendorTenantUrls({ name, state }) {
+  if (!name) return [];
+
+  const slugs = nameSlugs(name);
+  const st = (state || "").toLowerCase();
+
+  const guesses = [];
+  const seen = new Set();
+
+  for (const v of VENDORS) {
+    for (const template of v.tenantUrls || []) {
+      if (template.includes("{state}") && !st) continue;
+
+      for (const slug of slugs) {
+        const url = template
+          .replace("{slug}", slug)
+          .replace("{SLUG}", slug.toUpperCase())
+          .replace("{state}", st);
+
+        if (seen.has(url)) continue;
+        seen.add(url);
+        guesses.push({ vendor: v.id, url });
+      }
+    }
+  }
+
+  return guesses;
+}
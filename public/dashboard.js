@@ -14,6 +14,20 @@ async function fetchJSON(url, options = {}) {
   return res.json();
 }
 
+// "$0.42 today · Budget: $5.00 / 200 calls"
+function formatUsageLimit(usage) {
+  const cost = `$${Number(usage.today?.cost_usd ?? 0).toFixed(2)} today`;
+  const b = usage.budgets || {};
+
+  const limits = [
+    b.usd != null ? `$${Number(b.usd).toFixed(2)}` : null,
+    b.tokens != null ? `${Number(b.tokens).toLocaleString()} tokens` : null,
+    b.calls != null ? `${b.calls} calls` : null
+  ].filter(Boolean);
+
+  return limits.length ? `${cost} · Budget: ${limits.join(" / ")}` : cost;
+}
+
 // -----------------------------------------------------------------------------
 // LOAD TOP METRICS + RECENT DISCOVERIES + CHARTS
 // -----------------------------------------------------------------------------
@@ -32,8 +46,7 @@ async function loadDashboard() {
     // AI usage today
     document.getElementById("usageToday").textContent =
       usage.today?.count ?? 0;
-    document.getElementById("usageLimit").textContent =
-      `Daily limit: ${usage.limit}`;
+    document.getElementById("usageLimit").textContent = formatUsageLimit(usage);
 
     // Last portal
     if (recent.rows?.length > 0) {
@@ -62,7 +75,7 @@ async function loadDashboard() {
               : "<span class='text-gray-400'>—</span>"
           }
         </td>
-        <td class="p-2">${row.vendor_type ?? "—"}</td>
+        <td class="p-2">${row.vendor_name ?? row.vendor_type ?? "—"}</td>
         <td class="p-2">${
           row.updated_at
             ? new Date(row.updated_at).toLocaleDateString()
@@ -123,6 +136,193 @@ async function loadDashboard() {
   }
 }
 
+// -----------------------------------------------------------------------------
+// NATIONWIDE MAPPING PROGRESS (tile map: one square per state)
+// -----------------------------------------------------------------------------
+const STATE_TILES = {
+  AK: [0, 0], ME: [0, 11],
+  VT: [1, 10], NH: [1, 11],
+  WA: [2, 1], ID: [2, 2], MT: [2, 3], ND: [2, 4], MN: [2, 5], IL: [2, 6],
+  WI: [2, 7], MI: [2, 8], NY: [2, 9], RI: [2, 10], MA: [2, 11],
+  OR: [3, 1], NV: [3, 2], WY: [3, 3], SD: [3, 4], IA: [3, 5], IN: [3, 6],
+  OH: [3, 7], PA: [3, 8], NJ: [3, 9], CT: [3, 10],
+  CA: [4, 1], UT: [4, 2], CO: [4, 3], NE: [4, 4], MO: [4, 5], KY: [4, 6],
+  WV: [4, 7], VA: [4, 8], MD: [4, 9], DE: [4, 10],
+  AZ: [5, 2], NM: [5, 3], KS: [5, 4], AR: [5, 5], TN: [5, 6], NC: [5, 7],
+  SC: [5, 8], DC: [5, 9],
+  OK: [6, 4], LA: [6, 5], MS: [6, 6], AL: [6, 7], GA: [6, 8],
+  HI: [7, 0], TX: [7, 4], FL: [7, 9], PR: [7, 11]
+};
+
+function stateTile(s) {
+  const [row, col] = STATE_TILES[s.abbr] || [];
+  if (row === undefined) return "";
+
+  const pct = Number(s.complete_pct ?? 0);
+  const inProgress = s.counties - s.not_started;
+  const alpha = s.counties ? 0.12 + (pct / 100) * 0.88 : 0.05;
+  const trouble = (s.failed ?? 0) + (s.stalled ?? 0);
+
+  const tip = [
+    `${s.name}: ${pct}% of ${s.counties} counties done`,
+    `${inProgress} started · ${s.verified} verified`,
+    trouble ? `${s.failed} failed · ${s.stalled} stalled` : null
+  ].filter(Boolean).join("\n");
+
+  return `
+    <div title="${tip}"
+         class="rounded text-center text-xs py-2 ${pct > 55 ? "text-white" : "text-gray-800"}"
+         style="grid-row: ${row + 1}; grid-column: ${col + 1};
+                background: rgba(37, 99, 235, ${alpha.toFixed(2)});
+                ${trouble ? "box-shadow: inset 0 0 0 2px #ef4444;" : ""}">
+      <div class="font-semibold">${s.abbr}</div>
+      <div>${Math.round(pct)}%</div>
+    </div>`;
+}
+
+async function loadMappingProgress() {
+  try {
+    const data = await fetchJSON("/api/dashboard/mapping-progress");
+    const totals = data.totals || {};
+    const counties = Object.values(totals).reduce((n, v) => n + v, 0);
+    const done = (totals.parsed ?? 0) + (totals.verified ?? 0);
+
+    document.getElementById("mappingTotals").textContent =
+      `${done} / ${counties} counties parsed · ${totals.verified ?? 0} verified · ` +
+      `${(totals.failed ?? 0) + (totals.stalled ?? 0)} need attention`;
+
+    document.getElementById("mappingMap").innerHTML =
+      (data.byState || []).map(stateTile).join("");
+
+    const tbody = document.getElementById("mappingAttention");
+    tbody.innerHTML = "";
+
+    (data.attention || []).forEach(c => {
+      const tr = document.createElement("tr");
+      tr.className = "border-b align-top";
+      tr.innerHTML = `
+        <td class="p-2">${c.name ?? c.geoid}, ${c.state ?? ""}</td>
+        <td class="p-2 ${c.mapping_status === "failed" ? "text-red-600" : "text-yellow-600"}">${c.mapping_status}</td>
+        <td class="p-2">${c.resume_stage ?? "—"}</td>
+        <td class="p-2">${c.stage_entered_at ? new Date(c.stage_entered_at).toLocaleString() : "—"}</td>
+        <td class="p-2 text-xs break-all">${c.error_summary?.message ?? "—"}</td>
+      `;
+      tbody.appendChild(tr);
+    });
+  } catch (err) {
+    console.error("loadMappingProgress error:", err);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// RECENT PORTAL CHANGES (snapshot diffs)
+// -----------------------------------------------------------------------------
+// Below this a change is usually reworded text or a moved link
+const SIGNIFICANT_CHANGE = 0.3;
+
+function significanceClass(significance) {
+  if (significance >= 0.7) return "text-red-600 font-semibold";
+  if (significance >= SIGNIFICANT_CHANGE) return "text-yellow-600";
+  return "text-gray-500";
+}
+
+async function loadPortalChanges() {
+  try {
+    const significantOnly = document.getElementById("changesSignificantOnly")?.checked;
+    const data = await fetchJSON(
+      `/api/dashboard/changes?limit=25${significantOnly ? `&min_significance=${SIGNIFICANT_CHANGE}` : ""}`
+    );
+
+    const tbody = document.getElementById("changesTable");
+    tbody.innerHTML = "";
+
+    if (!data.rows?.length) {
+      tbody.innerHTML = `<tr><td class="p-2 text-gray-400" colspan="5">No changes recorded</td></tr>`;
+      return;
+    }
+
+    data.rows.forEach(c => {
+      const tr = document.createElement("tr");
+      tr.className = "border-b align-top";
+      tr.innerHTML = `
+        <td class="p-2">${c.name ?? c.jurisdiction_geoid ?? "—"}</td>
+        <td class="p-2 text-xs break-all">
+          <a href="${c.url}" class="text-blue-600 underline" target="_blank">${c.url}</a>
+        </td>
+        <td class="p-2 text-xs">
+          <ul class="list-disc ml-4">
+            ${(c.summary || []).map(line => `<li class="break-all">${line}</li>`).join("")}
+          </ul>
+        </td>
+        <td class="p-2 ${significanceClass(c.significance)}">${Number(c.significance).toFixed(2)}</td>
+        <td class="p-2">${c.created_at ? new Date(c.created_at).toLocaleString() : "—"}</td>
+      `;
+      tbody.appendChild(tr);
+    });
+  } catch (err) {
+    console.error("loadPortalChanges error:", err);
+  }
+}
+
+document.getElementById("changesSignificantOnly")?.addEventListener("change", loadPortalChanges);
+
+// -----------------------------------------------------------------------------
+// Rejected candidate URLs with the reason each was dropped
+// -----------------------------------------------------------------------------
+function renderCandidateChecks(checks) {
+  const rejected = (Array.isArray(checks) ? checks : []).filter(c => c && !c.ok);
+  if (!rejected.length) return "";
+
+  return `
+    <div class="mt-2 text-xs text-gray-500">
+      <div class="font-semibold">Dropped candidates</div>
+      ${rejected
+        .map(c => {
+          const status = c.liveness?.status ? ` · HTTP ${c.liveness.status}` : "";
+          return `<div class="break-all">${c.source ?? ""}: ${c.url} → <span class="text-red-600">${c.reason ?? "rejected"}</span>${status}</div>`;
+        })
+        .join("")}
+    </div>
+  `;
+}
+
+// Does the suggested portal belong to this jurisdiction? (ownershipVerifier)
+function renderOwnership(ownership) {
+  if (!ownership?.status) return "";
+
+  const color = {
+    match: "text-green-600",
+    mismatch: "text-red-600",
+    unknown: "text-gray-500"
+  }[ownership.status] || "text-gray-500";
+
+  const evidence = [...(ownership.mismatches || []), ...(ownership.matches || [])]
+    .map(e => `${e.signal}: ${e.detail}`)
+    .join("\n");
+
+  return `<div class="mt-1 text-xs ${color}" title="${evidence.replace(/"/g, "&quot;")}">ownership: ${ownership.status}</div>`;
+}
+
+function renderAlternatives(alternatives) {
+  const alts = Array.isArray(alternatives) ? alternatives.filter(a => a && a.url) : [];
+  if (!alts.length) return "";
+
+  return `
+    <div class="mt-2 text-xs text-gray-500">
+      <div class="font-semibold">Alternatives</div>
+      ${alts
+        .map(a => `
+          <div class="break-all">
+            <span class="font-mono">${Number(a.score ?? 0).toFixed(2)}</span>
+            <a href="${a.url}" class="text-blue-600 underline" target="_blank">${a.url}</a>
+            · ${a.vendor ?? "unknown"} · ${(a.sources || []).join(", ")}${a.ownership === "mismatch" ? ' · <span class="text-red-600">ownership mismatch</span>' : ""}
+            <button data-use-url="${a.url}" class="ml-1 text-blue-600 underline">use</button>
+          </div>`)
+        .join("")}
+    </div>
+  `;
+}
+
 // -----------------------------------------------------------------------------
 // HUMAN REVIEW QUEUE
 // -----------------------------------------------------------------------------
@@ -167,6 +367,12 @@ async function loadReviewQueue() {
               ? `<a href="${suggestedUrl}" class="text-blue-600 underline break-all" target="_blank">${suggestedUrl}</a>`
               : "<span class='text-gray-400'>—</span>"
           }
+          ${renderOwnership(r.ownership)}
+          ${
+            r.permits_handled_by
+              ? `<div class="mt-1 text-xs text-purple-700">Permits handled by ${r.permits_handled_by}${r.delegation_source ? ` (${r.delegation_source})` : ""}</div>`
+              : ""
+          }
         </td>
 
         <td class="p-2">
@@ -179,6 +385,8 @@ async function loadReviewQueue() {
               ? `<div class="whitespace-pre-wrap">${aiNotes}</div>`
               : "<span class='text-gray-400'>—</span>"
           }
+          ${renderAlternatives(r.alternatives)}
+          ${renderCandidateChecks(r.candidate_checks)}
         </td>
 
         <td class="p-2 text-sm">
@@ -210,6 +418,19 @@ async function loadReviewQueue() {
               />
             </div>
 
+            <div>
+              <label class="block text-xs text-gray-500 mb-1">
+                Permits Handled By (GEOID, blank = county)
+              </label>
+              <input
+                type="text"
+                class="w-full border rounded px-2 py-1 text-xs"
+                data-field="handled_by"
+                placeholder="e.g. 45019"
+                value="${r.permits_handled_by ?? ""}"
+              />
+            </div>
+
             <div>
               <label class="block text-xs text-gray-500 mb-1">
                 Human Notes
@@ -239,6 +460,14 @@ async function loadReviewQueue() {
               >
                 Reject
               </button>
+
+              <button
+                data-id="${r.id}"
+                data-action="delegate"
+                class="delegateBtn bg-purple-600 hover:bg-purple-700 text-white px-3 py-1 rounded text-xs"
+              >
+                Delegate
+              </button>
             </div>
           </div>
         </td>
@@ -252,15 +481,32 @@ async function loadReviewQueue() {
 }
 
 // -----------------------------------------------------------------------------
-// APPROVE / REJECT HANDLER
+// USE ALTERNATIVE → fill the row's portal URL input
+// -----------------------------------------------------------------------------
+document.addEventListener("click", event => {
+  const btn = event.target.closest("button[data-use-url]");
+  if (!btn) return;
+
+  const input = btn.closest("tr")?.querySelector('input[data-field="portal_url"]');
+  if (input) input.value = btn.dataset.useUrl;
+});
+
+// -----------------------------------------------------------------------------
+// APPROVE / REJECT / DELEGATE HANDLER
 // -----------------------------------------------------------------------------
+const REVIEW_ACTIONS = {
+  approve: { endpoint: "/api/dashboard/review/approve", busy: "Approving…" },
+  reject: { endpoint: "/api/dashboard/review/reject", busy: "Rejecting…" },
+  delegate: { endpoint: "/api/dashboard/review/delegate", busy: "Delegating…" }
+};
+
 document.addEventListener("click", async event => {
   const btn = event.target.closest("button[data-action]");
   if (!btn) return;
 
   const id = btn.dataset.id;
   const action = btn.dataset.action;
-  if (!id || !action) return;
+  if (!id || !REVIEW_ACTIONS[action]) return;
 
   const row = btn.closest("tr");
   if (!row) return;
@@ -268,30 +514,27 @@ document.addEventListener("click", async event => {
   const portalInput = row.querySelector('input[data-field="portal_url"]');
   const manualInput = row.querySelector('input[data-field="manual_info_url"]');
   const notesInput = row.querySelector('input[data-field="human_notes"]');
+  const handledByInput = row.querySelector('input[data-field="handled_by"]');
 
   const portal_url = portalInput?.value?.trim() || "";
   const manual_info_url = manualInput?.value?.trim() || "";
   const human_notes = notesInput?.value?.trim() || "";
+  const handled_by = handledByInput?.value?.trim() || "";
 
   const originalText = btn.textContent;
   btn.disabled = true;
-  btn.textContent =
-    action === "approve" ? "Approving…" : "Rejecting…";
+  btn.textContent = REVIEW_ACTIONS[action].busy;
 
   try {
-    const endpoint =
-      action === "approve"
-        ? "/api/dashboard/review/approve"
-        : "/api/dashboard/review/reject";
-
-    await fetchJSON(endpoint, {
+    await fetchJSON(REVIEW_ACTIONS[action].endpoint, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
         id,
         portal_url,
         manual_info_url,
-        human_notes
+        human_notes,
+        handled_by
       })
     });
 
@@ -311,4 +554,6 @@ document.addEventListener("click", async event => {
 // INITIAL PAGE LOAD
 // -----------------------------------------------------------------------------
 loadDashboard();
+loadMappingProgress();
+loadPortalChanges();
 loadReviewQueue();
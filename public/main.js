@@ -33,6 +33,51 @@ async function fetchPermits(lat, lon) {
   return await res.json();
 }
 
+// Who issues permits for each jurisdiction that delegates them (usually to
+// its county). Keyed by geoid; jurisdictions issuing their own are absent.
+async function fetchPermitAuthorities(geoids) {
+  if (!geoids.length) return {};
+
+  const res = await fetch(
+    `${SUPABASE_URL}/rest/v1/jurisdiction_permit_authority?geoid=in.(${geoids.join(",")})&select=*`,
+    {
+      headers: {
+        "apikey": SUPABASE_ANON_KEY,
+        "Authorization": `Bearer ${SUPABASE_ANON_KEY}`
+      }
+    }
+  );
+
+  if (!res.ok) {
+    console.error("Supabase error:", await res.text());
+    return {};
+  }
+
+  const rows = await res.json();
+  return Object.fromEntries(rows.map(r => [r.geoid, r]));
+}
+
+function renderPortal(p) {
+  return p.portal_url ? `
+    <p class="mt-1">
+      <a href="${p.portal_url}" target="_blank" class="text-blue-600 underline">Open Portal</a><br/>
+      Method: ${p.submission_method ?? "n/a"}<br/>
+      License Required: ${p.requires_license ? "Yes" : "No"}
+    </p>
+  ` : `<p class="text-gray-500 mt-1">No portal data available.</p>`;
+}
+
+function renderDelegation(a) {
+  return `
+    <p class="mt-1">Permits handled by <span class="font-semibold">${a.handled_by_name}</span> <span class="text-gray-500 text-sm">(${a.handled_by_level})</span></p>
+    ${renderPortal({
+      portal_url: a.portal_url,
+      submission_method: a.submission_method,
+      requires_license: a.requires_license
+    })}
+  `;
+}
+
 form.addEventListener("submit", async (e) => {
   e.preventDefault();
   resultsDiv.innerHTML = `<p class="text-gray-500 animate-pulse">Loading...</p>`;
@@ -55,16 +100,14 @@ form.addEventListener("submit", async (e) => {
       return;
     }
 
+    const authorities = await fetchPermitAuthorities(
+      permits.map(p => p.geoid).filter(Boolean)
+    );
+
     resultsDiv.innerHTML = permits.map(p => `
       <div class="border rounded p-3 bg-gray-50">
         <h2 class="font-semibold text-lg">${p.name} <span class="text-gray-500 text-sm">(${p.level})</span></h2>
-        ${p.portal_url ? `
-          <p class="mt-1">
-            <a href="${p.portal_url}" target="_blank" class="text-blue-600 underline">Open Portal</a><br/>
-            Method: ${p.submission_method ?? "n/a"}<br/>
-            License Required: ${p.requires_license ? "Yes" : "No"}
-          </p>
-        ` : `<p class="text-gray-500 mt-1">No portal data available.</p>`}
+        ${authorities[p.geoid] ? renderDelegation(authorities[p.geoid]) : renderPortal(p)}
       </div>
     `).join("");
   } catch (err) {
@@ -0,0 +1,101 @@
+// scripts/checkOwnership.mjs
+// Offline checks for lib/ownershipVerifier.js.
+//
+// Usage:
+//   node scripts/checkOwnership.mjs
+//
+// Each case is a page (URL + HTML) and the status verifyOwnership should
+// give it for a jurisdiction. Exits 1 when any case disagrees, so weight
+// changes can be checked before they reach the search worker.
+
+import { verifyOwnership } from "../lib/ownershipVerifier.js";
+
+function page(title, body = "") {
+  return `<html><head><title>${title}</title></head><body>${body}</body></html>`;
+}
+
+const CASES = [
+  {
+    label: "Washington County PA on its own site (state name in its own name)",
+    jurisdiction: { name: "Washington County", state: "PA" },
+    url: "https://www.co.washington.pa.us/permits",
+    html: page(
+      "Washington County Building Permits",
+      "<p>100 W Beau St, Washington, PA 15301</p><p>Call (724) 228-6700</p>"
+    ),
+    expected: "match"
+  },
+  {
+    label: "Delaware County OH on its own site",
+    jurisdiction: { name: "Delaware County", state: "OH" },
+    url: "https://co.delaware.oh.us/building-regulations/",
+    html: page(
+      "Delaware County Building Regulations",
+      "<p>50 Channing St, Delaware, OH 43015</p><p>Phone (740) 833-2201</p>"
+    ),
+    expected: "match"
+  },
+  {
+    label: "City of Delaware OH, title names the city",
+    jurisdiction: { name: "Delaware city", state: "OH", countyName: "Delaware County" },
+    url: "https://www.delawareohio.net/building",
+    html: page("City of Delaware, Ohio - Building Permits"),
+    expected: "match"
+  },
+  {
+    label: "Indiana County PA, title names the county only",
+    jurisdiction: { name: "Indiana County", state: "PA" },
+    url: "https://www.indianacountypa.gov/departments/planning",
+    html: page("Indiana County Planning & Development"),
+    expected: "match"
+  },
+  {
+    label: "Own site whose only phone numbers are a vendor's support line",
+    jurisdiction: { name: "Washington County", state: "PA" },
+    url: "https://washingtoncountypa-energovpub.tylerhost.net/apps/selfservice",
+    html: page(
+      "Washington County Self Service",
+      "<p>Support: (972) 713-3770</p><p>After hours: (972) 713-3771</p>"
+    ),
+    expected: "match"
+  },
+  {
+    label: "Charleston WV site offered for Charleston SC",
+    jurisdiction: { name: "Charleston city", state: "SC", countyName: "Charleston County" },
+    url: "https://www.ci.charleston.wv.us/permits",
+    html: page(
+      "City of Charleston, WV - Permits",
+      "<p>501 Virginia St E, Charleston, WV 25301</p><p>(304) 348-8000</p>"
+    ),
+    expected: "mismatch"
+  },
+  {
+    label: "Accela tenant whose title is another state's",
+    jurisdiction: { name: "Charleston County", state: "SC" },
+    url: "https://aca-prod.accela.com/CHARLESTON/Default.aspx",
+    html: page("Charleston, West Virginia - Accela Citizen Access"),
+    expected: "mismatch"
+  },
+  {
+    label: "Vendor page with no state evidence",
+    jurisdiction: { name: "Charleston County", state: "SC" },
+    url: "https://aca-prod.accela.com/CHARLESTON/Default.aspx",
+    html: page("Accela Citizen Access"),
+    expected: "match"
+  }
+];
+
+let wrong = 0;
+
+for (const c of CASES) {
+  const result = verifyOwnership({ url: c.url, html: c.html, jurisdiction: c.jurisdiction });
+  const ok = result.status === c.expected;
+  if (!ok) wrong++;
+
+  console.log(`${ok ? "✅" : "❌"} ${result.status.padEnd(8)} ${c.label}`);
+  for (const m of result.matches) console.log(`        + ${m.signal}: ${m.detail}`);
+  for (const m of result.mismatches) console.log(`        - ${m.signal}: ${m.detail}`);
+}
+
+console.log(`\n${CASES.length} cases, ${wrong} wrong`);
+if (wrong) process.exit(1);
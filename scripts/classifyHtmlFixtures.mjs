@@ -0,0 +1,49 @@
+// scripts/classifyHtmlFixtures.mjs
+// Score saved HTML pages with the permit-portal classifier.
+//
+// Usage:
+//   node scripts/classifyHtmlFixtures.mjs [dir] [--url-prefix https://host]
+//
+// Every *.html file in <dir> (default fixtures/portal-pages) is scored
+// offline. Name fixtures "portal-*.html" / "notportal-*.html" to get a
+// pass/fail column, which makes weight changes in lib/portalClassifier.js
+// easy to check; the run exits 1 when any of them is misclassified.
+//
+// A fixture's page URL (vendor hosts get a prior) comes from a leading
+// "<!-- url: https://... -->" comment, else from --url-prefix + file name.
+
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { classifyPermitPortal } from "../lib/portalClassifier.js";
+
+const prefixIdx = process.argv.indexOf("--url-prefix");
+const urlPrefix = prefixIdx > -1 ? process.argv[prefixIdx + 1] : null;
+
+const dirArg = process.argv[2];
+const dir = dirArg && dirArg !== "--url-prefix" ? dirArg : "fixtures/portal-pages";
+
+const URL_COMMENT = /^\s*<!--\s*url:\s*(\S+)\s*-->/i;
+
+const files = (await readdir(dir)).filter(f => f.endsWith(".html")).sort();
+let wrong = 0;
+
+for (const file of files) {
+  const html = await readFile(path.join(dir, file), "utf8");
+  const url =
+    html.match(URL_COMMENT)?.[1] ??
+    (urlPrefix ? `${urlPrefix.replace(/\/$/, "")}/${file}` : undefined);
+  const { score, isPortal, features } = classifyPermitPortal(html, { url });
+
+  let verdict = "";
+  if (file.startsWith("portal-")) verdict = isPortal ? "✅" : "❌";
+  if (file.startsWith("notportal-")) verdict = isPortal ? "❌" : "✅";
+  if (verdict === "❌") wrong++;
+
+  console.log(`${verdict || "  "} ${score.toFixed(3)}  ${file}`);
+  for (const f of features) {
+    console.log(`        ${f.weight > 0 ? "+" : ""}${f.weight}  ${f.name}`);
+  }
+}
+
+console.log(`\n${files.length} fixtures, ${wrong} misclassified`);
+if (wrong) process.exit(1);
@@ -1,12 +1,14 @@
 // scripts/daily-permitget-report.mjs
 
+import { DEFAULT_DAILY_AI_LIMIT, getDailyBudgets } from "../lib/aiLedger.js";
+
 const {
   SUPABASE_URL,
   SUPABASE_SERVICE_ROLE,
   RESEND_API_KEY,
   REPORT_TO_EMAIL,
   REPORT_FROM_EMAIL,
-  DAILY_AI_LIMIT = "25",
+  AI_DAILY_BUDGET_USD,
 } = process.env;
 
 if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE) {
@@ -40,6 +42,10 @@ function formatPercent(num) {
   return `${Number(num).toFixed(2)}%`;
 }
 
+function formatUsd(num) {
+  return `$${Number(num ?? 0).toFixed(2)}`;
+}
+
 function htmlEscape(str = "") {
   return str
     .replace(/&/g, "&amp;")
@@ -61,13 +67,24 @@ async function buildReport() {
   // 2) Vendor distribution (permitget_vendor_distribution view)
   const vendors = await sb("permitget_vendor_distribution?select=*");
 
-  // 3) AI usage (last 7 days)
+  // 3) AI usage (last 7 days, every worker, from ai_call_ledger)
   const aiUsage = await sb(
-    "permitget_ai_daily_usage?select=day,requests_used,daily_limit&order=day.desc&limit=7"
+    "ai_daily_usage?select=day,calls,failed_calls,total_tokens,cost_usd&order=day.desc&limit=7"
   );
 
   const today = new Date().toISOString().slice(0, 10);
 
+  // 4) Today's AI spend per worker
+  const aiByWorker = await sb(
+    `ai_daily_usage_by_worker?select=worker,calls,total_tokens,cost_usd&day=eq.${today}&order=cost_usd.desc`
+  );
+
+  // Discovery's call limit (lib/aiLedger.js)
+  const callLimit = getDailyBudgets().calls ?? DEFAULT_DAILY_AI_LIMIT;
+  const budgetLabel = AI_DAILY_BUDGET_USD
+    ? `${formatUsd(AI_DAILY_BUDGET_USD)} / ${callLimit} calls`
+    : `${callLimit} calls`;
+
   // HTML email
   const html = `
   <div style="font-family: system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; line-height: 1.5;">
@@ -121,8 +138,10 @@ async function buildReport() {
             <thead>
               <tr>
                 <th align="left">Day</th>
-                <th align="right">Used</th>
-                <th align="right">Limit</th>
+                <th align="right">Calls</th>
+                <th align="right">Failed</th>
+                <th align="right">Tokens</th>
+                <th align="right">Est. Cost</th>
               </tr>
             </thead>
             <tbody>
@@ -131,8 +150,42 @@ async function buildReport() {
                   d => `
                 <tr>
                   <td>${d.day}</td>
-                  <td align="right">${d.requests_used}</td>
-                  <td align="right">${d.daily_limit ?? DAILY_AI_LIMIT}</td>
+                  <td align="right">${d.calls}</td>
+                  <td align="right">${d.failed_calls ?? 0}</td>
+                  <td align="right">${Number(d.total_tokens ?? 0).toLocaleString()}</td>
+                  <td align="right">${formatUsd(d.cost_usd)}</td>
+                </tr>
+              `
+                )
+                .join("")}
+            </tbody>
+          </table>
+        `
+    }
+
+    <h3>AI Usage by Worker (Today)</h3>
+    ${
+      aiByWorker.length === 0
+        ? "<p>No AI calls today.</p>"
+        : `
+          <table cellpadding="6" cellspacing="0" border="1" style="border-collapse: collapse; font-size: 14px;">
+            <thead>
+              <tr>
+                <th align="left">Worker</th>
+                <th align="right">Calls</th>
+                <th align="right">Tokens</th>
+                <th align="right">Est. Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${aiByWorker
+                .map(
+                  w => `
+                <tr>
+                  <td>${htmlEscape(w.worker || "unknown")}</td>
+                  <td align="right">${w.calls}</td>
+                  <td align="right">${Number(w.total_tokens ?? 0).toLocaleString()}</td>
+                  <td align="right">${formatUsd(w.cost_usd)}</td>
                 </tr>
               `
                 )
@@ -144,7 +197,7 @@ async function buildReport() {
 
     <hr style="margin-top: 24px; margin-bottom: 8px;" />
     <p style="font-size: 12px; color: #666;">
-      Generated automatically from GitHub Actions · Daily AI Limit: ${DAILY_AI_LIMIT}
+      Generated automatically from GitHub Actions · Daily AI Budget: ${budgetLabel}
     </p>
   </div>
   `;
@@ -167,13 +220,18 @@ ${vendors
   )
   .join("\n") || "  (no vendors yet)"}
 
-AI Usage (Last 7 Days):
+AI Usage (Last 7 Days, budget ${budgetLabel}):
 ${aiUsage
   .map(
     d =>
-      `- ${d.day}: ${d.requests_used}/${d.daily_limit ?? DAILY_AI_LIMIT} requests`
+      `- ${d.day}: ${d.calls} calls, ${d.total_tokens ?? 0} tokens, ${formatUsd(d.cost_usd)}`
   )
   .join("\n") || "  (no usage yet)"}
+
+AI Usage by Worker (Today):
+${aiByWorker
+  .map(w => `- ${w.worker || "unknown"}: ${w.calls} calls, ${formatUsd(w.cost_usd)}`)
+  .join("\n") || "  (no calls today)"}
 `;
 
   return { html, text };
@@ -0,0 +1,35 @@
+-- Fold legacy vendor labels into the canonical ids from lib/vendorRegistry.js
+-- ("EnerGov" / "enerGov" / "tyler" → "energov", "ESRI-WebGIS" → "esri_webgis", ...)
+
+create or replace function public.canonical_vendor_id(label text)
+returns text
+language sql
+immutable
+as $$
+  select case lower(trim(coalesce(label, '')))
+    when '' then 'unknown'
+    when 'energov (tyler)' then 'energov'
+    when 'tyler' then 'energov'
+    when 'tyler technologies' then 'tylertech'
+    when 'mgo' then 'mygovernmentonline'
+    when 'mygov' then 'mygovernmentonline'
+    when 'viewpoint' then 'viewpointcloud'
+    when 'esri-webgis' then 'esri_webgis'
+    when 'esri webgis' then 'esri_webgis'
+    when 'esri' then 'esri_webgis'
+    when 'arcgis' then 'esri_webgis'
+    else lower(trim(label))
+  end
+$$;
+
+update public.jurisdiction_meta
+   set vendor_type = public.canonical_vendor_id(vendor_type)
+ where vendor_type is distinct from public.canonical_vendor_id(vendor_type);
+
+update public.portal_candidates
+   set vendor_type = public.canonical_vendor_id(vendor_type)
+ where vendor_type is distinct from public.canonical_vendor_id(vendor_type);
+
+update public.portal_endpoints
+   set vendor = public.canonical_vendor_id(vendor)
+ where vendor is distinct from public.canonical_vendor_id(vendor);
@@ -0,0 +1,5 @@
+-- Content-aware vendor detection: keep the confidence and the matched
+-- fingerprints alongside the vendor label so reviewers can see why.
+alter table public.jurisdiction_meta
+  add column if not exists vendor_confidence numeric,
+  add column if not exists vendor_evidence jsonb;
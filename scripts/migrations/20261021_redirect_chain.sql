@@ -0,0 +1,7 @@
+-- Redirect-chain capture: store how a candidate URL reached its canonical
+-- landing page (HTTP / meta-refresh / JS / SSO hops).
+alter table public.jurisdiction_meta
+  add column if not exists redirect_chain jsonb;
+
+alter table public.portal_candidates
+  add column if not exists redirect_chain jsonb;
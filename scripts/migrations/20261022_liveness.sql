@@ -0,0 +1,13 @@
+-- Structured liveness results (status, final URL, latency, TLS validity,
+-- failure class) so reviewers can see why a candidate was dropped.
+alter table public.jurisdiction_meta
+  add column if not exists liveness jsonb,
+  add column if not exists candidate_checks jsonb;
+
+alter table public.portal_candidates
+  add column if not exists liveness jsonb,
+  add column if not exists rejected_reason text;
+
+create index if not exists idx_portal_candidates_rejected
+  on public.portal_candidates (jurisdiction_geoid)
+  where rejected_reason is null;
@@ -0,0 +1,5 @@
+-- Permit-portal classifier output (lib/portalClassifier.js): 0–1 score and
+-- the signed features that produced it, for tuning and reviewer context.
+alter table public.jurisdiction_meta
+  add column if not exists portal_score numeric,
+  add column if not exists portal_features jsonb;
@@ -0,0 +1,5 @@
+-- Offline-only jurisdictions detected automatically (lib/offlineClassifier.js):
+-- the PDF application forms found on the department page and how sure we are.
+alter table public.jurisdiction_meta
+  add column if not exists pdf_forms jsonb,
+  add column if not exists offline_confidence numeric;
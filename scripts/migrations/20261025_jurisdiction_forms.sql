@@ -0,0 +1,17 @@
+-- Downloadable application forms and fee schedules per jurisdiction
+-- (lib/linkExtractor.js buildFormInventory), so contractors get the PDFs
+-- even where there is no online portal.
+create table if not exists public.jurisdiction_forms (
+  id bigint generated always as identity primary key,
+  jurisdiction_geoid text not null,
+  url text not null,
+  title text,
+  kind text not null default 'pdf_form',
+  source_url text,
+  first_seen_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  unique (jurisdiction_geoid, url)
+);
+
+create index if not exists idx_jurisdiction_forms_geoid
+  on public.jurisdiction_forms (jurisdiction_geoid);
@@ -0,0 +1,5 @@
+-- Multi-candidate ranking in runPortalDiscovery: combined score of the
+-- chosen portal and the runner-ups shown to reviewers as alternatives.
+alter table public.jurisdiction_meta
+  add column if not exists candidate_score numeric,
+  add column if not exists alternatives jsonb;
@@ -0,0 +1,45 @@
+-- One row per model call from any worker (lib/aiLedger.js), replacing the
+-- single portal_ai_usage counter that only api/portal-discovery.js bumped.
+create table if not exists public.ai_call_ledger (
+  id bigint generated always as identity primary key,
+  created_at timestamptz not null default now(),
+  day date not null default ((now() at time zone 'utc')::date),
+  worker text not null,
+  provider text,
+  model text,
+  jurisdiction_geoid text,
+  prompt_tokens integer not null default 0,
+  completion_tokens integer not null default 0,
+  total_tokens integer not null default 0,
+  cost_usd numeric(12, 6) not null default 0,
+  latency_ms integer,
+  attempts integer not null default 1,
+  outcome text not null,
+  error text
+);
+
+create index if not exists idx_ai_call_ledger_day
+  on public.ai_call_ledger (day);
+
+create or replace view public.ai_daily_usage as
+select
+  day,
+  count(*)::int as calls,
+  count(*) filter (where outcome <> 'ok')::int as failed_calls,
+  sum(prompt_tokens)::bigint as prompt_tokens,
+  sum(completion_tokens)::bigint as completion_tokens,
+  sum(total_tokens)::bigint as total_tokens,
+  round(sum(cost_usd), 4) as cost_usd,
+  round(avg(latency_ms))::int as avg_latency_ms
+from public.ai_call_ledger
+group by day;
+
+create or replace view public.ai_daily_usage_by_worker as
+select
+  day,
+  worker,
+  count(*)::int as calls,
+  sum(total_tokens)::bigint as total_tokens,
+  round(sum(cost_usd), 4) as cost_usd
+from public.ai_call_ledger
+group by day, worker;
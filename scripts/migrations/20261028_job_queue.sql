@@ -0,0 +1,171 @@
+-- Shared job queue (lib/jobQueue.js): atomic claims with leases, heartbeats,
+-- re-queue of expired leases, max attempts and dead-lettering for
+-- search_queue, portal_discovery_jobs, portal_endpoints and portal_snapshots.
+
+-- ------------------------------------------------------------
+-- Queue columns
+-- ------------------------------------------------------------
+alter table public.search_queue
+  add column if not exists attempt_count integer not null default 0,
+  add column if not exists last_error text,
+  add column if not exists next_attempt_at timestamptz,
+  add column if not exists lease_owner text,
+  add column if not exists lease_expires_at timestamptz,
+  add column if not exists heartbeat_at timestamptz,
+  add column if not exists updated_at timestamptz default now();
+
+alter table public.portal_discovery_jobs
+  add column if not exists attempt_count integer not null default 0,
+  add column if not exists last_error text,
+  add column if not exists next_attempt_at timestamptz,
+  add column if not exists lease_owner text,
+  add column if not exists lease_expires_at timestamptz,
+  add column if not exists heartbeat_at timestamptz,
+  add column if not exists updated_at timestamptz default now();
+
+-- portal_discovery_jobs counted attempts in "attempts"
+update public.portal_discovery_jobs
+   set attempt_count = coalesce(attempts, 0)
+ where attempt_count = 0 and coalesce(attempts, 0) > 0;
+
+alter table public.portal_endpoints
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists attempt_count integer not null default 0,
+  add column if not exists last_error text,
+  add column if not exists next_attempt_at timestamptz,
+  add column if not exists lease_owner text,
+  add column if not exists lease_expires_at timestamptz,
+  add column if not exists heartbeat_at timestamptz,
+  add column if not exists updated_at timestamptz default now();
+
+-- Snapshots were tracked by the parsed flag only
+alter table public.portal_snapshots
+  add column if not exists status text,
+  add column if not exists attempt_count integer not null default 0,
+  add column if not exists last_error text,
+  add column if not exists next_attempt_at timestamptz,
+  add column if not exists lease_owner text,
+  add column if not exists lease_expires_at timestamptz,
+  add column if not exists heartbeat_at timestamptz,
+  add column if not exists updated_at timestamptz default now();
+
+update public.portal_snapshots
+   set status = case
+     when parsed is true then 'parsed'
+     when parsed is false then 'error'
+     else 'pending'
+   end
+ where status is null;
+
+alter table public.portal_snapshots
+  alter column status set default 'pending';
+
+-- search_queue only allowed pending/running/done/error; queue rows can
+-- now be dead-lettered
+alter table public.search_queue
+  drop constraint if exists search_queue_status_check;
+alter table public.search_queue
+  add constraint search_queue_status_check
+  check (status in ('pending', 'running', 'done', 'error', 'dead'));
+
+-- Stuck "running" rows from before leases existed: hand them back
+update public.search_queue set status = 'pending' where status = 'running' and lease_owner is null;
+update public.portal_discovery_jobs set status = 'pending' where status = 'running' and lease_owner is null;
+
+-- ------------------------------------------------------------
+-- Indexes for the claim query
+-- ------------------------------------------------------------
+create index if not exists idx_search_queue_claim
+  on public.search_queue (status, next_attempt_at, created_at);
+create index if not exists idx_portal_discovery_jobs_claim
+  on public.portal_discovery_jobs (status, next_attempt_at, created_at);
+create index if not exists idx_portal_endpoints_claim
+  on public.portal_endpoints (status, next_attempt_at, created_at);
+create index if not exists idx_portal_snapshots_claim
+  on public.portal_snapshots (status, next_attempt_at, created_at);
+
+-- ------------------------------------------------------------
+-- claim_jobs: atomically lease up to p_limit ready rows
+-- ------------------------------------------------------------
+create or replace function public.claim_jobs(
+  p_table text,
+  p_worker text,
+  p_limit integer default 1,
+  p_lease_seconds integer default 600,
+  p_pending_statuses text[] default array['pending']
+)
+returns setof jsonb
+language plpgsql
+as $$
+begin
+  if p_table not in ('search_queue', 'portal_discovery_jobs', 'portal_endpoints', 'portal_snapshots') then
+    raise exception 'claim_jobs: unsupported table %', p_table;
+  end if;
+
+  return query execute format($q$
+    with picked as (
+      select id
+        from public.%1$I
+       where status = any($1)
+         and (next_attempt_at is null or next_attempt_at <= now())
+       order by coalesce(next_attempt_at, created_at) asc
+       limit $2
+       for update skip locked
+    )
+    update public.%1$I t
+       set status = 'running',
+           lease_owner = $3,
+           lease_expires_at = now() + make_interval(secs => $4),
+           heartbeat_at = now(),
+           attempt_count = coalesce(t.attempt_count, 0) + 1,
+           updated_at = now()
+      from picked
+     where t.id = picked.id
+    returning to_jsonb(t.*)
+  $q$, p_table)
+  using p_pending_statuses, p_limit, p_worker, p_lease_seconds;
+end;
+$$;
+
+-- ------------------------------------------------------------
+-- requeue_expired_jobs: crashed runs give their rows back
+-- ------------------------------------------------------------
+create or replace function public.requeue_expired_jobs(
+  p_table text,
+  p_max_attempts integer,
+  p_pending_status text default 'pending',
+  p_backoff_base_seconds integer default 60,
+  p_backoff_max_seconds integer default 3600
+)
+returns integer
+language plpgsql
+as $$
+declare
+  n integer;
+begin
+  if p_table not in ('search_queue', 'portal_discovery_jobs', 'portal_endpoints', 'portal_snapshots') then
+    raise exception 'requeue_expired_jobs: unsupported table %', p_table;
+  end if;
+
+  execute format($q$
+    update public.%1$I
+       set status = case when attempt_count >= $1 then 'dead' else $2 end,
+           next_attempt_at = now() + make_interval(secs => least(
+             $4::double precision,
+             $3 * power(2, greatest(attempt_count - 1, 0))
+           )),
+           last_error = coalesce(last_error, '') ||
+             case when last_error is null then '' else ' | ' end ||
+             'lease expired (' || coalesce(lease_owner, '?') || ')',
+           lease_owner = null,
+           lease_expires_at = null,
+           updated_at = now()
+     where status = 'running'
+       and lease_expires_at < now()
+  $q$, p_table)
+  using p_max_attempts, p_pending_status, p_backoff_base_seconds, p_backoff_max_seconds;
+
+  get diagnostics n = row_count;
+  return n;
+end;
+$$;
@@ -0,0 +1,60 @@
+-- Retry policy + dead-letter queue (lib/retryPolicy.js).
+-- Failed attempts record an error kind; permanent kinds and exhausted rows
+-- are parked as 'dead' and listed in dead_letter_jobs for bulk re-queue
+-- (api/dashboard/dead-letter.js).
+
+alter table public.search_queue
+  add column if not exists last_error_kind text;
+alter table public.portal_discovery_jobs
+  add column if not exists last_error_kind text;
+alter table public.portal_endpoints
+  add column if not exists last_error_kind text;
+alter table public.portal_snapshots
+  add column if not exists last_error_kind text;
+
+-- Rows the old workers marked 'error' were never picked up again: give
+-- them a fresh round under the retry policy.
+update public.search_queue
+   set status = 'pending', attempt_count = 0, next_attempt_at = null
+ where status = 'error';
+
+update public.portal_endpoints
+   set status = 'pending', attempt_count = 0, next_attempt_at = null
+ where status = 'error';
+
+update public.portal_snapshots
+   set status = 'pending', parsed = null, attempt_count = 0, next_attempt_at = null
+ where status = 'error';
+
+-- ------------------------------------------------------------
+-- Dead-letter view across all queues
+-- ------------------------------------------------------------
+create or replace view public.dead_letter_jobs as
+  select 'search'::text as queue, id::text as id, jurisdiction_geoid,
+         query as target, attempt_count, last_error, last_error_kind, updated_at
+    from public.search_queue
+   where status = 'dead'
+  union all
+  select 'discovery', id::text, jurisdiction_geoid,
+         null, attempt_count, last_error, last_error_kind, updated_at
+    from public.portal_discovery_jobs
+   where status = 'dead'
+  union all
+  select 'crawl', id::text, jurisdiction_geoid,
+         url, attempt_count, last_error, last_error_kind, updated_at
+    from public.portal_endpoints
+   where status = 'dead'
+  union all
+  select 'parse', id::text, jurisdiction_geoid,
+         url, attempt_count, last_error, last_error_kind, updated_at
+    from public.portal_snapshots
+   where status = 'dead';
+
+create index if not exists idx_search_queue_dead
+  on public.search_queue (updated_at desc) where status = 'dead';
+create index if not exists idx_portal_discovery_jobs_dead
+  on public.portal_discovery_jobs (updated_at desc) where status = 'dead';
+create index if not exists idx_portal_endpoints_dead
+  on public.portal_endpoints (updated_at desc) where status = 'dead';
+create index if not exists idx_portal_snapshots_dead
+  on public.portal_snapshots (updated_at desc) where status = 'dead';
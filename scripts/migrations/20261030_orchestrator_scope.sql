@@ -0,0 +1,68 @@
+-- Nationwide orchestrator (workers/orchestrator/runOrchestrator.mjs).
+-- claim_jobs() can be scoped to a set of jurisdictions so one run drives
+-- search, crawl and parse for the county it is working on.
+
+drop function if exists public.claim_jobs(text, text, integer, integer, text[]);
+
+create or replace function public.claim_jobs(
+  p_table text,
+  p_worker text,
+  p_limit integer default 1,
+  p_lease_seconds integer default 600,
+  p_pending_statuses text[] default array['pending'],
+  p_jurisdiction_geoids text[] default null
+)
+returns setof jsonb
+language plpgsql
+as $$
+begin
+  if p_table not in ('search_queue', 'portal_discovery_jobs', 'portal_endpoints', 'portal_snapshots') then
+    raise exception 'claim_jobs: unsupported table %', p_table;
+  end if;
+
+  return query execute format($q$
+    with picked as (
+      select id
+        from public.%1$I
+       where status = any($1)
+         and (next_attempt_at is null or next_attempt_at <= now())
+         and ($5::text[] is null or jurisdiction_geoid = any($5))
+       order by coalesce(next_attempt_at, created_at) asc
+       limit $2
+       for update skip locked
+    )
+    update public.%1$I t
+       set status = 'running',
+           lease_owner = $3,
+           lease_expires_at = now() + make_interval(secs => $4),
+           heartbeat_at = now(),
+           attempt_count = coalesce(t.attempt_count, 0) + 1,
+           updated_at = now()
+      from picked
+     where t.id = picked.id
+    returning to_jsonb(t.*)
+  $q$, p_table)
+  using p_pending_statuses, p_limit, p_worker, p_lease_seconds, p_jurisdiction_geoids;
+end;
+$$;
+
+-- The orchestrator resumes whichever county is mid-pipeline
+create index if not exists idx_jurisdiction_mapping_status_status
+  on public.jurisdiction_mapping_status (mapping_status);
+
+create index if not exists idx_jurisdictions_county_geoid
+  on public.jurisdictions (county_geoid);
+
+alter table public.jurisdiction_mapping_status
+  add column if not exists updated_at timestamptz not null default now();
+
+-- Counties nobody has started on, in a stable order. pickUnmappedCounty()
+-- reads the first row instead of pulling every county into the worker.
+create or replace view public.unmapped_counties as
+  select j.geoid, j.name, j.statefp
+    from public.jurisdictions j
+    left join public.jurisdiction_mapping_status s
+      on s.jurisdiction_geoid = j.geoid
+   where j.level = 'county'
+     and (s.mapping_status is null or s.mapping_status = 'not_started')
+   order by j.geoid;
@@ -0,0 +1,119 @@
+-- County mapping lifecycle (lib/mappingStatus.js).
+--
+--   not_started → searching → candidates_ready → endpoints_detected
+--     → crawled → parsed → verified
+--
+-- plus failed / stalled, which remember the stage to resume in. Every
+-- stage gets an entry timestamp; counts and the last error summary are
+-- kept as jsonb for the dashboard's nationwide progress map.
+
+alter table public.jurisdiction_mapping_status
+  add column if not exists stage_entered_at timestamptz not null default now(),
+  add column if not exists resume_stage text,
+  add column if not exists counts jsonb not null default '{}'::jsonb,
+  add column if not exists error_summary jsonb,
+  add column if not exists searching_at timestamptz,
+  add column if not exists candidates_ready_at timestamptz,
+  add column if not exists endpoints_detected_at timestamptz,
+  add column if not exists crawled_at timestamptz,
+  add column if not exists parsed_at timestamptz,
+  add column if not exists verified_at timestamptz,
+  add column if not exists failed_at timestamptz,
+  add column if not exists stalled_at timestamptz;
+
+-- Old orchestrator values
+update public.jurisdiction_mapping_status
+   set mapping_status = 'searching',
+       searching_at = coalesce(searching_at, updated_at),
+       stage_entered_at = updated_at
+ where mapping_status in ('discovery_pending', 'discovered');
+
+update public.jurisdiction_mapping_status
+   set endpoints_detected_at = coalesce(endpoints_detected_at, updated_at),
+       stage_entered_at = updated_at
+ where mapping_status = 'endpoints_detected';
+
+update public.jurisdiction_mapping_status
+   set crawled_at = coalesce(crawled_at, updated_at),
+       stage_entered_at = updated_at
+ where mapping_status = 'crawled';
+
+update public.jurisdiction_mapping_status
+   set parsed_at = coalesce(parsed_at, updated_at),
+       stage_entered_at = updated_at
+ where mapping_status = 'parsed';
+
+alter table public.jurisdiction_mapping_status
+  drop constraint if exists jurisdiction_mapping_status_status_check;
+alter table public.jurisdiction_mapping_status
+  add constraint jurisdiction_mapping_status_status_check
+  check (mapping_status in (
+    'not_started', 'searching', 'candidates_ready', 'endpoints_detected',
+    'crawled', 'parsed', 'verified', 'failed', 'stalled'
+  ));
+
+create index if not exists idx_jurisdiction_mapping_status_stage_entered
+  on public.jurisdiction_mapping_status (mapping_status, stage_entered_at);
+
+-- ------------------------------------------------------------
+-- county_pipeline_counts: queue / result totals for a county's
+-- jurisdictions, stored in counts at each transition
+-- ------------------------------------------------------------
+create or replace function public.county_pipeline_counts(p_geoids text[])
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'jurisdictions', cardinality(p_geoids),
+    'queries',       (select count(*) from public.search_queue where jurisdiction_geoid = any(p_geoids)),
+    'search_dead',   (select count(*) from public.search_queue where jurisdiction_geoid = any(p_geoids) and status = 'dead'),
+    'candidates',    (select count(*) from public.portal_candidates where jurisdiction_geoid = any(p_geoids)),
+    'endpoints',     (select count(*) from public.portal_endpoints where jurisdiction_geoid = any(p_geoids)),
+    'crawl_dead',    (select count(*) from public.portal_endpoints where jurisdiction_geoid = any(p_geoids) and status = 'dead'),
+    'snapshots',     (select count(*) from public.portal_snapshots where jurisdiction_geoid = any(p_geoids)),
+    'parsed',        (select count(*) from public.portal_snapshots where jurisdiction_geoid = any(p_geoids) and status = 'parsed'),
+    'parse_dead',    (select count(*) from public.portal_snapshots where jurisdiction_geoid = any(p_geoids) and status = 'dead'),
+    'verified',      (select count(distinct jurisdiction_geoid) from public.jurisdiction_meta
+                       where jurisdiction_geoid = any(p_geoids) and verified is true)
+  );
+$$;
+
+-- ------------------------------------------------------------
+-- Dashboard views
+-- ------------------------------------------------------------
+
+-- Every county with its lifecycle state (not_started when untouched)
+create or replace view public.county_mapping_status as
+  select j.geoid,
+         j.name,
+         j.statefp,
+         coalesce(s.mapping_status, 'not_started') as mapping_status,
+         s.resume_stage,
+         s.stage_entered_at,
+         s.counts,
+         s.error_summary,
+         s.last_step,
+         s.updated_at
+    from public.jurisdictions j
+    left join public.jurisdiction_mapping_status s
+      on s.jurisdiction_geoid = j.geoid
+   where j.level = 'county';
+
+create or replace view public.mapping_progress_by_state as
+  select statefp,
+         count(*) as counties,
+         count(*) filter (where mapping_status = 'not_started')        as not_started,
+         count(*) filter (where mapping_status = 'searching')          as searching,
+         count(*) filter (where mapping_status = 'candidates_ready')   as candidates_ready,
+         count(*) filter (where mapping_status = 'endpoints_detected') as endpoints_detected,
+         count(*) filter (where mapping_status = 'crawled')            as crawled,
+         count(*) filter (where mapping_status = 'parsed')             as parsed,
+         count(*) filter (where mapping_status = 'verified')           as verified,
+         count(*) filter (where mapping_status = 'failed')             as failed,
+         count(*) filter (where mapping_status = 'stalled')            as stalled
+    from public.county_mapping_status
+   group by statefp;
+
+-- unmapped_counties (20261030) keeps working: untouched counties have no
+-- status row, and not_started rows are still picked.
@@ -0,0 +1,14 @@
+-- Vendors known to serve jurisdictions in each state. Search query
+-- templates (lib/searchQueryTemplates.js) only ask for a vendor by name
+-- in states where it already appears.
+
+create or replace view public.vendors_by_state as
+  select j.statefp,
+         m.vendor_type as vendor,
+         count(distinct m.jurisdiction_geoid) as jurisdictions
+    from public.jurisdiction_meta m
+    join public.jurisdictions j
+      on j.geoid = m.jurisdiction_geoid
+   where m.vendor_type is not null
+     and coalesce(m.invalid, false) = false
+   group by j.statefp, m.vendor_type;
@@ -0,0 +1,16 @@
+-- Adaptive search stopping (lib/searchStopping.js): once a jurisdiction
+-- has a confident portal its remaining queries are marked skipped, with
+-- the reason and portal URL in skip_reason.
+alter table public.search_queue
+  add column if not exists skip_reason text;
+
+alter table public.search_queue
+  drop constraint if exists search_queue_status_check;
+alter table public.search_queue
+  add constraint search_queue_status_check
+  check (status in ('pending', 'running', 'done', 'error', 'dead', 'skipped'));
+
+-- The stop check looks for live, known-vendor candidates per jurisdiction
+create index if not exists idx_portal_candidates_confident
+  on public.portal_candidates (jurisdiction_geoid, created_at)
+  where rejected_reason is null and confidence >= 1 and vendor_type <> 'unknown';
@@ -0,0 +1,8 @@
+-- Normalized search results (lib/searchProvider.js): every search worker
+-- now stores the title, snippet and rank it got, and which provider
+-- answered in source. serpapi_json keeps the raw SerpAPI item.
+alter table public.portal_candidates
+  add column if not exists title text,
+  add column if not exists snippet text,
+  add column if not exists serp_position int,
+  add column if not exists serpapi_json jsonb;
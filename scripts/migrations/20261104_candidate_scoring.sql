@@ -0,0 +1,26 @@
+-- Candidate scoring (lib/candidateScorer.js): portal_candidates.confidence
+-- is now a 0–1 score from SERP rank, query agreement, title/snippet,
+-- domain, vendor and portal classifier signals, kept with its components
+-- in score_features. matched_queries lists every query that returned the
+-- URL.
+alter table public.portal_candidates
+  add column if not exists matched_queries text[],
+  add column if not exists score_features jsonb;
+
+update public.portal_candidates
+   set matched_queries = array[query_used]
+ where matched_queries is null;
+
+-- Unscored survivors were all stored as 1.0; make them neutral so they do
+-- not outrank or stop searching ahead of scored candidates
+update public.portal_candidates
+   set confidence = 0.5
+ where score_features is null
+   and confidence >= 1;
+
+-- The search-stopping check and best-candidate pick read the top live
+-- candidate per jurisdiction
+drop index if exists public.idx_portal_candidates_confident;
+create index if not exists idx_portal_candidates_score
+  on public.portal_candidates (jurisdiction_geoid, confidence desc)
+  where rejected_reason is null;
@@ -0,0 +1,9 @@
+-- Jurisdiction-ownership check (lib/ownershipVerifier.js): whether a
+-- portal belongs to the jurisdiction it was found for, with the matching
+-- and conflicting signals. Candidates that fail it are rejected with
+-- rejected_reason 'ownership_mismatch'.
+alter table public.jurisdiction_meta
+  add column if not exists ownership jsonb;
+
+alter table public.portal_candidates
+  add column if not exists ownership jsonb;
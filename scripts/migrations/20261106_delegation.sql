@@ -0,0 +1,38 @@
+-- County-delegated permitting (lib/delegation.js): places whose permits
+-- are issued by another jurisdiction, usually their county. Detected
+-- delegations live on jurisdiction_meta until reviewed; reviewed ones are
+-- copied to jurisdictions, which the public lookup follows.
+alter table public.jurisdiction_meta
+  add column if not exists permits_handled_by text,
+  add column if not exists delegation_source text,
+  add column if not exists delegation_evidence jsonb;
+
+alter table public.jurisdiction_meta
+  drop constraint if exists jurisdiction_meta_delegation_source_check;
+
+alter table public.jurisdiction_meta
+  add constraint jurisdiction_meta_delegation_source_check
+  check (delegation_source is null or delegation_source in ('county_portal', 'served_list', 'manual'));
+
+alter table public.jurisdictions
+  add column if not exists permits_handled_by text references public.jurisdictions (geoid);
+
+create index if not exists idx_jurisdictions_permits_handled_by
+  on public.jurisdictions (permits_handled_by)
+  where permits_handled_by is not null;
+
+-- Delegated jurisdictions with the delegate's portal, for permit lookups
+create or replace view public.jurisdiction_permit_authority as
+select
+  j.geoid,
+  h.geoid as handled_by_geoid,
+  h.name as handled_by_name,
+  h.level as handled_by_level,
+  h.portal_url,
+  h.submission_method,
+  h.requires_license
+from public.jurisdictions j
+join public.jurisdictions h on h.geoid = j.permits_handled_by
+where j.permits_handled_by is not null;
+
+grant select on public.jurisdiction_permit_authority to anon;
@@ -0,0 +1,31 @@
+-- Vendor crawl plans (workers/crawler/vendorCrawlers.mjs) capture several
+-- pages per endpoint: module lists, record-type pickers, apply catalogs,
+-- fee estimators. Each crawl is a crawl_sessions row and its pages are
+-- snapshots linked to it, in visit order.
+create table if not exists public.crawl_sessions (
+  id bigint generated always as identity primary key,
+  -- portal_endpoints.id, kept as text: no foreign key so sessions outlive
+  -- re-detected endpoints
+  endpoint_id text,
+  jurisdiction_geoid text,
+  vendor text,
+  root_url text not null,
+  status text not null default 'running'
+    check (status in ('running', 'done', 'error')),
+  page_count integer not null default 0,
+  last_error text,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists idx_crawl_sessions_jurisdiction
+  on public.crawl_sessions (jurisdiction_geoid, started_at desc);
+
+alter table public.portal_snapshots
+  add column if not exists crawl_session_id bigint references public.crawl_sessions (id) on delete set null,
+  add column if not exists page_index integer,
+  add column if not exists page_kind text,
+  add column if not exists page_label text;
+
+create index if not exists idx_portal_snapshots_session
+  on public.portal_snapshots (crawl_session_id, page_index);
@@ -0,0 +1,5 @@
+-- Multi-page gov site crawl (lib/crawlScope.js): a gov_page endpoint's
+-- crawl session now holds the department's subpages and the PDFs they
+-- link, each at its link depth from the endpoint URL (0 = the endpoint).
+alter table public.portal_snapshots
+  add column if not exists depth integer not null default 0;
@@ -0,0 +1,16 @@
+-- Crawl-time change detection (lib/snapshotHash.js). Each page's hash of
+-- normalized HTML (viewstate, CSRF tokens, timestamps stripped) is
+-- compared with its last snapshot: unchanged pages only bump that
+-- snapshot's check columns, changed ones get a new snapshot (and parse)
+-- linked to the one it replaces. `hash` still names the stored blob.
+alter table public.portal_snapshots
+  add column if not exists content_hash text,
+  add column if not exists previous_snapshot_id bigint references public.portal_snapshots (id) on delete set null,
+  add column if not exists last_checked_at timestamptz,
+  add column if not exists check_count integer not null default 1;
+
+create index if not exists idx_portal_snapshots_page
+  on public.portal_snapshots (jurisdiction_geoid, url, created_at desc);
+
+alter table public.crawl_sessions
+  add column if not exists unchanged_count integer not null default 0;
@@ -0,0 +1,26 @@
+-- Structured diffs between consecutive snapshots of a page
+-- (lib/snapshotDiff.js). The crawler writes one row when a page's content
+-- hash changes: summary lines for reviewers ("Fee schedule PDF replaced",
+-- "Portal moved to new vendor"), a significance score in [0, 1] and the
+-- full text / link / PDF / form diff.
+create table if not exists public.snapshot_diffs (
+  id bigint generated always as identity primary key,
+  snapshot_id bigint not null references public.portal_snapshots (id) on delete cascade,
+  previous_snapshot_id bigint references public.portal_snapshots (id) on delete set null,
+  crawl_session_id bigint references public.crawl_sessions (id) on delete set null,
+  jurisdiction_geoid text,
+  url text,
+  significance real not null default 0,
+  summary text[] not null default '{}',
+  diff jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_snapshot_diffs_recent
+  on public.snapshot_diffs (created_at desc);
+
+create index if not exists idx_snapshot_diffs_significance
+  on public.snapshot_diffs (significance desc, created_at desc);
+
+create index if not exists idx_snapshot_diffs_jurisdiction
+  on public.snapshot_diffs (jurisdiction_geoid, created_at desc);
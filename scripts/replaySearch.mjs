@@ -0,0 +1,84 @@
+// scripts/replaySearch.mjs
+// Run the search workers' search and scoring step offline.
+//
+// Usage:
+//   node scripts/replaySearch.mjs ["<query>"] [--chain free|serpapi] [--name "<jurisdiction>"]
+//
+// Searches go through lib/searchProvider.js in SEARCH_MODE=replay (unless
+// SEARCH_MODE says otherwise), so answers come from SEARCH_FIXTURES_DIR
+// (default fixtures/search) and nothing touches the network or Supabase.
+// Every result is scored the way the workers score it
+// (lib/candidateScorer.js). Without a query, every recorded fixture is
+// replayed. Exits 1 when a query has no fixture or no results.
+//
+// Record new fixtures with SEARCH_MODE=record and the provider keys set.
+
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+
+process.env.SEARCH_MODE ||= "replay";
+
+const { createSearch } = await import("../lib/searchProvider.js");
+const { detectVendor } = await import("../lib/portalUtils.js");
+const { scoreCandidate } = await import("../lib/candidateScorer.js");
+
+function argValue(flag) {
+  const idx = process.argv.indexOf(flag);
+  return idx > -1 ? process.argv[idx + 1] : null;
+}
+
+const chain = argValue("--chain") || "free";
+const jurisdictionName = argValue("--name");
+const fixturesDir = process.env.SEARCH_FIXTURES_DIR || "fixtures/search";
+
+const positional = process.argv.slice(2).find((a, i, all) => !a.startsWith("--") && !all[i - 1]?.startsWith("--"));
+
+async function recordedQueries() {
+  const files = (await readdir(fixturesDir)).filter(f => f.endsWith(".json") && f !== "any.json");
+  const queries = [];
+  for (const file of files.sort()) {
+    const fixture = JSON.parse(await readFile(path.join(fixturesDir, file), "utf8"));
+    if (fixture.query) queries.push(fixture.query);
+  }
+  return queries;
+}
+
+const search = createSearch({ chain, fixturesDir });
+const queries = positional ? [positional] : await recordedQueries();
+let failed = 0;
+
+for (const query of queries) {
+  console.log("────────────────────────────────────────────");
+  console.log(`🔎 ${query} (${search.mode}, chain ${chain})`);
+
+  let answer;
+  try {
+    answer = await search.search(query, { maxResults: 10 });
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    failed++;
+    continue;
+  }
+
+  if (!answer.results.length) {
+    console.error("❌ No results");
+    failed++;
+    continue;
+  }
+
+  for (const r of answer.results) {
+    const scored = scoreCandidate({
+      url: r.url,
+      title: r.title,
+      snippet: r.snippet,
+      rank: r.rank,
+      queryCount: 1,
+      vendor: detectVendor(r.url),
+      jurisdictionName
+    });
+    console.log(`  ${String(r.rank).padStart(2)}  ${scored.score.toFixed(3)}  ${r.url}`);
+  }
+}
+
+console.log(`\n${queries.length} quer${queries.length === 1 ? "y" : "ies"} replayed, ${failed} failed`);
+if (failed) process.exit(1);
@@ -8,6 +8,7 @@ import {
   checkUrlAlive,
   looksLikePermitPortal
 } from "../lib/portalUtils.js";
+import { resolvePortalUrl } from "../lib/urlResolver.js";
 
 async function testUrl(label, url) {
   console.log("────────────────────────────────────────────");
@@ -40,6 +41,12 @@ async function testUrl(label, url) {
 
   const looksPortal = await looksLikePermitPortal(target);
   console.log("🏗  looksLikePermitPortal →", looksPortal);
+
+  const resolved = await resolvePortalUrl(url);
+  console.log("🧭 resolvePortalUrl →", resolved.url || `(failed: ${resolved.error})`);
+  for (const hop of resolved.chain) {
+    console.log(`     ${hop.via.padEnd(12)} ${hop.status ?? "—"} ${hop.url}`);
+  }
 }
 
 async function main() {
@@ -1,6 +1,19 @@
 import { createClient } from "@supabase/supabase-js";
 import { chromium } from "playwright";
-import crypto from "crypto";
+import { canonicalVendorId, getVendor, OFFLINE } from "../../lib/vendorRegistry.js";
+import { detectOfflineJurisdiction } from "../../lib/offlineClassifier.js";
+import { buildFormInventory, extractLinks } from "../../lib/linkExtractor.js";
+import { BOT_USER_AGENT, politeFetch } from "../../lib/politeFetch.js";
+import { contentHash, sha256 } from "../../lib/snapshotHash.js";
+import { diffSnapshots } from "../../lib/snapshotDiff.js";
+import { completeJob, failJob } from "../../lib/jobQueue.js";
+import {
+  crawlAccela,
+  crawlEnerGov,
+  crawlETRAKIT,
+  crawlGeneric,
+  httpError
+} from "./vendorCrawlers.mjs";
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -11,170 +24,380 @@ const supabase = createClient(
   }
 );
 
-// Helper: compute SHA-256
-function sha256(content) {
-  return crypto.createHash("sha256").update(content).digest("hex");
+// ------------------------------
+// PDF CRAWLING
+// (HTML crawl plans per vendor live in vendorCrawlers.mjs)
+// ------------------------------
+
+async function downloadPDF(url) {
+  console.log("📄 Fetching PDF…");
+
+  const res = await politeFetch(url);
+  if (!res.ok) throw httpError(res.status, url, res.headers.get("retry-after"));
+
+  return Buffer.from(await res.arrayBuffer());
 }
 
-// Helper: delay (good for throttling)
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+// ------------------------------
+// OFFLINE-ONLY DETECTION
+// ------------------------------
+
+// Keep the jurisdiction's inventory of downloadable forms current.
+async function recordFormInventory(jurisdiction_geoid, url, forms) {
+  if (!forms.length) return;
+
+  const now = new Date().toISOString();
+  const { error } = await supabase.from("jurisdiction_forms").upsert(
+    forms.map((f) => ({
+      jurisdiction_geoid,
+      url: f.url,
+      title: f.title,
+      kind: f.kind,
+      source_url: url,
+      last_seen_at: now,
+    })),
+    { onConflict: "jurisdiction_geoid,url" }
+  );
+
+  if (error) console.error("❌ Form inventory update failed:", error);
+  else console.log(`📎 ${forms.length} downloadable forms recorded`);
+}
+
+// Meta rows a detection must not overwrite: an online portal, a delegation,
+// a reviewer's decision, or another settled submission method.
+function metaIsSettled(meta) {
+  if (!meta) return false;
+  if (meta.portal_url || meta.permits_handled_by) return true;
+  if (meta.verified || meta.invalid) return true;
+  return !!meta.submission_method &&
+    meta.submission_method !== "unknown" &&
+    meta.submission_method !== "offline_only";
+}
+
+// A crawled department page that only offers PDF applications settles the
+// jurisdiction as offline-only, unless the meta row is already settled
+// (metaIsSettled). Like discovery's upsertOfflineMeta this writes
+// jurisdiction_meta only, unverified; the public lookup changes once a
+// reviewer approves it.
+async function recordOfflineIfConfident(jurisdiction_geoid, url, html) {
+  const offline = detectOfflineJurisdiction({ url, html });
+  await recordFormInventory(jurisdiction_geoid, url, offline.pdf_forms);
+
+  if (!offline.isOffline) return;
+
+  const { data: meta, error: metaError } = await supabase
+    .from("jurisdiction_meta")
+    .select("id, portal_url, permits_handled_by, submission_method, verified, invalid")
+    .eq("jurisdiction_geoid", jurisdiction_geoid)
+    .maybeSingle();
+
+  if (metaError) {
+    console.error("❌ Offline check skipped, meta read failed:", metaError);
+    return;
+  }
+  if (metaIsSettled(meta)) return;
+
+  const { error } = await supabase.from("jurisdiction_meta").upsert(
+    {
+      jurisdiction_geoid,
+      portal_url: null,
+      manual_info_url: offline.manual_info_url,
+      pdf_forms: offline.pdf_forms,
+      offline_confidence: offline.confidence,
+      vendor_type: OFFLINE,
+      submission_method: "offline_only"
+    },
+    { onConflict: "jurisdiction_geoid" }
+  );
+
+  if (error) {
+    console.error("❌ Offline meta update failed:", error);
+    return;
+  }
+
+  console.log(`📄 Offline-only jurisdiction (${offline.pdf_forms.length} PDF forms, confidence ${offline.confidence})`);
 }
 
 // ------------------------------
-// VENDOR-SPECIFIC CRAWLING
+// CRAWL SESSIONS
 // ------------------------------
 
-async function crawlAccela(page, url) {
-  console.log("🌐 Crawling Accela portal…");
-  await page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
+// One crawl of an endpoint; its pages are stored as snapshots linked by
+// crawl_session_id, in the order the crawl plan visited them.
+async function startCrawlSession(endpointRow, vendor) {
+  const { data, error } = await supabase
+    .from("crawl_sessions")
+    .insert({
+      endpoint_id: endpointRow.id,
+      jurisdiction_geoid: endpointRow.jurisdiction_geoid,
+      vendor,
+      root_url: endpointRow.url,
+      status: "running",
+      started_at: new Date().toISOString()
+    })
+    .select("id")
+    .single();
+
+  if (error) throw error;
+  return data.id;
+}
 
-  // Avoid heavy JavaScript logins
-  await page.waitForTimeout(1000);
+async function finishCrawlSession(sessionId, status, fields = {}) {
+  const { error } = await supabase
+    .from("crawl_sessions")
+    .update({ status, finished_at: new Date().toISOString(), ...fields })
+    .eq("id", sessionId);
 
-  return await page.content();
+  if (error) console.error("❌ Crawl session update failed:", error);
 }
 
-async function crawlEnerGov(page, url) {
-  console.log("🌐 Crawling EnerGov / Tyler SelfService…");
-  await page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
-  await page.waitForTimeout(1000);
+// ------------------------------
+// CHANGE DETECTION
+// ------------------------------
 
-  return await page.content();
+// Storage answers an existing object with 409 / "already exists". Blobs
+// are named by their hash, so an existing one already holds this content.
+function isDuplicateUpload(error) {
+  return String(error?.statusCode) === "409" || /already exists|duplicate/i.test(error?.message || "");
 }
 
-async function crawlETRAKIT(page, url) {
-  console.log("🌐 Crawling eTRAKiT portal…");
-  await page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
-  await page.waitForTimeout(1000);
+async function uploadBlob(filename, body, contentType) {
+  const { error } = await supabase.storage
+    .from("portal_snapshots")
+    .upload(filename, body, { contentType, upsert: false });
 
-  return await page.content();
+  if (error && !isDuplicateUpload(error)) throw error;
 }
 
-async function crawlPDF(url) {
-  console.log("📄 Fetching PDF…");
+// Latest snapshot of the same page of this jurisdiction's crawls
+async function previousSnapshot(jurisdiction_geoid, p) {
+  let query = supabase
+    .from("portal_snapshots")
+    .select("id, url, vendor, hash, content_hash, snapshot_url, check_count")
+    .eq("jurisdiction_geoid", jurisdiction_geoid)
+    .eq("url", p.url);
 
-  const res = await fetch(url);
-  const array = await res.arrayBuffer();
-  const buf = Buffer.from(array);
+  query = p.label ? query.eq("page_label", p.label) : query.is("page_label", null);
 
-  const hash = sha256(buf);
-  const filename = `pdfs/${hash}.pdf`;
+  const { data, error } = await query
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
 
-  await supabase.storage
+  if (error) throw error;
+  return data;
+}
+
+// Unchanged content: no blob, no snapshot, no parse; the check is
+// recorded on the snapshot that already holds it
+async function recordUnchanged(previous) {
+  const { error } = await supabase
     .from("portal_snapshots")
-    .upload(filename, buf, { contentType: "application/pdf", upsert: false })
-    .catch((e) => {
-      console.error("❌ PDF upload failed:", e);
-    });
+    .update({
+      last_checked_at: new Date().toISOString(),
+      check_count: (previous.check_count || 1) + 1
+    })
+    .eq("id", previous.id);
 
-  return { html: null, pdfHash: hash };
+  if (error) console.error("❌ Unchanged check update failed:", error);
 }
 
-async function crawlGeneric(page, url) {
-  console.log("🌐 Crawling generic gov page…");
-  await page.goto(url, { waitUntil: "domcontentloaded", timeout: 45000 });
-  await page.waitForTimeout(1000);
+// Structured diff of a changed page against the snapshot it replaces
+// (lib/snapshotDiff.js). Best effort: a failure is logged, not fatal.
+async function recordSnapshotDiff(previous, snapshot, { jurisdiction_geoid, sessionId }) {
+  try {
+    let beforeHtml = null;
+    if (snapshot.html !== null && previous.snapshot_url?.endsWith(".html")) {
+      const { data, error } = await supabase.storage
+        .from("portal_snapshots")
+        .download(previous.snapshot_url);
+      if (error) throw error;
+      beforeHtml = Buffer.from(await data.arrayBuffer()).toString("utf-8");
+    }
+
+    const diff = diffSnapshots(
+      { url: previous.url, vendor: previous.vendor, html: beforeHtml, hash: previous.hash },
+      { url: snapshot.url, vendor: snapshot.vendor, html: snapshot.html, hash: snapshot.hash }
+    );
+
+    const { error } = await supabase.from("snapshot_diffs").insert({
+      snapshot_id: snapshot.id,
+      previous_snapshot_id: previous.id,
+      crawl_session_id: sessionId,
+      jurisdiction_geoid,
+      url: snapshot.url,
+      significance: diff.significance,
+      summary: diff.summary,
+      diff
+    });
+    if (error) throw error;
 
-  return await page.content();
+    console.log(`🔀 Diff (${diff.significance}): ${diff.summary.join("; ") || "no visible change"}`);
+  } catch (err) {
+    console.error("❌ Snapshot diff failed:", err);
+  }
 }
 
-// ------------------------------
-// MAIN CRAWLER
-// ------------------------------
+/**
+ * Compare each captured page with its last snapshot and store only what
+ * materially changed (lib/snapshotHash.js). A new snapshot row starts
+ * `pending`, which queues its parse, and a changed one is diffed against
+ * the snapshot it replaces. Pages with the same content as an
+ * earlier page of the set are stored once; a linked PDF that fails to
+ * download is skipped.
+ *   → { stored, unchanged }
+ */
+async function storeSnapshotSet(pages, { jurisdiction_geoid, vendor, sessionId }) {
+  const seen = new Set();
+  let stored = 0;
+  let unchanged = 0;
+
+  for (const [pageIndex, p] of pages.entries()) {
+    const isPdf = p.kind === "pdf";
+
+    let body;
+    if (isPdf) {
+      try {
+        body = await downloadPDF(p.url);
+      } catch (err) {
+        // The endpoint itself is a PDF: its failure is the crawl's
+        if (pageIndex === 0) throw err;
+        console.warn(`⚠️ PDF skipped: ${p.url} (${err.message})`);
+        continue;
+      }
+    } else {
+      body = Buffer.from(p.html);
+    }
 
-export async function crawlPortalEndpoint(endpointRow) {
-  const { id, url, vendor, jurisdiction_geoid } = endpointRow;
+    const hash = sha256(body);
+    const cHash = isPdf ? hash : contentHash(p.html);
 
-  console.log(`\n🚀 Crawling: ${url}`);
-  console.log(`Vendor: ${vendor}`);
+    if (seen.has(cHash)) continue;
+    seen.add(cHash);
 
-  // Handle PDFs separately
-  if (vendor === "pdf") {
-    const { pdfHash } = await crawlPDF(url);
+    const previous = await previousSnapshot(jurisdiction_geoid, p);
+    if (previous && (previous.content_hash ?? previous.hash) === cHash) {
+      await recordUnchanged(previous);
+      console.log(`♻️ Unchanged: ${p.url}${p.label ? ` (${p.label})` : ""}`);
+      unchanged++;
+      continue;
+    }
 
-    await supabase.from("portal_endpoints").update({
-      status: "crawled",
-      last_error: null,
-    }).eq("id", id);
+    const filename = isPdf ? `pdfs/${hash}.pdf` : `html/${hash}.html`;
+    await uploadBlob(filename, body, isPdf ? "application/pdf" : "text/html");
 
-    await supabase.from("portal_snapshots").insert({
+    const now = new Date().toISOString();
+    const { data: inserted, error } = await supabase.from("portal_snapshots").insert({
       jurisdiction_geoid,
-      url,
+      url: p.url,
       vendor,
-      hash: pdfHash,
-      snapshot_url: `pdfs/${pdfHash}.pdf`,
-      created_at: new Date().toISOString()
-    });
+      hash,
+      content_hash: cHash,
+      previous_snapshot_id: previous?.id ?? null,
+      snapshot_url: filename,
+      crawl_session_id: sessionId,
+      page_index: pageIndex,
+      page_kind: p.kind,
+      page_label: p.label,
+      depth: p.depth ?? 0,
+      last_checked_at: now,
+      created_at: now,
+    }).select("id").single();
+
+    if (error) throw error;
+
+    if (previous) {
+      await recordSnapshotDiff(
+        previous,
+        { id: inserted.id, url: p.url, vendor, hash, html: isPdf ? null : p.html },
+        { jurisdiction_geoid, sessionId }
+      );
+    }
 
-    console.log("📄 PDF snapshot stored.");
-    return;
+    console.log(`📸 Snapshot stored: ${filename} (${p.kind}${previous ? ", changed" : ", new"})`);
+    stored++;
   }
 
-  // Launch browser
+  return { stored, unchanged };
+}
+
+// ------------------------------
+// MAIN CRAWLER
+// ------------------------------
+
+// Run the vendor's crawl plan in a fresh browser. Null for a vendor
+// without one.
+async function crawlWithBrowser(vendor, url) {
+  let crawl;
+  if (vendor === "accela") crawl = crawlAccela;
+  else if (vendor === "energov" || vendor === "tylertech") crawl = crawlEnerGov;
+  else if (vendor === "etrakit") crawl = crawlETRAKIT;
+  else if (vendor === "gov_page" || getVendor(vendor)) crawl = crawlGeneric;
+  else return null;
+
   const browser = await chromium.launch({
     headless: true,
     args: ["--no-sandbox"],
   });
-  const page = await browser.newPage();
 
-  let html = null;
+  try {
+    const context = await browser.newContext({ userAgent: BOT_USER_AGENT });
+    return await crawl(await context.newPage(), url);
+  } finally {
+    await browser.close();
+  }
+}
+
+export async function crawlPortalEndpoint(endpointRow) {
+  const { url, jurisdiction_geoid } = endpointRow;
+
+  // Older rows carry legacy labels ("tyler", "EnerGov"); route on the
+  // canonical registry id.
+  const vendor = canonicalVendorId(endpointRow.vendor);
+
+  console.log(`\n🚀 Crawling: ${url}`);
+  console.log(`Vendor: ${vendor}`);
+
+  let sessionId = null;
 
   try {
-    if (vendor === "accela") {
-      html = await crawlAccela(page, url);
-    } else if (vendor === "energov" || vendor === "tyler") {
-      html = await crawlEnerGov(page, url);
-    } else if (vendor === "etrakit") {
-      html = await crawlETRAKIT(page, url);
-    } else if (vendor === "gov_page" || vendor === "cloudpermit") {
-      html = await crawlGeneric(page, url);
-    } else {
+    // PDFs skip the browser and go straight to the PDF path
+    const pages = vendor === "pdf"
+      ? [{ url, kind: "pdf", label: null, html: null, depth: 0 }]
+      : await crawlWithBrowser(vendor, url);
+
+    if (!pages) {
       console.log("⚠️ Unknown vendor type — skipping");
+      // Retrying will not help until the row's vendor is fixed
+      const err = new Error(`unknown vendor: ${endpointRow.vendor}`);
+      err.kind = "unknown_vendor";
+      await failJob("crawl", endpointRow, err);
       return;
     }
 
-    const hash = sha256(html);
-    const filename = `html/${hash}.html`;
+    sessionId = await startCrawlSession(endpointRow, vendor);
+    const { stored, unchanged } = await storeSnapshotSet(pages, { jurisdiction_geoid, vendor, sessionId });
 
-    const uploadRes = await supabase.storage
-      .from("portal_snapshots")
-      .upload(filename, Buffer.from(html), {
-        contentType: "text/html",
-        upsert: false,
-      });
+    await finishCrawlSession(sessionId, "done", { page_count: stored, unchanged_count: unchanged });
 
-    if (uploadRes.error) throw uploadRes.error;
+    console.log(`✅ Crawl session ${sessionId}: ${stored} new/changed, ${unchanged} unchanged`);
 
-    // Insert metadata
-    await supabase.from("portal_snapshots").insert({
-      jurisdiction_geoid,
-      url,
-      vendor,
-      hash,
-      snapshot_url: filename,
-      created_at: new Date().toISOString(),
-    });
+    if (vendor === "gov_page") {
+      await recordOfflineIfConfident(jurisdiction_geoid, url, pages[0].html);
 
-    console.log(`✅ Snapshot stored: ${filename}`);
+      // Forms listed on the department's subpages
+      for (const p of pages.slice(1)) {
+        if (p.html) await recordFormInventory(jurisdiction_geoid, p.url, buildFormInventory(extractLinks(p.html, p.url)));
+      }
+    }
 
-    // Mark endpoint as crawled
-    await supabase
-      .from("portal_endpoints")
-      .update({ status: "crawled", last_error: null })
-      .eq("id", id);
+    // Mark endpoint as crawled (releases the lease)
+    await completeJob("crawl", endpointRow);
 
   } catch (err) {
     console.error("❌ Crawl error:", err);
 
-    await supabase
-      .from("portal_endpoints")
-      .update({
-        status: "error",
-        last_error: err.toString(),
-      })
-      .eq("id", id);
-  } finally {
-    await browser.close();
+    if (sessionId) await finishCrawlSession(sessionId, "error", { last_error: err.message });
+    await failJob("crawl", endpointRow, err);
   }
 }
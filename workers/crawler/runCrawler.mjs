@@ -1,42 +1,42 @@
-import { createClient } from "@supabase/supabase-js";
 import { crawlPortalEndpoint } from "./crawlPortal.mjs";
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE,
-  { auth: { persistSession: false } }
-);
-
-async function run() {
+import { claimJobs, heartbeat, requeueExpired } from "../../lib/jobQueue.js";
+import { isMain } from "../../lib/isMain.js";
+
+/**
+ * Crawl one chunk of endpoints. `jurisdictionGeoids` limits the chunk to
+ * those jurisdictions (the orchestrator's current county).
+ * Returns the number of endpoints claimed.
+ */
+export async function runCrawler({ limit = 10, jurisdictionGeoids = null } = {}) {
   console.log("🚀 Running Playwright crawler…");
 
-  // Fetch all endpoints not yet crawled
-  const { data: endpoints, error } = await supabase
-    .from("portal_endpoints")
-    .select("*")
-    .eq("status", "unknown")
-    .limit(10); // Crawl in small chunks per GH Action run
-
-  if (error) {
-    console.error(error);
-    process.exit(1);
-  }
+  // Give back endpoints stranded by crashed runs, then lease a small chunk
+  // per GH Action run
+  await requeueExpired("crawl");
+  const endpoints = await claimJobs("crawl", { limit, jurisdictionGeoids });
 
   if (!endpoints.length) {
     console.log("🎉 No endpoints to crawl.");
-    return;
+    return 0;
   }
 
-  console.log(`📌 Found ${endpoints.length} endpoints`);
+  console.log(`📌 Claimed ${endpoints.length} endpoints`);
 
-  for (const ep of endpoints) {
-    await crawlPortalEndpoint(ep);
+  for (const [i, ep] of endpoints.entries()) {
+    // Endpoints still waiting in this chunk keep their leases fresh
+    await Promise.all(endpoints.slice(i).map((e) => heartbeat("crawl", e)));
 
-    // small delay to prevent rate limits
-    await new Promise((r) => setTimeout(r, 500));
+    // Per-host pacing and robots.txt are handled by lib/politeFetch.js
+    await crawlPortalEndpoint(ep);
   }
 
   console.log("🎉 Crawler run finished.");
+  return endpoints.length;
 }
 
-run();
+if (isMain(import.meta.url)) {
+  runCrawler().catch((err) => {
+    console.error("❌ Crawler run failed:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,408 @@
+// workers/crawler/vendorCrawlers.mjs
+//
+// Per-vendor crawl plans.
+//
+// A vendor's landing page rarely lists permit types, fees or
+// requirements; those live a few clicks in, in the public (no-login)
+// parts of the portal:
+//
+//   accela   module tabs (Cap/CapHome.aspx?module=…) and, where the agency
+//            allows anonymous applications, the "Apply for a Permit"
+//            record-type picker behind the disclaimer
+//   energov  the SelfService "Apply" catalog and the fee estimator
+//   etrakit  permit search / fee estimator pages with their permit type
+//            dropdowns, and the sub-type lists each type loads
+//   generic  a bounded breadth-first crawl of the department's site,
+//            following permit-related links (lib/crawlScope.js)
+//
+// Each crawler walks its plan with one Playwright page and returns the
+// pages it captured, landing page first:
+//   [{ url, kind, label, html, depth }]
+// PDF links the generic crawl follows come back as { url, kind: "pdf",
+// label } without html; crawlPortal.mjs downloads them on the PDF path.
+// crawlPortal.mjs stores them as one crawl session of linked snapshots.
+// A step that fails or hits a login page is logged and skipped; only a
+// failed landing page fails the crawl.
+
+import { extractLinks } from "../../lib/linkExtractor.js";
+import { SITE_CRAWL_DEFAULTS, inScope, rankLinks, siteScope } from "../../lib/crawlScope.js";
+import { acquireHostSlot, noteHostResponse, parseRetryAfter } from "../../lib/politeFetch.js";
+
+const NAV_TIMEOUT = 45000;
+const SETTLE_MS = 1000;
+
+// Pages captured per crawl, landing page included
+export const MAX_PAGES = 25;
+
+// Dropdown options expanded per select (eTRAKiT sub-type lists)
+const MAX_OPTIONS = 15;
+
+const LOGIN_URL = /\/(login|signin|sign-in|account\/login)\b/i;
+
+// Helper: HTTP failures carry their status so the retry policy can tell a
+// missing page from a server having a bad minute, and the server's
+// Retry-After when it sent one
+export function httpError(status, url, retryAfter = null) {
+  const err = new Error(`HTTP ${status} for ${url}`);
+  err.status = status;
+  const waitMs = parseRetryAfter(retryAfter);
+  if (waitMs !== null) err.retryAfterSeconds = Math.ceil(waitMs / 1000);
+  return err;
+}
+
+function assertPageOk(response, url) {
+  if (response && response.status() >= 400) {
+    throw httpError(response.status(), url, response.headers()["retry-after"]);
+  }
+}
+
+// ------------------------------
+// SHARED STEPS
+// ------------------------------
+
+function createSession(page, rootUrl) {
+  const pages = [];
+  const seen = new Set();
+
+  return {
+    pages,
+
+    // PDF links do not count against the page budget
+    full() {
+      return pages.filter((p) => p.html !== null).length >= MAX_PAGES;
+    },
+
+    // Open a URL within robots.txt and the host's limits
+    // (lib/politeFetch.js); false when it redirected to a login page
+    async visit(url, { waitUntil = "domcontentloaded", settleMs = SETTLE_MS } = {}) {
+      const release = await acquireHostSlot(url);
+      let response;
+      try {
+        response = await page.goto(url, { waitUntil, timeout: NAV_TIMEOUT });
+      } finally {
+        release();
+      }
+
+      if (response) noteHostResponse(url, response.status(), response.headers()["retry-after"]);
+      assertPageOk(response, url);
+      await page.waitForTimeout(settleMs);
+
+      if (LOGIN_URL.test(new URL(page.url()).pathname)) {
+        console.log(`🔒 Login required: ${url}`);
+        return false;
+      }
+      return true;
+    },
+
+    // Record the current page once per URL + label
+    async capture(kind, label = null, { depth = 0 } = {}) {
+      if (this.full()) return false;
+
+      const url = page.url();
+      const key = `${url}|${label ?? ""}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+
+      pages.push({ url, kind, label, html: await page.content(), depth });
+      console.log(`📸 ${kind}${label ? ` (${label})` : ""}: ${url}`);
+      return true;
+    },
+
+    // Record a PDF link for the PDF path
+    addPdf(url, label = null, { depth = 0 } = {}) {
+      if (seen.has(url)) return;
+      seen.add(url);
+      pages.push({ url, kind: "pdf", label, html: null, depth });
+    },
+
+    // Same-site links on the current page whose text or href matches
+    async links({ text = null, href = null } = {}) {
+      const anchors = await page.$$eval("a[href]", (els) =>
+        els.map((a) => ({ href: a.href, text: (a.textContent || "").trim() }))
+      );
+      const host = new URL(rootUrl).hostname;
+
+      const found = new Map();
+      for (const a of anchors) {
+        let parsed;
+        try {
+          parsed = new URL(a.href);
+        } catch {
+          continue;
+        }
+        if (parsed.hostname !== host) continue;
+        if (!(text && text.test(a.text)) && !(href && href.test(a.href))) continue;
+        if (!found.has(a.href)) found.set(a.href, a);
+      }
+      return [...found.values()];
+    },
+
+    // Run a plan step; a failure is logged and the crawl goes on
+    async step(name, fn) {
+      if (this.full()) return;
+      try {
+        await fn();
+      } catch (err) {
+        console.warn(`⚠️ ${name} failed: ${err.message}`);
+      }
+    }
+  };
+}
+
+async function crawlLanding(page, url, label) {
+  const session = createSession(page, url);
+  const ok = await session.visit(url);
+  await session.capture("landing", ok ? label : "login");
+  return session;
+}
+
+// ------------------------------
+// ACCELA CITIZEN ACCESS
+// ------------------------------
+
+const ACCELA_MODULE_HREF = /CapHome\.aspx\?.*module=([^&#]+)/i;
+
+// Accept the terms on CapApplyDisclaimer.aspx and continue
+async function acceptAccelaDisclaimer(page) {
+  const checkbox = page.locator("input[type=checkbox][id*='chkAccept' i]").first();
+  if (await checkbox.count()) await checkbox.check();
+
+  const next = page
+    .locator("a[id*='btnAccept' i], input[id*='btnAccept' i], a:has-text('Continue Application')")
+    .first();
+  if (!(await next.count())) return false;
+
+  await Promise.all([
+    page.waitForLoadState("domcontentloaded", { timeout: NAV_TIMEOUT }),
+    next.click()
+  ]);
+  await page.waitForTimeout(SETTLE_MS);
+  return true;
+}
+
+export async function crawlAccela(page, url) {
+  console.log("🌐 Crawling Accela portal…");
+  const session = await crawlLanding(page, url, "Accela home");
+
+  // Module tabs: Building, Planning, Enforcement, Licenses…
+  const modules = new Map();
+  for (const a of await session.links({ href: ACCELA_MODULE_HREF })) {
+    const module = decodeURIComponent(a.href.match(ACCELA_MODULE_HREF)[1]);
+    if (!modules.has(module)) modules.set(module, a.href);
+  }
+  console.log(`📚 Accela modules: ${[...modules.keys()].join(", ") || "none"}`);
+
+  for (const [module, moduleUrl] of modules) {
+    await session.step(`Accela module ${module}`, async () => {
+      if (await session.visit(moduleUrl)) await session.capture("module", module);
+    });
+
+    // "Apply for a Permit": disclaimer, then the record-type picker. Most
+    // agencies require a login here; some allow anonymous applications.
+    await session.step(`Accela record types ${module}`, async () => {
+      const tenantRoot = moduleUrl.replace(/Cap\/CapHome\.aspx.*$/i, "");
+      const applyUrl = new URL(`Cap/CapApplyDisclaimer.aspx?module=${encodeURIComponent(module)}`, tenantRoot);
+      if (!(await session.visit(applyUrl.href))) return;
+
+      if (/CapApplyDisclaimer/i.test(page.url())) {
+        await session.capture("disclaimer", module);
+        if (!(await acceptAccelaDisclaimer(page))) return;
+        if (LOGIN_URL.test(new URL(page.url()).pathname)) {
+          console.log(`🔒 Login required for ${module} applications`);
+          return;
+        }
+      }
+
+      if (/CapType\.aspx/i.test(page.url())) {
+        await session.capture("record_types", module);
+      }
+    });
+  }
+
+  return session.pages;
+}
+
+// ------------------------------
+// ENERGOV / TYLER SELFSERVICE
+// ------------------------------
+
+// SelfService is an Angular app with hash routes
+const ENERGOV_APPLY = { text: /^\s*apply\b|apply (?:for|online)|permit applications?/i, href: /#\/apply\b/i };
+const ENERGOV_FEES = { text: /fee estimat|estimate fees|fee calculat/i, href: /#\/fee/i };
+
+function energovRoute(url, route) {
+  const base = url.includes("#") ? url.slice(0, url.indexOf("#")) : url;
+  return `${base}#/${route}`;
+}
+
+export async function crawlEnerGov(page, url) {
+  console.log("🌐 Crawling EnerGov / Tyler SelfService…");
+  const session = createSession(page, url);
+
+  // The app renders after its API calls; wait for them
+  const ok = await session.visit(url, { waitUntil: "networkidle", settleMs: 2000 });
+  await session.capture("landing", ok ? "SelfService home" : "login");
+
+  const applyLinks = await session.links(ENERGOV_APPLY);
+  const feeLinks = await session.links(ENERGOV_FEES);
+
+  // Apply catalog: permit types grouped by category
+  await session.step("EnerGov apply catalog", async () => {
+    const target = applyLinks[0]?.href || energovRoute(url, "apply");
+    if (!(await session.visit(target, { waitUntil: "networkidle", settleMs: 2000 }))) return;
+    await session.capture("apply_catalog", "Apply");
+
+    // Categories expand in place
+    const categories = page.locator("[data-toggle='collapse'], .panel-heading a, button[aria-expanded='false']");
+    const n = Math.min(await categories.count(), MAX_PAGES);
+    for (let i = 0; i < n && !session.full(); i++) {
+      const label = ((await categories.nth(i).textContent()) || "").trim();
+      await categories.nth(i).click({ timeout: 5000 }).catch(() => {});
+      await page.waitForTimeout(500);
+      if (label) await session.capture("apply_category", label);
+    }
+  });
+
+  // Fee estimator: permit type list and fee inputs
+  await session.step("EnerGov fee estimator", async () => {
+    const target = feeLinks[0]?.href;
+    if (!target) return;
+    if (await session.visit(target, { waitUntil: "networkidle", settleMs: 2000 })) {
+      await session.capture("fee_estimator", "Fee estimator");
+    }
+  });
+
+  return session.pages;
+}
+
+// ------------------------------
+// ETRAKIT
+// ------------------------------
+
+const ETRAKIT_PAGES = [
+  { kind: "permit_search", text: /permit search|search permits|^\s*permits?\s*$/i, href: /Search\/permit\.aspx/i },
+  { kind: "fee_estimator", text: /fee estimat|estimate fees/i, href: /feeestimat/i },
+  { kind: "apply", text: /apply for a permit|apply online|permit application/i, href: /\/Apply\//i }
+];
+
+// <select>s listing permit types
+const ETRAKIT_TYPE_SELECT = "select[id*='PermitType' i], select[name*='PermitType' i], select[id*='ddType' i]";
+
+// Select each permit type in turn and capture the sub-type list it loads
+async function expandTypeDropdown(page, session, kind) {
+  const select = page.locator(ETRAKIT_TYPE_SELECT).first();
+  if (!(await select.count())) return;
+
+  const options = (await select.locator("option").evaluateAll((els) =>
+    els.map((o) => ({ value: o.value, text: (o.textContent || "").trim() }))
+  )).filter((o) => o.value && !/^(-+|select|all)\b/i.test(o.text));
+
+  console.log(`📋 ${options.length} permit types on ${kind}`);
+
+  for (const option of options.slice(0, MAX_OPTIONS)) {
+    if (session.full()) break;
+    await select.selectOption(option.value);
+    // Sub-types arrive by ASP.NET postback
+    await page.waitForLoadState("networkidle", { timeout: 15000 }).catch(() => {});
+    await session.capture(`${kind}_type`, option.text);
+  }
+}
+
+export async function crawlETRAKIT(page, url) {
+  console.log("🌐 Crawling eTRAKiT portal…");
+  const session = await crawlLanding(page, url, "eTRAKiT home");
+
+  for (const [i, plan] of ETRAKIT_PAGES.entries()) {
+    const [link] = await session.links(plan);
+    if (!link) continue;
+
+    await session.step(`eTRAKiT ${plan.kind}`, async () => {
+      if (!(await session.visit(link.href))) return;
+      await session.capture(plan.kind, link.text || null);
+      await expandTypeDropdown(page, session, plan.kind);
+    });
+
+    // Back to the landing page for the next link set
+    if (i < ETRAKIT_PAGES.length - 1) {
+      await session.step("eTRAKiT landing", () => session.visit(url));
+    }
+  }
+
+  return session.pages;
+}
+
+// ------------------------------
+// GENERIC
+// ------------------------------
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name] || "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Breadth-first crawl of a municipal site from `url`: depth by depth,
+ * each depth's links best first, within the root's domain and the page
+ * and PDF budgets (SITE_CRAWL_MAX_PAGES / _MAX_DEPTH / _MAX_PDFS).
+ */
+export async function crawlGeneric(page, url, opts = {}) {
+  console.log("🌐 Crawling generic gov page…");
+
+  const maxPages = Math.min(opts.maxPages ?? envInt("SITE_CRAWL_MAX_PAGES", SITE_CRAWL_DEFAULTS.maxPages), MAX_PAGES);
+  const maxDepth = opts.maxDepth ?? envInt("SITE_CRAWL_MAX_DEPTH", SITE_CRAWL_DEFAULTS.maxDepth);
+  const maxPdfs = opts.maxPdfs ?? envInt("SITE_CRAWL_MAX_PDFS", SITE_CRAWL_DEFAULTS.maxPdfs);
+
+  const session = await crawlLanding(page, url, null);
+  const scope = siteScope(page.url()) || siteScope(url);
+  const visited = new Set([url, page.url()]);
+
+  let htmlCount = session.pages.length;
+  let pdfCount = 0;
+  let level = [{ url: page.url(), html: session.pages[0]?.html }];
+
+  for (let depth = 0; depth < maxDepth && level.length; depth++) {
+    // Links found on this depth's pages, best first across the level
+    const next = new Map();
+    for (const from of level) {
+      const { pages, pdfs } = rankLinks(extractLinks(from.html, from.url), scope);
+
+      for (const pdf of pdfs) {
+        if (pdfCount >= maxPdfs || visited.has(pdf.url)) continue;
+        visited.add(pdf.url);
+        session.addPdf(pdf.url, pdf.text || null, { depth: depth + 1 });
+        pdfCount++;
+      }
+
+      for (const link of pages) {
+        if (visited.has(link.url)) continue;
+        const known = next.get(link.url);
+        if (!known || known.priority < link.priority) next.set(link.url, link);
+      }
+    }
+
+    const ranked = [...next.values()].sort((a, b) => b.priority - a.priority);
+    level = [];
+
+    for (const link of ranked) {
+      if (htmlCount >= maxPages) break;
+      visited.add(link.url);
+
+      await session.step(`Site page ${link.url}`, async () => {
+        if (!(await session.visit(link.url))) return;
+
+        // Redirected off the jurisdiction's site
+        const landed = page.url();
+        if (!inScope(landed, scope)) return;
+        visited.add(landed);
+
+        if (await session.capture("page", link.text || null, { depth: depth + 1 })) {
+          htmlCount++;
+          level.push({ url: landed, html: session.pages[session.pages.length - 1].html });
+        }
+      });
+    }
+  }
+
+  console.log(`🕸️ Site crawl: ${htmlCount} page(s), ${pdfCount} PDF(s) within ${scope}`);
+  return session.pages;
+}
@@ -1,6 +1,7 @@
 // workers/orchestrator/detectPortalsForCounty.mjs
 
 import { createClient } from "@supabase/supabase-js";
+import { matchVendorByUrl, normalizeVendorUrl } from "../../lib/vendorRegistry.js";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -36,7 +37,8 @@ export async function detectPortalsForCounty(countyGeoid) {
   const { data: candidates, error: cErr } = await supabase
     .from("portal_candidates")
     .select("id, jurisdiction_geoid, url_found")
-    .in("jurisdiction_geoid", geoids);
+    .in("jurisdiction_geoid", geoids)
+    .is("rejected_reason", null); // dead / non-portal URLs are kept for review only
 
   if (cErr) {
     console.error("❌ Failed loading portal candidates:", cErr);
@@ -46,27 +48,26 @@ export async function detectPortalsForCounty(countyGeoid) {
   console.log(`📌 Loaded ${candidates.length} raw portal candidates`);
 
   //
-  // 3️⃣ Determine vendor type from the URL
+  // 3️⃣ Determine vendor type from the URL (shared vendor registry)
   //
   const portalRows = [];
 
   for (const c of candidates) {
-    const url = (c.url_found || "").toLowerCase();
+    const url = normalizeVendorUrl(c.url_found || "");
+    const lower = url.toLowerCase();
+    const matched = matchVendorByUrl(url);
+
     let vendor = "unknown";
 
-    if (url.includes("citizenaccess") || url.includes("aca")) vendor = "accela";
-    else if (url.includes("energov") || url.includes("selfservice")) vendor = "energov";
-    else if (url.includes("tyler")) vendor = "tyler";
-    else if (url.includes("etrakit")) vendor = "etrakit";
-    else if (url.includes("cloudpermit")) vendor = "cloudpermit";
-    else if (url.endsWith(".pdf")) vendor = "pdf";
-    else if (url.includes(".gov") || url.includes(".us")) vendor = "gov_page";
+    if (lower.split("?")[0].endsWith(".pdf")) vendor = "pdf";
+    else if (matched) vendor = matched.id;
+    else if (lower.includes(".gov") || lower.includes(".us")) vendor = "gov_page";
 
     // Keep only relevant endpoints
     if (vendor !== "unknown") {
       portalRows.push({
         jurisdiction_geoid: c.jurisdiction_geoid,
-        url: c.url_found,
+        url,
         vendor,
         status: "unknown", // Will be updated after crawling
       });
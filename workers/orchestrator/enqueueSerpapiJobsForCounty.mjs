@@ -0,0 +1,74 @@
+// workers/orchestrator/enqueueSerpapiJobsForCounty.mjs
+
+import { createClient } from "@supabase/supabase-js";
+import { buildSearchQueries } from "../../lib/searchQueryTemplates.js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE,
+  { auth: { persistSession: false } }
+);
+
+// Vendor ids already seen in a state (vendors_by_state view)
+async function loadKnownVendors(statefp) {
+  const { data, error } = await supabase
+    .from("vendors_by_state")
+    .select("vendor")
+    .eq("statefp", statefp);
+
+  if (error) {
+    console.warn("⚠️ Could not load vendors for state", statefp, error.message);
+    return [];
+  }
+  return data.map((r) => r.vendor);
+}
+
+/**
+ * Queue search jobs for a county and every place beneath it, using the
+ * state- and level-aware templates in lib/searchQueryTemplates.js.
+ * Queries already in search_queue (search_queue_unique_geoid_query) are
+ * left alone. Returns the number of new queries queued.
+ */
+export async function enqueueSerpapiJobsForCounty(countyGeoid) {
+  // fetch county + places
+  const { data: jurisdictions, error } = await supabase
+    .from("jurisdictions")
+    .select("geoid, name, level, statefp")
+    .or(`geoid.eq.${countyGeoid},county_geoid.eq.${countyGeoid}`);
+
+  if (error) throw error;
+  if (!jurisdictions.length) return 0;
+
+  const vendorsByState = new Map();
+  for (const statefp of new Set(jurisdictions.map((j) => j.statefp))) {
+    vendorsByState.set(statefp, await loadKnownVendors(statefp));
+  }
+
+  const rows = jurisdictions.flatMap((j) =>
+    buildSearchQueries(j, { knownVendors: vendorsByState.get(j.statefp) }).map((query) => ({
+      jurisdiction_geoid: j.geoid,
+      jurisdiction_name: j.name,
+      jurisdiction_type: j.level,
+      query,
+      status: "pending",
+    }))
+  );
+
+  // ON CONFLICT DO NOTHING: only the new rows come back
+  const { data: inserted, error: insertError } = await supabase
+    .from("search_queue")
+    .upsert(rows, {
+      onConflict: "jurisdiction_geoid,query",
+      ignoreDuplicates: true,
+    })
+    .select("id");
+
+  if (insertError) throw insertError;
+
+  const added = inserted?.length ?? 0;
+  if (added < rows.length) {
+    console.log(`↩️ ${rows.length - added} queries already queued for ${countyGeoid}`);
+  }
+
+  return added;
+}
@@ -0,0 +1,31 @@
+// workers/orchestrator/pickUnmappedCounty.mjs
+
+import { createClient } from "@supabase/supabase-js";
+import { transitionCounty } from "../../lib/mappingStatus.js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE,
+  { auth: { persistSession: false } }
+);
+
+/**
+ * Claim the next county nobody has started on (lowest geoid first) and
+ * move it to `searching`. Returns { geoid, name, statefp } or null once
+ * every county has been started.
+ */
+export async function pickUnmappedCounty() {
+  const { data, error } = await supabase
+    .from("unmapped_counties")
+    .select("geoid, name, statefp")
+    .limit(1);
+
+  if (error) throw error;
+
+  const candidate = data?.[0];
+  if (!candidate) return null;
+
+  await transitionCounty(candidate.geoid, "searching", { lastStep: "pickUnmappedCounty" });
+
+  return candidate;
+}
@@ -0,0 +1,251 @@
+// workers/orchestrator/runOrchestrator.mjs
+//
+// Nationwide mapping loop, one county at a time:
+//
+//   pickUnmappedCounty → enqueue searches → run searches → detect
+//   endpoints → crawl → parse
+//
+// Each stage only claims jobs for the county's jurisdictions, and the
+// county moves through the lifecycle in lib/mappingStatus.js as each
+// stage drains (searching → candidates_ready → endpoints_detected →
+// crawled → parsed; parsed → verified once review has confirmed every
+// jurisdiction). A run stops at ORCHESTRATOR_MAX_MINUTES and the next
+// scheduled run resumes the county from its recorded stage. A county
+// whose remaining work is waiting on retry backoff is set aside for this
+// run, and the run moves on to the next county, as it does once a county
+// is parsed. Errors mark the county failed; stalled and failed counties
+// are resumed from the stage they stopped in.
+
+import { createClient } from "@supabase/supabase-js";
+import { hasOpenJobs } from "../../lib/jobQueue.js";
+import { stateAbbrFromFips } from "../../lib/states.js";
+import { pickUnmappedCounty } from "./pickUnmappedCounty.mjs";
+import { enqueueSerpapiJobsForCounty } from "./enqueueSerpapiJobsForCounty.mjs";
+import { detectPortalsForCounty } from "./detectPortalsForCounty.mjs";
+import {
+  countyPipelineCounts,
+  detectStalledCounties,
+  failCounty,
+  findCountyToResume,
+  recordCountyCounts,
+  transitionCounty
+} from "../../lib/mappingStatus.js";
+import { runSerpapiBatch } from "../serpapi/runSerpapiBatch.mjs";
+import { runCrawler } from "../crawler/runCrawler.mjs";
+import { runParser } from "../parser/runParser.mjs";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE,
+  { auth: { persistSession: false } }
+);
+
+const MAX_MINUTES = Number(process.env.ORCHESTRATOR_MAX_MINUTES || 45);
+const MAX_COUNTIES = Number(process.env.ORCHESTRATOR_MAX_COUNTIES || 5);
+
+const SEARCH_BATCH = 5;
+const CRAWL_BATCH = 10;
+const PARSE_BATCH = 3;
+const VERIFY_CHECK_LIMIT = 25;
+
+const deadline = Date.now() + MAX_MINUTES * 60 * 1000;
+
+function outOfTime() {
+  return Date.now() >= deadline;
+}
+
+// ------------------------------
+// COUNTY CONTEXT
+// ------------------------------
+
+async function loadCounty(countyGeoid) {
+  const { data, error } = await supabase
+    .from("jurisdictions")
+    .select("geoid, name, statefp, county_geoid")
+    .or(`geoid.eq.${countyGeoid},county_geoid.eq.${countyGeoid}`);
+
+  if (error) throw error;
+
+  const county = data.find((j) => j.geoid === countyGeoid);
+  if (!county) throw new Error(`County ${countyGeoid} not found in jurisdictions`);
+
+  return {
+    geoid: countyGeoid,
+    name: county.name,
+    state: stateAbbrFromFips(county.statefp),
+    geoids: data.map((j) => j.geoid),
+  };
+}
+
+// Run `batch` until the county has no open jobs in `queue`.
+// Returns "drained", "timeout", or "waiting" when everything left is
+// leased elsewhere or waiting on a retry.
+async function drain(queue, batch, county) {
+  while (await hasOpenJobs(queue, { jurisdictionGeoids: county.geoids })) {
+    if (outOfTime()) return "timeout";
+
+    const claimed = await batch({ jurisdictionGeoids: county.geoids });
+    if (claimed === 0) {
+      console.log(`⏸️ ${queue}: remaining jobs for ${county.geoid} are waiting on retries`);
+      return "waiting";
+    }
+  }
+  return "drained";
+}
+
+// ------------------------------
+// STAGES
+// ------------------------------
+
+// Move the county on, storing fresh pipeline counts with the transition
+async function advance(county, to, lastStep) {
+  const counts = await countyPipelineCounts(county.geoids);
+  await transitionCounty(county.geoid, to, { lastStep, counts });
+  console.log(`➡️ ${county.geoid} → ${to}`, counts ?? "");
+  return to;
+}
+
+/**
+ * Advance one county as far as this run allows.
+ *   → { stage, blocked } where blocked is null once the county is parsed,
+ *     otherwise "timeout" or "waiting" (see drain)
+ */
+async function advanceCounty(countyGeoid, stage, statusRow) {
+  const county = await loadCounty(countyGeoid);
+  console.log(
+    `\n🗺️ ${county.name}, ${county.state ?? "?"} (${county.geoid}) — ` +
+    `${county.geoids.length} jurisdictions, stage ${stage}`
+  );
+
+  if (stage === "searching") {
+    // Enqueue is idempotent; skip it once this county's queries are recorded
+    if (!statusRow?.counts?.queries) {
+      const n = await enqueueSerpapiJobsForCounty(county.geoid);
+      await recordCountyCounts(county.geoid, { jurisdictions: county.geoids.length, queries: n });
+      console.log(`📥 Enqueued ${n} search queries`);
+    }
+
+    const result = await drain("search", (o) => runSerpapiBatch({ ...o, limit: SEARCH_BATCH }), county);
+    if (result !== "drained") return { stage, blocked: result };
+
+    stage = await advance(county, "candidates_ready", "runSerpapiBatch");
+  }
+
+  if (stage === "candidates_ready") {
+    const n = await detectPortalsForCounty(county.geoid);
+    console.log(`📌 ${n} portal endpoints detected`);
+    stage = await advance(county, "endpoints_detected", "detectPortalsForCounty");
+  }
+
+  if (stage === "endpoints_detected") {
+    const result = await drain("crawl", (o) => runCrawler({ ...o, limit: CRAWL_BATCH }), county);
+    if (result !== "drained") return { stage, blocked: result };
+
+    stage = await advance(county, "crawled", "runCrawler");
+  }
+
+  if (stage === "crawled") {
+    const result = await drain("parse", (o) => runParser({ ...o, limit: PARSE_BATCH }), county);
+    if (result !== "drained") return { stage, blocked: result };
+
+    stage = await advance(county, "parsed", "runParser");
+    console.log(`✅ ${county.name} mapped`);
+  }
+
+  return { stage, blocked: null };
+}
+
+// Parsed counties become verified once review has confirmed a
+// jurisdiction_meta row for every jurisdiction in them.
+async function promoteVerifiedCounties() {
+  const { data, error } = await supabase
+    .from("jurisdiction_mapping_status")
+    .select("jurisdiction_geoid")
+    .eq("mapping_status", "parsed")
+    .order("updated_at", { ascending: true })
+    .limit(VERIFY_CHECK_LIMIT);
+
+  if (error) throw error;
+
+  for (const row of data) {
+    const county = await loadCounty(row.jurisdiction_geoid);
+    const counts = await countyPipelineCounts(county.geoids);
+    if (!counts) continue;
+
+    if (counts.verified >= counts.jurisdictions) {
+      await transitionCounty(county.geoid, "verified", { lastStep: "promoteVerifiedCounties", counts });
+      console.log(`🏅 ${county.name} verified`);
+    } else {
+      // Rotate through parsed counties across runs
+      await recordCountyCounts(county.geoid, counts);
+    }
+  }
+}
+
+// ------------------------------
+// MAIN LOOP
+// ------------------------------
+
+async function run() {
+  console.log(`🚀 Orchestrator starting (budget ${MAX_MINUTES} min, up to ${MAX_COUNTIES} counties)`);
+
+  await detectStalledCounties();
+  await promoteVerifiedCounties();
+
+  // Counties set aside this run because their work is waiting on retries
+  const setAside = [];
+
+  for (let i = 0; i < MAX_COUNTIES && !outOfTime(); i++) {
+    // Finish what an earlier run started before taking a new county
+    let statusRow = await findCountyToResume({ exclude: setAside });
+
+    if (statusRow && (statusRow.mapping_status === "failed" || statusRow.mapping_status === "stalled")) {
+      console.log(`🔁 Resuming ${statusRow.jurisdiction_geoid} (${statusRow.mapping_status}) at ${statusRow.resume_stage}`);
+      statusRow = await transitionCounty(statusRow.jurisdiction_geoid, statusRow.resume_stage, {
+        lastStep: "runOrchestrator"
+      });
+    }
+
+    if (!statusRow) {
+      const next = await pickUnmappedCounty();
+      if (!next) {
+        console.log("🎉 No unstarted counties left.");
+        break;
+      }
+      statusRow = { jurisdiction_geoid: next.geoid, mapping_status: "searching" };
+    }
+
+    const geoid = statusRow.jurisdiction_geoid;
+    const stage = statusRow.mapping_status;
+
+    let reached;
+    let blocked;
+    try {
+      ({ stage: reached, blocked } = await advanceCounty(geoid, stage, statusRow));
+    } catch (err) {
+      // One broken county must not stall the nationwide loop
+      console.error(`❌ ${geoid} failed at ${stage}:`, err.message || err);
+      await failCounty(geoid, err, { lastStep: "runOrchestrator" }).catch((e) =>
+        console.error(`❌ Could not mark ${geoid} failed:`, e.message)
+      );
+      setAside.push(geoid);
+      continue;
+    }
+
+    if (blocked === "timeout") {
+      console.log(`⏭️ ${geoid} paused at ${reached}; resuming next run`);
+      break;
+    }
+    if (blocked === "waiting") {
+      console.log(`⏭️ ${geoid} waiting on retries at ${reached}; moving on`);
+      setAside.push(geoid);
+    }
+  }
+
+  console.log("🏁 Orchestrator run finished.");
+}
+
+run().catch((err) => {
+  console.error("❌ Orchestrator failed:", err);
+  process.exit(1);
+});
@@ -1,9 +1,17 @@
 import { detectPortalsForCounty } from "./detectPortalsForCounty.mjs";
 
-console.log("🚀 Running portal detection...");
+// Manual run for a single county; the scheduled pipeline goes through
+// runOrchestrator.mjs, which picks counties itself.
+const countyGeoid = process.argv[2] || process.env.COUNTY_GEOID;
 
-detectPortalsForCounty("45019")  // Charleston County
+if (!countyGeoid) {
+  console.error("❌ Usage: node workers/orchestrator/runPortalDetection.mjs <countyGeoid> (or COUNTY_GEOID)");
+  process.exit(1);
+}
 
+console.log(`🚀 Running portal detection for ${countyGeoid}...`);
+
+detectPortalsForCounty(countyGeoid)
   .then((c) => {
     console.log(`🎉 Portal detection complete. ${c} endpoints found.`);
   })
@@ -1,7 +1,5 @@
 // workers/parsePortalSnapshot.ts
-import OpenAI from "openai";
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY! });
+import { getLLM } from "../lib/llmProvider.js";
 
 export async function parsePortalSnapshot(snapshotId: number) {
   const { data: snap, error } = await supabase
@@ -14,24 +12,15 @@ export async function parsePortalSnapshot(snapshotId: number) {
   const { data: file } = await supabase.storage.from("crawler").download(snap.storage_path);
   const html = await file.text();
 
-  const resp = await openai.chat.completions.create({
+  const { data: parsed } = await getLLM().generateJSON({
     model: "gpt-4.1-mini",
-    messages: [
-      {
-        role: "system",
-        content:
-          "You are a parser that extracts permit portal metadata into a fixed JSON schema: permit types, forms, URLs, fees."
-      },
-      {
-        role: "user",
-        content: html
-      }
-    ],
-    response_format: { type: "json_object" }
+    system:
+      "You are a parser that extracts permit portal metadata into a fixed JSON schema: permit types, forms, URLs, fees. Respond with JSON.",
+    prompt: html,
+    schemaName: "portalSnapshotMetadata",
+    meta: { worker: "parsePortalSnapshot", jurisdiction_geoid: snap.jurisdiction_geoid }
   });
 
-  const parsed = JSON.parse(resp.choices[0].message.content || "{}");
-
   await supabase
     .from("portal_snapshots")
     .update({
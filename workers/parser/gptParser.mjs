@@ -7,14 +7,8 @@ import { createRequire } from "module";
 const require = createRequire(import.meta.url);   // Needed for pdf-parse CJS
 const pdf = require("pdf-parse");                 // Correct import
 import fetch from "node-fetch";
-import OpenAI from "openai";
-
-// -----------------------------
-// Initialize OpenAI
-// -----------------------------
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { getLLM } from "../../lib/llmProvider.js";
+import { completeJob, failJob } from "../../lib/jobQueue.js";
 
 // -----------------------------
 // Supabase Client
@@ -96,27 +90,25 @@ METADATA:
 Vendor: ${metadata.vendor}
 URL: ${metadata.url}
 Jurisdiction: ${metadata.jurisdiction_geoid}
+Page: ${metadata.page_kind || "landing"}${metadata.page_label ? ` (${metadata.page_label})` : ""}
 
 ---
 CONTENT:
 ${text}
 `;
 
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    temperature: 0,
-    messages: [
-      { role: "system", content: "You are a permit data extraction engine." },
-      { role: "user", content: prompt },
-    ],
-  });
-
-  const content = response.choices[0].message.content;
-
   try {
-    return JSON.parse(content);
+    const { data } = await getLLM().generateJSON({
+      model: "gpt-4o-mini",
+      temperature: 0,
+      system: "You are a permit data extraction engine.",
+      prompt,
+      schemaName: "permitExtraction",
+      meta: { worker: "gptParser", jurisdiction_geoid: metadata.jurisdiction_geoid },
+    });
+    return data;
   } catch (err) {
-    console.error("❌ JSON parse error:", content);
+    if (err.code === "invalid_json") console.error("❌ JSON parse error:", err.raw);
     throw err;
   }
 }
@@ -125,7 +117,7 @@ ${text}
 // Main parser entry point
 // ============================================================
 export async function parseSnapshot(snapshot) {
-  const { id, snapshot_url, url, vendor, jurisdiction_geoid } = snapshot;
+  const { id, snapshot_url, url, vendor, jurisdiction_geoid, page_kind, page_label } = snapshot;
 
   console.log(`\n🔎 Parsing snapshot ${id} (${vendor})`);
 
@@ -151,6 +143,8 @@ export async function parseSnapshot(snapshot) {
       vendor,
       url,
       jurisdiction_geoid,
+      page_kind,
+      page_label,
     });
 
     console.log("✨ GPT extraction completed");
@@ -196,21 +190,15 @@ export async function parseSnapshot(snapshot) {
     await insertRows("permit_notes", structured.notes);
 
     // -----------------------------
-    // 5. Mark snapshot parsed
+    // 5. Mark snapshot parsed (releases the lease)
     // -----------------------------
-    await supabase
-      .from("portal_snapshots")
-      .update({ parsed: true })
-      .eq("id", id);
+    await completeJob("parse", snapshot, { parsed: true });
 
     console.log(`✅ Snapshot ${id} parsed successfully`);
 
   } catch (err) {
     console.error("❌ GPT parser error:", err);
 
-    await supabase
-      .from("portal_snapshots")
-      .update({ parsed: false, last_error: err.toString() })
-      .eq("id", snapshot.id);
+    await failJob("parse", snapshot, err, { fields: { parsed: false } });
   }
 }
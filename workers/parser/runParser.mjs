@@ -1,30 +1,21 @@
-import { createClient } from "@supabase/supabase-js";
 import { parseSnapshot } from "./gptParser.mjs";
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE,
-  { auth: { persistSession: false } }
-);
-
-async function run() {
+import { claimJobs, requeueExpired } from "../../lib/jobQueue.js";
+import { isMain } from "../../lib/isMain.js";
+
+/**
+ * Parse one chunk of snapshots. `jurisdictionGeoids` limits the chunk to
+ * those jurisdictions (the orchestrator's current county).
+ * Returns the number of snapshots claimed.
+ */
+export async function runParser({ limit = 3, jurisdictionGeoids = null } = {}) {
   console.log("🚀 Running GPT Parser…");
 
-  const { data: snapshots, error } = await supabase
-    .from("portal_snapshots")
-    .select("*")
-    .is("parsed", null)
-    .order("created_at", { ascending: true })
-    .limit(3);
-
-  if (error) {
-    console.error("❌ Snapshot query error:", error);
-    process.exit(1);
-  }
+  await requeueExpired("parse");
+  const snapshots = await claimJobs("parse", { limit, jurisdictionGeoids });
 
   if (!snapshots.length) {
     console.log("🎉 No unparsed snapshots!");
-    return;
+    return 0;
   }
 
   for (const snap of snapshots) {
@@ -35,6 +26,12 @@ async function run() {
   }
 
   console.log("🎉 GPT parser run finished.");
+  return snapshots.length;
 }
 
-run();
+if (isMain(import.meta.url)) {
+  runParser().catch((err) => {
+    console.error("❌ Parser run failed:", err);
+    process.exit(1);
+  });
+}
@@ -1,13 +1,12 @@
-import OpenAI from "openai";
 import fetch from "node-fetch";
+import { validateURL, detectVendor } from "../lib/portalUtils.js";
+import { normalizeVendorUrl } from "../lib/vendorRegistry.js";
+import { getLLM } from "../lib/llmProvider.js";
+import { claimJobs, completeJob, failJob, requeueExpired } from "../lib/jobQueue.js";
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE;
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 /* -------------------------------------------
    SUPABASE WRAPPER
 -------------------------------------------- */
@@ -30,65 +29,10 @@ async function sb(path, method = "GET", body) {
   return res.json();
 }
 
-/* -------------------------------------------
-   URL VALIDATOR
--------------------------------------------- */
-function validateURL(url) {
-  if (!url) return null;
-  if (!url.startsWith("http")) return null;
-  if (!url.includes(".")) return null;
-
-  const vendors = [
-    "accela.com",
-    "energov",
-    "etrakit",
-    "citizenserve.com",
-    "tylertech.com",
-    "mygovernmentonline.org",
-    "opengov",
-    "viewpointcloud",
-    "cityview"
-  ];
-
-  const host = url.toLowerCase();
-
-  if (host.endsWith(".gov")) return url;
-  if (vendors.some(v => host.includes(v))) return url;
-
-  return null;
-}
-
-/* -------------------------------------------
-   VENDOR DETECTOR
--------------------------------------------- */
-function detectVendor(url) {
-  if (!url) return "unknown";
-
-  const map = {
-    accela: "accela.com",
-    energov: "energov",
-    etrakit: "etrakit",
-    citizenserve: "citizenserve.com",
-    tyler: "tylertech.com",
-    mgo: "mygovernmentonline.org",
-    opengov: "opengov",
-    viewpoint: "viewpointcloud",
-    cityview: "cityview"
-  };
-
-  const lower = url.toLowerCase();
-  for (const [vendor, match] of Object.entries(map)) {
-    if (lower.includes(match)) return vendor;
-  }
-
-  if (lower.endsWith(".gov")) return "municipal";
-  return "unknown";
-}
-
 /* -------------------------------------------
    AI DEEP RESEARCH (REAL IMPLEMENTATION)
 -------------------------------------------- */
-async function deepResearch(jurisdictionName) {
+async function deepResearch(jurisdictionName, geoid) {
   const prompt = `
 Find the SINGLE OFFICIAL building permit portal for:
 "${jurisdictionName}"
@@ -106,66 +50,64 @@ Rules:
 }
 `;
 
-  const result = await client.responses.create({
+  const { data } = await getLLM().generateJSON({
     model: "gpt-4.1",
-    input: prompt,
-    response_format: {
-      type: "json_schema",
-      json_schema: {
-        schema: {
-          type: "object",
-          properties: {
-            url: { type: "string" },
-            notes: { type: "string" }
-          },
-          required: ["url"]
-        }
-      }
+    prompt,
+    schemaName: "deepResearchPortal",
+    meta: { worker: "deepResearch", jurisdiction_geoid: geoid },
+    schema: {
+      type: "object",
+      properties: {
+        url: { type: "string" },
+        notes: { type: "string" }
+      },
+      required: ["url"]
     }
   });
 
-  return result.output[0].content[0].json;
+  return data;
 }
 
 /* -------------------------------------------
    MAIN WORKER
 -------------------------------------------- */
 export async function handler() {
-  // 1. Fetch next job
-  const jobs = await sb(
-    "portal_discovery_jobs?status=eq.pending&order=created_at.asc&limit=1"
-  );
+  // 1. Lease next job (claim sets running + attempt_count)
+  await requeueExpired("discovery");
+  const jobs = await claimJobs("discovery", { limit: 1 });
   if (jobs.length === 0) return;
 
   const job = jobs[0];
   const geoid = job.jurisdiction_geoid;
 
-  // 2. Update job → running
-  await sb(`portal_discovery_jobs?id=eq.${job.id}`, "PATCH", {
-    status: "running",
-    attempts: job.attempts + 1
-  });
+  try {
+    await discoverForJob(job, geoid);
+  } catch (err) {
+    console.error("Worker failed", geoid, err.message);
+    await failJob("discovery", job, err);
+  }
+}
 
-  // 3. Fetch jurisdiction
+async function discoverForJob(job, geoid) {
+  // 2. Fetch jurisdiction
   const [jur] = await sb(`jurisdictions?geoid=eq.${geoid}&limit=1`);
   const name = `${jur.name}, ${jur.statefp}`;
 
-  // 4. AI deep research
-  const ai = await deepResearch(name);
+  // 3. AI deep research
+  const ai = await deepResearch(name, geoid);
 
-  const validURL = validateURL(ai.url);
+  const validURL = validateURL(normalizeVendorUrl(ai.url));
   const vendor = detectVendor(validURL);
 
-  // 5. Update job
-  await sb(`portal_discovery_jobs?id=eq.${job.id}`, "PATCH", {
+  // 4. Complete job
+  await completeJob("discovery", job, {
     status: validURL ? "success" : "failed",
     discovered_url: validURL,
     detected_vendor: vendor,
-    raw_ai_result: ai,
-    updated_at: new Date().toISOString()
+    raw_ai_result: ai
   });
 
-  // 6. Write to jurisdiction_meta
+  // 5. Write to jurisdiction_meta
   if (validURL) {
     await sb("jurisdiction_meta", "POST", {
       jurisdiction_geoid: geoid,
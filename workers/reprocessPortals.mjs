@@ -41,6 +41,9 @@ async function processJurisdictionRow(row) {
 
     console.log(`   status:       ${result.status}`);
     console.log(`   portal_url:   ${result.portal_url || "(none)"}`);
+    if (result.manual_info_url) {
+      console.log(`   manual_info:  ${result.manual_info_url} (${result.pdf_forms?.length ?? 0} PDF forms)`);
+    }
     console.log(`   vendor_type:  ${result.vendor_type || "unknown"}`);
     console.log(`   notes:        ${result.notes || ""}`);
 
@@ -1,15 +1,16 @@
 // workers/runBingSearchBatch.mjs
 //
-// PermitGet hybrid search worker (SAFE version)
-// 1) Primary: DuckDuckGo HTML (stable, no API key)
-// 2) Fallback: Tavily API (semantic search, NOW crash-proof)
-//
-// This worker NEVER throws "Unexpected end of JSON input".
-// Tavily errors / HTML / invalid responses -> graceful fallback to DDG.
+// PermitGet free search worker: runs search_queue jobs through the
+// "free" provider chain in lib/searchProvider.js (DuckDuckGo, then
+// Tavily). Every result is resolved, probed, classified, checked against
+// the jurisdiction (lib/ownershipVerifier.js) and scored
+// (lib/candidateScorer.js); the jurisdiction's portal is its best-scored
+// live candidate across all of its jobs.
 //
 // Env vars used:
 //   BING_BATCH_SIZE
 //   TAVILY_API_KEY
+//   SEARCH_CHAIN_FREE / SEARCH_MODE (see lib/searchProvider.js)
 //   SUPABASE_URL
 //   SUPABASE_SERVICE_ROLE
 
@@ -17,169 +18,40 @@ import { sb } from "../lib/supabase.js";
 import {
   validateURL,
   detectVendor,
-  normalizeTylerOAuth,
-  checkUrlAlive,
-  looksLikePermitPortal
+  probeUrl,
+  isUncheckedProbe,
+  fetchPage
 } from "../lib/portalUtils.js";
+import { classifyPermitPortal } from "../lib/portalClassifier.js";
+import { loadOwnershipContext, verifyOwnership } from "../lib/ownershipVerifier.js";
+import { normalizeVendorUrl } from "../lib/vendorRegistry.js";
+import { resolvePortalUrl } from "../lib/urlResolver.js";
+import {
+  claimJobs,
+  completeJob,
+  failJob,
+  heartbeat,
+  requeueExpired
+} from "../lib/jobQueue.js";
+import { skipIfPortalConfident, stopSearchingIfConfident } from "../lib/searchStopping.js";
+import { getSearch } from "../lib/searchProvider.js";
+import { detectDelegation, recordDelegation } from "../lib/delegation.js";
+import { loadCandidateHits, mergeHit, scoreCandidate } from "../lib/candidateScorer.js";
 
-const TAVILY_API_KEY = process.env.TAVILY_API_KEY;
 const BATCH_SIZE = parseInt(process.env.BING_BATCH_SIZE || "10", 10);
 
-if (!TAVILY_API_KEY) {
-  console.warn("[SearchWorker] NOTE: TAVILY_API_KEY missing. Only DuckDuckGo will be used.");
-}
-
-/* -------------------------------------------------------------
- * Fetch pending jobs
- * ------------------------------------------------------------- */
-async function fetchPendingJobs(limit) {
-  const path =
-    `search_queue?status=eq.pending` +
-    `&order=created_at.asc` +
-    `&limit=${limit}`;
-
-  const rows = await sb(path);
-  return Array.isArray(rows) ? rows : [];
-}
-
-/* -------------------------------------------------------------
- * Update job status
- * ------------------------------------------------------------- */
-async function updateJob(id, fields) {
-  const path = `search_queue?id=eq.${id}`;
-  await sb(path, "PATCH", {
-    ...fields,
-    updated_at: new Date().toISOString()
-  });
-}
-
-/* -------------------------------------------------------------
- * DuckDuckGo HTML search (primary)
- * ------------------------------------------------------------- */
-async function ddgSearch(query, maxResults = 5) {
-  const url = `https://duckduckgo.com/html/?q=${encodeURIComponent(query)}&num=${maxResults}`;
-
-  const res = await fetch(url, {
-    method: "GET",
-    headers: {
-      "User-Agent": "Mozilla/5.0 (PermitGetBot/1.0)",
-      "Accept-Language": "en-US,en;q=0.9"
-    }
-  });
-
-  const html = await res.text();
-  if (!html || html.trim().length < 10) {
-    console.warn("[DDG] Empty or tiny HTML response");
-    return [];
-  }
-
-  const results = [];
-  const linkRegex = /<a[^>]+class="[^"]*result__a[^"]*"[^>]+href="([^"]+)"/g;
-
-  let match;
-  while ((match = linkRegex.exec(html)) !== null && results.length < maxResults) {
-    const href = match[1];
-    let targetUrl = null;
-
-    // DDG redirect format
-    if (href.includes("uddg=")) {
-      const idx = href.indexOf("uddg=");
-      if (idx !== -1) {
-        const rest = href.substring(idx + 5);
-        const end = rest.indexOf("&");
-        const encoded = end === -1 ? rest : rest.substring(0, end);
-        try {
-          targetUrl = decodeURIComponent(encoded);
-        } catch {
-          targetUrl = null;
-        }
-      }
-    }
-
-    // Direct URLs
-    if (!targetUrl && (href.startsWith("http://") || href.startsWith("https://"))) {
-      targetUrl = href;
-    }
-
-    if (targetUrl) results.push({ url: targetUrl });
-  }
-
-  return results;
-}
-
-/* -------------------------------------------------------------
- * Tavily search (fallback, CRASH-PROOF VERSION)
- * ------------------------------------------------------------- */
-async function tavilySearch(query, maxResults = 5) {
-  if (!TAVILY_API_KEY) return [];
-
-  let res;
-  try {
-    res = await fetch("https://api.tavily.com/v1/search", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        api_key: TAVILY_API_KEY,
-        query,
-        search_depth: "basic",
-        max_results: maxResults,
-        include_answer: false,
-        include_images: false,
-        include_raw_content: false
-      })
-    });
-  } catch (err) {
-    console.warn("[Tavily] Network error:", err.message);
-    return [];
-  }
-
-  const text = await res.text();
-
-  // Tavily returns HTML when key is invalid, expired, or rate-limited.
-  if (!text || text.trim().length < 5 || text.startsWith("<")) {
-    console.warn("[Tavily] HTML or empty response, skipping:", text.slice(0, 200));
-    return [];
-  }
-
-  let json;
-  try {
-    json = JSON.parse(text);
-  } catch {
-    console.warn("[Tavily] Invalid JSON:", text.slice(0, 200));
-    return [];
-  }
-
-  if (!Array.isArray(json.results)) return [];
-
-  return json.results
-    .map(r => r.url)
-    .filter(u => typeof u === "string" && u.startsWith("http"))
-    .slice(0, maxResults)
-    .map(url => ({ url }));
-}
-
 /* -------------------------------------------------------------
- * Hybrid search: DDG → Tavily fallback
+ * Best candidate across all of a jurisdiction's jobs
  * ------------------------------------------------------------- */
-async function hybridSearch(query) {
-  // Try DDG first
-  try {
-    const ddgResults = await ddgSearch(query, 5);
-    if (ddgResults.length > 0) return ddgResults;
-  } catch (err) {
-    console.warn("[SearchWorker] DDG failed:", err.message);
-  }
-
-  // Tavily fallback
-  try {
-    const tavilyResults = await tavilySearch(query, 5);
-    if (tavilyResults.length > 0) return tavilyResults;
-  } catch (err) {
-    console.warn("[SearchWorker] Tavily failed:", err.message);
-  }
-
-  // Nothing found
-  return [];
+async function loadBestCandidate(geoid) {
+  const rows = await sb(
+    `portal_candidates?jurisdiction_geoid=eq.${geoid}` +
+    "&rejected_reason=is.null&liveness->>alive=eq.true&confidence=gt.0" +
+    "&select=url_found,vendor_type,confidence" +
+    "&order=confidence.desc,serp_position.asc.nullslast&limit=1"
+  );
+  const row = Array.isArray(rows) ? rows[0] : null;
+  return row ? { url: row.url_found, vendor: row.vendor_type, confidence: row.confidence } : null;
 }
 
 /* -------------------------------------------------------------
@@ -192,17 +64,21 @@ async function upsertJurisdictionMeta(geoid, candidate, jobId) {
 
   const notesBase =
     candidate
-      ? `Seeded from search_queue job ${jobId}`
+      ? `Best search candidate after search_queue job ${jobId} (score ${candidate.confidence})`
       : `search_queue job ${jobId}: no reliable portal found`;
 
   if (existing?.length > 0) {
     const meta = existing[0];
 
+    // A reviewer-verified portal or a recorded delegation is never
+    // replaced by a search guess
+    const replace = candidate && !meta.verified && !meta.permits_handled_by;
+
     await sb(`jurisdiction_meta?id=eq.${meta.id}`, "PATCH", {
-      portal_url: candidate ? candidate.url : meta.portal_url,
-      vendor_type: candidate ? candidate.vendor : meta.vendor_type,
-      submission_method: candidate ? "online" : meta.submission_method || "unknown",
-      license_required: candidate ? true : meta.license_required,
+      portal_url: replace ? candidate.url : meta.portal_url,
+      vendor_type: replace ? candidate.vendor : meta.vendor_type,
+      submission_method: replace ? "online" : meta.submission_method || "unknown",
+      license_required: replace ? true : meta.license_required,
       notes: meta.notes ? `${meta.notes}\n${notesBase}` : notesBase
     });
   } else {
@@ -221,80 +97,164 @@ async function upsertJurisdictionMeta(geoid, candidate, jobId) {
  * Process results for a single job
  * ------------------------------------------------------------- */
 async function handleResults(job, results) {
-  let best = null;
+  // URLs earlier queries already returned, so agreement counts across jobs
+  const hits = await loadCandidateHits(job.jurisdiction_geoid);
+  const owner = await loadOwnershipContext(job.jurisdiction_geoid);
+  const seen = new Set();
 
   for (const r of results) {
     const raw = r.url;
     if (!raw) continue;
 
-    const normalized = normalizeTylerOAuth(raw) || raw;
-    const valid = validateURL(normalized);
-    if (!valid) continue;
+    // Cheap pre-filter before any network I/O
+    if (!validateURL(normalizeVendorUrl(raw))) continue;
+
+    // Canonical landing URL (redirects, SSO bounces and session noise removed)
+    const resolved = await resolvePortalUrl(raw);
+    if (!resolved.url) continue;
 
-    const alive = await checkUrlAlive(valid);
-    if (!alive) continue;
+    const valid = validateURL(resolved.url);
+    if (!valid || seen.has(valid)) continue;
+    seen.add(valid);
 
-    const looksPortal = await looksLikePermitPortal(valid);
-    if (!looksPortal) continue;
+    // Structured liveness: dropped candidates are still recorded with the
+    // failure class so reviewers can see why they were rejected.
+    const liveness = await probeUrl(valid);
+
+    // The host is backing us off: nothing is known about the page, and a
+    // rejection would stick. A later query or run probes it again.
+    if (isUncheckedProbe(liveness)) {
+      console.log(`[SearchWorker] Rate limited by host, not checked: ${valid}`);
+      continue;
+    }
+
+    // Then the page itself: is it a permit portal, and is it this
+    // jurisdiction's (a Charleston WV tenant is no use for Charleston SC)?
+    let rejectedReason = null;
+    let portal = null;
+    let ownership = null;
+    if (!liveness.alive) {
+      rejectedReason = liveness.failure;
+    } else {
+      const page = await fetchPage(valid);
+
+      // Same as an unchecked probe: the page was never read
+      if (isUncheckedProbe(page)) {
+        console.log(`[SearchWorker] Page not read (${page.failure}), not checked: ${valid}`);
+        continue;
+      }
+
+      if (!page.ok) {
+        // Recorded like a liveness failure, not as a classification: the
+        // next query that returns the URL fetches it again
+        rejectedReason = page.failure;
+      } else {
+        portal = classifyPermitPortal(page.html, { url: page.url });
+        ownership = owner ? verifyOwnership({ url: page.url, html: page.html, jurisdiction: owner }) : null;
+
+        if (!portal.isPortal) rejectedReason = "not_portal_page";
+        else if (ownership?.status === "mismatch") rejectedReason = "ownership_mismatch";
+      }
+    }
 
     const vendor = detectVendor(valid);
+    const hit = mergeHit(hits.get(valid), job.query, r.rank);
+
+    const scored = scoreCandidate({
+      url: valid,
+      title: r.title,
+      snippet: r.snippet,
+      rank: hit.rank,
+      queryCount: hit.queries.length,
+      vendor,
+      portalScore: portal?.score,
+      jurisdictionName: job.jurisdiction_name
+    });
 
-    try {
-      await sb("portal_candidates", "POST", {
+    await sb(
+      "portal_candidates?on_conflict=jurisdiction_geoid,url_found",
+      "POST",
+      {
         jurisdiction_geoid: job.jurisdiction_geoid,
         query_used: job.query,
+        matched_queries: hit.queries,
         url_found: valid,
         vendor_type: vendor,
-        confidence: 1.0,
-        source: "ddg+tavily"
-      });
-    } catch { /* duplicate safe */ }
-
-    if (!best) best = { url: valid, vendor, confidence: 1.0 };
+        confidence: rejectedReason ? 0 : scored.score,
+        score_features: scored,
+        redirect_chain: resolved.chain,
+        liveness,
+        ownership,
+        rejected_reason: rejectedReason,
+        title: r.title,
+        snippet: r.snippet,
+        serp_position: hit.rank,
+        source: r.provider
+      },
+      { Prefer: "resolution=merge-duplicates" }
+    );
   }
 
-  return best;
+  return loadBestCandidate(job.jurisdiction_geoid);
 }
 
 /* -------------------------------------------------------------
  * Process a single job
  * ------------------------------------------------------------- */
 async function processJob(job) {
-  await updateJob(job.id, {
-    status: "running",
-    attempt_count: (job.attempt_count || 0) + 1
-  });
+  // Job is already leased and marked running by claimJobs(). A portal
+  // found by an earlier query makes the rest of the jurisdiction's
+  // queries unnecessary.
+  if (await skipIfPortalConfident(job)) return;
 
-  const results = await hybridSearch(job.query);
+  const { results } = await getSearch("free").search(job.query);
   const best = await handleResults(job, results);
-  await upsertJurisdictionMeta(job.jurisdiction_geoid, best, job.id);
 
-  await updateJob(job.id, { status: "done", last_error: null });
+  // A place whose best candidate is its county's verified portal is
+  // recorded as delegated, not given a copy of the county's URL
+  const delegation = best
+    ? await detectDelegation(job.jurisdiction_geoid, { bestUrl: best.url, checkServedList: false })
+    : null;
+
+  if (delegation) {
+    await recordDelegation(job.jurisdiction_geoid, {
+      ...delegation,
+      notes: `search_queue job ${job.id}: best candidate is the county's portal (${best.url})`
+    });
+  } else {
+    await upsertJurisdictionMeta(job.jurisdiction_geoid, best, job.id);
+  }
+
+  await completeJob("search", job);
+
+  if (best) await stopSearchingIfConfident(job.jurisdiction_geoid);
 }
 
 /* -------------------------------------------------------------
  * Batch runner
  * ------------------------------------------------------------- */
 async function runBatch() {
-  const jobs = await fetchPendingJobs(BATCH_SIZE);
+  await requeueExpired("search");
+
+  const jobs = await claimJobs("search", { limit: BATCH_SIZE });
   if (!jobs.length) {
     console.log("[SearchWorker] No pending jobs.");
     return;
   }
 
-  for (const job of jobs) {
+  for (const [i, job] of jobs.entries()) {
     console.log(
       `\n[SearchWorker] Processing job ${job.id} (${job.jurisdiction_type} ${job.jurisdiction_geoid})`
     );
 
+    // Jobs still waiting in this batch keep their leases fresh
+    await Promise.all(jobs.slice(i).map(j => heartbeat("search", j)));
+
     try {
       await processJob(job);
     } catch (err) {
       console.error("[SearchWorker] Error on job", job.id, err.message);
-      await updateJob(job.id, {
-        status: "error",
-        last_error: err.message
-      });
+      await failJob("search", job, err);
     }
   }
 }
@@ -1,7 +1,17 @@
 // workers/serpapi/runSerpapiBatch.mjs
 
-import fetch from 'node-fetch';
 import { createClient } from '@supabase/supabase-js';
+import {
+  claimJobs,
+  completeJob,
+  failJob,
+  requeueExpired
+} from '../../lib/jobQueue.js';
+import { isMain } from '../../lib/isMain.js';
+import { skipIfPortalConfident } from '../../lib/searchStopping.js';
+import { getSearch } from '../../lib/searchProvider.js';
+import { detectVendor } from '../../lib/portalUtils.js';
+import { loadCandidateHits, mergeHit, scoreCandidate } from '../../lib/candidateScorer.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -11,25 +21,21 @@ const supabase = createClient(
   }
 );
 
-async function runBatch() {
+/**
+ * Run one batch of search jobs. `jurisdictionGeoids` limits the batch to
+ * those jurisdictions (the orchestrator's current county).
+ * Returns the number of jobs claimed.
+ */
+export async function runSerpapiBatch({ limit = 5, jurisdictionGeoids = null } = {}) {
   console.log("🔎 Starting SerpAPI batch...");
 
-  // 1. Get pending jobs
-  const { data: jobs, error } = await supabase
-    .from("search_queue")
-    .select("*")
-    .eq("status", "pending")
-    .order("created_at", { ascending: true })
-    .limit(5);
+  // 1. Lease pending jobs (expired leases from crashed runs go back first)
+  await requeueExpired("search");
+  const jobs = await claimJobs("search", { limit, jurisdictionGeoids });
 
-  if (error) {
-    console.error("❌ Error fetching jobs:", error);
-    process.exit(1);
-  }
-
-  if (!jobs || jobs.length === 0) {
+  if (jobs.length === 0) {
     console.log("⚠️ No pending SerpAPI jobs.");
-    return;
+    return 0;
   }
 
   console.log(`📌 Found ${jobs.length} job(s). Running...`);
@@ -37,65 +43,80 @@ async function runBatch() {
   for (const job of jobs) {
     console.log(`➡️ Running: ${job.query}`);
 
-    // Mark running
-    await supabase
-      .from("search_queue")
-      .update({ status: "running" })
-      .eq("id", job.id);
-
     try {
-      // Call SerpAPI
-      const serpRes = await fetch(
-        `https://serpapi.com/search.json?q=${encodeURIComponent(
-          job.query
-        )}&engine=google&api_key=${process.env.SERPAPI_KEY}`
-      );
-
-      const serp = await serpRes.json();
-
-      const results = serp.organic_results || [];
-
-      const insertRows = results.map((r, i) => ({
-        jurisdiction_geoid: job.jurisdiction_geoid,
-        query_used: job.query,
-        url_found: r.link,
-        title: r.title,
-        snippet: r.snippet,
-        serp_position: i + 1,
-        serpapi_json: r
-      }));
-
-      if (insertRows.length > 0) {
-        const { error: insertErr } = await supabase
+      // No SerpAPI credit for a jurisdiction that already has a confident portal
+      if (await skipIfPortalConfident(job)) {
+        console.log(`⏭️ Skipped: ${job.query}`);
+        continue;
+      }
+
+      // SerpAPI first; DuckDuckGo / Tavily only when it has nothing
+      const { results } = await getSearch("serpapi").search(job.query, { maxResults: 10 });
+
+      // Score every result; agreement counts the jurisdiction's earlier
+      // queries, and a portal score measured by the search worker is kept
+      const hits = await loadCandidateHits(job.jurisdiction_geoid);
+      const rows = new Map();
+
+      for (const r of results) {
+        if (rows.has(r.url)) continue;
+
+        const hit = mergeHit(hits.get(r.url), job.query, r.rank);
+        const vendor = detectVendor(r.url);
+        const scored = scoreCandidate({
+          url: r.url,
+          title: r.title,
+          snippet: r.snippet,
+          rank: hit.rank,
+          queryCount: hit.queries.length,
+          vendor,
+          portalScore: hit.portalScore,
+          jurisdictionName: job.jurisdiction_name
+        });
+
+        rows.set(r.url, {
+          jurisdiction_geoid: job.jurisdiction_geoid,
+          query_used: job.query,
+          matched_queries: hit.queries,
+          url_found: r.url,
+          vendor_type: vendor,
+          confidence: hit.rejected ? 0 : scored.score,
+          score_features: scored,
+          title: r.title,
+          snippet: r.snippet,
+          serp_position: hit.rank,
+          serpapi_json: r.provider === "serpapi" ? r.raw : null,
+          source: r.provider
+        });
+      }
+
+      if (rows.size > 0) {
+        const { error: upsertErr } = await supabase
           .from("portal_candidates")
-          .insert(insertRows);
+          .upsert([...rows.values()], { onConflict: "jurisdiction_geoid,url_found" });
 
-        if (insertErr) console.error("❌ Insert error:", insertErr);
+        if (upsertErr) console.error("❌ Upsert error:", upsertErr);
       }
 
       // Mark success
-      await supabase
-        .from("search_queue")
-        .update({ status: "done" })
-        .eq("id", job.id);
+      await completeJob("search", job);
 
       console.log(`✅ Done: ${job.query}`);
 
     } catch (err) {
-      console.error("❌ SerpAPI error:", err);
-
-      await supabase
-        .from("search_queue")
-        .update({
-          status: "error",
-          last_error: err.toString(),
-          attempt_count: job.attempt_count + 1
-        })
-        .eq("id", job.id);
+      console.error("❌ Search error:", err);
+
+      await failJob("search", job, err);
     }
   }
 
   console.log("🎉 SerpAPI batch complete.");
+  return jobs.length;
 }
 
-runBatch();
+if (isMain(import.meta.url)) {
+  runSerpapiBatch().catch((err) => {
+    console.error("❌ SerpAPI batch failed:", err);
+    process.exit(1);
+  });
+}